@@ -0,0 +1,273 @@
+/**
+ * Client API keys and their monthly quotas.
+ *
+ * A key looks like aia_<id>_<secret>. Only a SHA-256 hash of the secret is
+ * stored, so a key is shown once - when it is created or rotated. Every key
+ * has a monthly request quota and a monthly spend quota in USD (null means
+ * unlimited); usage is counted per calendar month (UTC) and starts again at
+ * zero when the month changes.
+ *
+ * Spend is reserved before the upstream call with the projected (worst-case)
+ * cost and settled with the real cost afterwards, so concurrent requests
+ * cannot overshoot a quota together.
+ *
+ * Adapters implement: load() -> records, save(records)
+ *   - file:   one JSON file (default), shared with the admin CLI (npm run keys)
+ *   - env:    key definitions from API_KEYS (hosts without a persistent disk)
+ *   - memory: process memory only (tests)
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_STORE_FILE = fileURLToPath(new URL('../data/api-keys.json', import.meta.url));
+
+// Quota for keys created without one
+export const DEFAULT_QUOTA = { monthlyRequests: 100, monthlySpend: 10 };
+
+const KEY_PATTERN = /^aia_([a-f0-9]{12})_([A-Za-z0-9_-]{32})$/;
+
+// Spend is kept to a millionth of a dollar so repeated reserve/settle rounding does not pile up
+const roundUsd = (amount) => Math.round(amount * 1_000_000) / 1_000_000;
+
+const hashSecret = (secret) => createHash('sha256').update(secret).digest('hex');
+const issueKey = (id) => {
+  const secret = randomBytes(24).toString('base64url');
+  return { key: `aia_${id}_${secret}`, secretHash: hashSecret(secret) };
+};
+
+// Constant-time comparison of a presented key with a configured one (e.g. ADMIN_API_KEY); false when unset
+export const isSameKey = (presented, expected) => {
+  if (!presented || !expected) return false;
+  return timingSafeEqual(createHash('sha256').update(presented).digest(), createHash('sha256').update(expected).digest());
+};
+
+// "2026-10" - the quota period a date falls in
+export const quotaMonth = (date = new Date()) => date.toISOString().slice(0, 7);
+
+// The key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+export const readApiKey = (req) => req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1] || req.get('x-api-key') || null;
+
+const inMonth = (record, month) => (record.usage?.month === month
+  ? record
+  : { ...record, usage: { month, requests: 0, spend: 0 } });
+
+// Everything but the secret hash
+const publicRecord = ({ secretHash, ...record }) => record;
+
+export const createMemoryAdapter = () => {
+  let records = [];
+  return {
+    type: 'memory',
+    async load() {
+      return records;
+    },
+    async save(next) {
+      records = next;
+    }
+  };
+};
+
+// The parts of a record set when a key is created, rotated, revoked or given a new quota (not its usage)
+const definition = ({ usage, ...record }) => record;
+
+/**
+ * Keys defined in an environment variable - API_KEYS, a JSON array printed by
+ * `npm run keys -- export` - for hosts without a persistent disk (Vercel). The
+ * definitions are read-only: change them in a key file with the CLI and export
+ * them again. Usage is kept in process memory, so every server instance counts
+ * its own quota, from zero after a restart.
+ */
+export const createEnvAdapter = (value) => {
+  let records;
+  try {
+    records = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`API_KEYS is not valid JSON: ${error.message}`);
+  }
+  const valid = Array.isArray(records) && records.every(record => record && typeof record.id === 'string'
+    && typeof record.secretHash === 'string' && record.quota && typeof record.quota === 'object');
+  if (!valid) throw new Error('API_KEYS must be the JSON array printed by: npm run keys -- export');
+
+  return {
+    type: 'env',
+    async load() {
+      return records;
+    },
+    async save(next) {
+      const unchanged = next.length === records.length
+        && next.every((record, index) => JSON.stringify(definition(record)) === JSON.stringify(definition(records[index])));
+      if (!unchanged) {
+        throw new Error('API keys from API_KEYS are read-only - change them in a key file and run: npm run keys -- export');
+      }
+      records = next;
+    }
+  };
+};
+
+export const createFileAdapter = (file) => ({
+  type: 'file',
+  async load() {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8')).keys;
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  },
+  async save(records) {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so the server and the CLI never read a half-written file
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify({ version: 1, keys: records }, null, 2), { mode: 0o600 });
+    await fs.rename(tmpFile, file);
+  }
+});
+
+/**
+ * Key operations over an adapter. The records are re-read for every
+ * operation, so keys created, rotated or revoked with the CLI take effect on a
+ * running server immediately.
+ */
+export const createKeyStore = (adapter) => {
+  // One read-modify-write at a time within this process
+  let queue = Promise.resolve();
+  const exclusive = (operation) => {
+    const run = queue.then(operation);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const update = (id, change) => exclusive(async () => {
+    const records = await adapter.load();
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) throw new Error(`No API key with id "${id}"`);
+    const result = change(inMonth(records[index], quotaMonth()));
+    records[index] = result.record;
+    await adapter.save(records);
+    return result;
+  });
+
+  return {
+    type: adapter.type,
+
+    async list() {
+      const month = quotaMonth();
+      return (await adapter.load()).map(record => publicRecord(inMonth(record, month)));
+    },
+
+    /**
+     * @param {{name: string, quota?: {monthlyRequests: number|null, monthlySpend: number|null}}} options
+     * @returns {Promise<{key: string, record: Object}>} the key is not stored and cannot be shown again
+     */
+    create({ name, quota = DEFAULT_QUOTA }) {
+      return exclusive(async () => {
+        const records = await adapter.load();
+        const id = randomBytes(6).toString('hex');
+        const { key, secretHash } = issueKey(id);
+        const record = {
+          id,
+          name,
+          secretHash,
+          createdAt: new Date().toISOString(),
+          rotatedAt: null,
+          revokedAt: null,
+          quota: { ...DEFAULT_QUOTA, ...quota },
+          usage: { month: quotaMonth(), requests: 0, spend: 0 }
+        };
+        await adapter.save([...records, record]);
+        return { key, record: publicRecord(record) };
+      });
+    },
+
+    // A new secret for the same key id; the old key stops working, usage and quota are kept
+    async rotate(id) {
+      const { key, record } = await update(id, current => {
+        if (current.revokedAt) throw new Error(`API key "${id}" is revoked`);
+        const issued = issueKey(id);
+        return { key: issued.key, record: { ...current, secretHash: issued.secretHash, rotatedAt: new Date().toISOString() } };
+      });
+      return { key, record: publicRecord(record) };
+    },
+
+    async revoke(id) {
+      const { record } = await update(id, current => ({ record: { ...current, revokedAt: current.revokedAt || new Date().toISOString() } }));
+      return publicRecord(record);
+    },
+
+    async setQuota(id, quota) {
+      const { record } = await update(id, current => ({ record: { ...current, quota: { ...current.quota, ...quota } } }));
+      return publicRecord(record);
+    },
+
+    // The active key record with this id, or null (a browser session stands for a key by its id)
+    async get(id) {
+      const record = (await adapter.load()).find(candidate => candidate.id === id);
+      return record && !record.revokedAt ? publicRecord(inMonth(record, quotaMonth())) : null;
+    },
+
+    // Key definitions for API_KEYS (createEnvAdapter): active keys, without usage
+    async export() {
+      return (await adapter.load()).filter(record => !record.revokedAt).map(definition);
+    },
+
+    // The active key record for a presented key, or null
+    async authenticate(key) {
+      const match = typeof key === 'string' && key.match(KEY_PATTERN);
+      if (!match) return null;
+      const record = (await adapter.load()).find(candidate => candidate.id === match[1]);
+      if (!record || record.revokedAt) return null;
+      const presented = Buffer.from(hashSecret(match[2]), 'hex');
+      const stored = Buffer.from(record.secretHash, 'hex');
+      return presented.length === stored.length && timingSafeEqual(presented, stored)
+        ? publicRecord(inMonth(record, quotaMonth()))
+        : null;
+    },
+
+    /**
+     * Count a request and reserve its projected cost, unless that would exceed
+     * a quota.
+     * @returns {Promise<{ok: true, reservation: Object} | {ok: false, exceeded: 'requests'|'spend', record: Object}>}
+     */
+    async reserve(id, projected) {
+      const result = await update(id, current => {
+        const { quota, usage } = current;
+        const exceeded = (quota.monthlyRequests !== null && usage.requests + 1 > quota.monthlyRequests && 'requests')
+          || (quota.monthlySpend !== null && usage.spend + projected > quota.monthlySpend && 'spend');
+        if (exceeded) return { exceeded, record: current };
+        return {
+          record: { ...current, usage: { ...usage, requests: usage.requests + 1, spend: roundUsd(usage.spend + projected) } },
+          reservation: { id, month: usage.month, projected }
+        };
+      });
+      return result.exceeded
+        ? { ok: false, exceeded: result.exceeded, record: publicRecord(result.record) }
+        : { ok: true, reservation: result.reservation };
+    },
+
+    // Replace the reserved amount with what the request really cost (USD)
+    async settle(reservation, cost) {
+      await update(reservation.id, current => {
+        if (current.usage.month !== reservation.month) return { record: current };
+        const spend = Math.max(0, roundUsd(current.usage.spend - reservation.projected + cost));
+        return { record: { ...current, usage: { ...current.usage, spend } } };
+      });
+    }
+  };
+};
+
+/**
+ * Pick the adapter from the environment:
+ *   API_KEY_STORE=file|env|memory (default file)
+ *   API_KEY_STORE_FILE (default backend/data/api-keys.json)
+ *   API_KEYS - the key definitions of the env store
+ */
+export const createApiKeyStore = (env = process.env) => {
+  const type = env.API_KEY_STORE || 'file';
+  if (type === 'memory') return createKeyStore(createMemoryAdapter());
+  if (type === 'file') return createKeyStore(createFileAdapter(env.API_KEY_STORE_FILE || DEFAULT_STORE_FILE));
+  if (type === 'env') return createKeyStore(createEnvAdapter(env.API_KEYS || '[]'));
+  throw new Error(`Unknown API_KEY_STORE "${type}" (expected "file", "env" or "memory")`);
+};
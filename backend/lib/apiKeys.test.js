@@ -0,0 +1,106 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createKeyStore, createMemoryAdapter, quotaMonth } from './apiKeys.js';
+
+const storeWithKey = async (quota) => {
+  const adapter = createMemoryAdapter();
+  const store = createKeyStore(adapter);
+  const { record } = await store.create({ name: 'test', quota });
+  return { adapter, store, id: record.id };
+};
+
+describe('reserve', () => {
+  test('counts the request and reserves the projected cost', async () => {
+    const { store, id } = await storeWithKey({ monthlyRequests: 10, monthlySpend: 5 });
+
+    const reserved = await store.reserve(id, 1.25);
+
+    assert.deepEqual(reserved, { ok: true, reservation: { id, month: quotaMonth(), projected: 1.25 } });
+    assert.deepEqual((await store.get(id)).usage, { month: quotaMonth(), requests: 1, spend: 1.25 });
+  });
+
+  test('refuses a request over the request quota', async () => {
+    const { store, id } = await storeWithKey({ monthlyRequests: 2, monthlySpend: null });
+    await store.reserve(id, 1);
+    await store.reserve(id, 1);
+
+    const refused = await store.reserve(id, 0);
+
+    assert.equal(refused.ok, false);
+    assert.equal(refused.exceeded, 'requests');
+    assert.equal(refused.record.usage.requests, 2);
+    assert.equal(refused.record.secretHash, undefined);
+  });
+
+  test('refuses a request whose projected cost does not fit the spend quota', async () => {
+    const { store, id } = await storeWithKey({ monthlyRequests: null, monthlySpend: 1 });
+    assert.equal((await store.reserve(id, 0.6)).ok, true);
+
+    const refused = await store.reserve(id, 0.5);
+
+    assert.equal(refused.ok, false);
+    assert.equal(refused.exceeded, 'spend');
+    // A refused request is not counted
+    assert.deepEqual((await store.get(id)).usage, { month: quotaMonth(), requests: 1, spend: 0.6 });
+    assert.equal((await store.reserve(id, 0.4)).ok, true);
+  });
+
+  test('null quotas are unlimited', async () => {
+    const { store, id } = await storeWithKey({ monthlyRequests: null, monthlySpend: null });
+    assert.equal((await store.reserve(id, 1_000_000)).ok, true);
+  });
+
+  test('concurrent reserves cannot overshoot a quota together', async () => {
+    const { store, id } = await storeWithKey({ monthlyRequests: 100, monthlySpend: 1 });
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => store.reserve(id, 0.3)));
+
+    assert.equal(results.filter(result => result.ok).length, 3);
+    assert.ok(results.filter(result => !result.ok).every(result => result.exceeded === 'spend'));
+    assert.deepEqual((await store.get(id)).usage, { month: quotaMonth(), requests: 3, spend: 0.9 });
+  });
+
+  test('usage of a previous month does not count', async () => {
+    const { adapter, store, id } = await storeWithKey({ monthlyRequests: 1, monthlySpend: 1 });
+    const [record] = await adapter.load();
+    await adapter.save([{ ...record, usage: { month: '2020-01', requests: 1, spend: 1 } }]);
+
+    assert.equal((await store.reserve(id, 0.5)).ok, true);
+    assert.deepEqual((await store.get(id)).usage, { month: quotaMonth(), requests: 1, spend: 0.5 });
+  });
+});
+
+describe('settle', () => {
+  test('replaces the reserved amount with the real cost', async () => {
+    const { store, id } = await storeWithKey({ monthlyRequests: null, monthlySpend: 10 });
+    const first = await store.reserve(id, 2);
+    const second = await store.reserve(id, 3);
+
+    await store.settle(first.reservation, 0.123456);
+    await store.settle(second.reservation, 3.5);
+
+    assert.equal((await store.get(id)).usage.spend, 3.623456);
+  });
+
+  test('never takes spend below zero', async () => {
+    const { adapter, store, id } = await storeWithKey({ monthlyRequests: null, monthlySpend: 10 });
+    const { reservation } = await store.reserve(id, 2);
+    const [record] = await adapter.load();
+    await adapter.save([{ ...record, usage: { ...record.usage, spend: 1 } }]);
+
+    await store.settle(reservation, 0);
+
+    assert.equal((await store.get(id)).usage.spend, 0);
+  });
+
+  test('a reservation of a previous month leaves this month alone', async () => {
+    const { store, id } = await storeWithKey({ monthlyRequests: null, monthlySpend: 10 });
+    await store.reserve(id, 1);
+    // Reserved on the last day of a month, settled after the month rolled over
+    const lastMonth = { id, month: '2020-01', projected: 4 };
+
+    await store.settle(lastMonth, 0.5);
+
+    assert.deepEqual((await store.get(id)).usage, { month: quotaMonth(), requests: 1, spend: 1 });
+  });
+});
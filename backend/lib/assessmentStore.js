@@ -0,0 +1,72 @@
+/**
+ * Assessment storage - persists completed assessments so reports can be
+ * reopened and shared by ID.
+ *
+ * Adapters implement: save(record) -> record, get(id) -> record | null
+ *   - file:   one JSON file per assessment (default, no external services)
+ *   - memory: process memory only (tests, ephemeral serverless instances)
+ */
+
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_STORE_DIR = fileURLToPath(new URL('../data/assessments', import.meta.url));
+
+// 16 random bytes -> 22 URL-safe characters; unguessable, safe as a file name
+export const createAssessmentId = () => randomBytes(16).toString('base64url');
+export const isValidAssessmentId = (id) => typeof id === 'string' && /^[A-Za-z0-9_-]{22}$/.test(id);
+
+export const createMemoryStore = () => {
+  const records = new Map();
+  return {
+    type: 'memory',
+    async save(record) {
+      records.set(record.id, record);
+      return record;
+    },
+    async get(id) {
+      return records.get(id) || null;
+    }
+  };
+};
+
+export const createFileStore = (directory) => {
+  const ready = fs.mkdir(directory, { recursive: true });
+  ready.catch(() => {}); // Surfaced on the first save/get instead of crashing at startup
+  const fileFor = (id) => path.join(directory, `${id}.json`);
+
+  return {
+    type: 'file',
+    async save(record) {
+      await ready;
+      // Write then rename so a crash never leaves a half-written report
+      const tmpFile = `${fileFor(record.id)}.${process.pid}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(record, null, 2));
+      await fs.rename(tmpFile, fileFor(record.id));
+      return record;
+    },
+    async get(id) {
+      await ready;
+      try {
+        return JSON.parse(await fs.readFile(fileFor(id), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }
+  };
+};
+
+/**
+ * Pick the adapter from the environment:
+ *   ASSESSMENT_STORE=file|memory (default file)
+ *   ASSESSMENT_STORE_DIR (default backend/data/assessments)
+ */
+export const createAssessmentStore = (env = process.env) => {
+  const type = env.ASSESSMENT_STORE || 'file';
+  if (type === 'memory') return createMemoryStore();
+  if (type === 'file') return createFileStore(env.ASSESSMENT_STORE_DIR || DEFAULT_STORE_DIR);
+  throw new Error(`Unknown ASSESSMENT_STORE "${type}" (expected "file" or "memory")`);
+};
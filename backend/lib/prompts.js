@@ -0,0 +1,249 @@
+/**
+ * Report prompts - versioned template files in backend/prompts/<version>/.
+ *
+ * Every version directory holds the shared templates below plus the ones of
+ * its report layout; `{{name}}` marks a variable, filled in by the builders
+ * below (values are inserted as they are, never scanned for variables
+ * themselves). The version in use is returned as
+ * metadata.promptVersion and is part of the response cache key. A version
+ * that has served reports is never edited: copy it to a new directory, change
+ * the copy, check it with `npm run eval:prompts -- --version <new>` and point
+ * DEFAULT_PROMPT_VERSION (or PROMPT_VERSION) at it.
+ *
+ * Report layouts - how a version writes a new report:
+ *   sectioned (v2 on), one call per section (lib/sectionedReport.js):
+ *     section     one part of the report: context + outline + written + the part's structure + instructions
+ *     written     the sections a part is given to stay consistent with or to summarize
+ *   whole (v1), the report in one call:
+ *     analysis    the full report prompt: context + report + instructions
+ *
+ * Shared:
+ *   sections      the what-if rewrite of some sections of an existing report
+ *   context       the assessment and the rules-engine ground truth
+ *   report        the report structure, one `## ` heading per REPORT_SECTIONS entry
+ *   instructions  the numbered writing rules
+ *   extraction    markdown report -> structured JSON (lib/structuredReport.js)
+ *   repair        fix structured JSON that failed the schema
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatComplianceForPrompt } from '../../src/shared/complianceRules.js';
+import { formatCostsForPrompt } from '../../src/shared/costModel.js';
+import { formatRisksForPrompt } from '../../src/shared/riskScoring.js';
+import { formatTimelineForPrompt } from '../../src/shared/timelineFeasibility.js';
+import { LANGUAGES, formatCurrency } from '../../src/shared/i18n.js';
+import { CURRENCIES } from '../../src/shared/currency.js';
+import { REPORT_SCHEMA } from '../../src/shared/reportSchema.js';
+import { splitReportSections } from '../../src/shared/reportDiff.js';
+import { REPORT_SECTIONS, findSection } from '../../src/shared/reportSections.js';
+import { withoutFreeText, formatUserTextForPrompt, formatReportForPrompt } from './userText.js';
+
+export const PROMPTS_DIR = fileURLToPath(new URL('../prompts', import.meta.url));
+export const DEFAULT_PROMPT_VERSION = 'v2';
+
+// Output token limit of a what-if rewrite or a structured report extraction call
+export const MAX_OUTPUT_TOKENS = 4000;
+
+// Output token limit of one report section call (a full report is around 20,000 characters, the longest
+// section rarely a quarter of that)
+export const MAX_SECTION_TOKENS = 2000;
+
+// The templates of each report layout and the variables each one may use; a version's layout is the one whose
+// first template it has
+const LAYOUT_TEMPLATE_VARIABLES = {
+  sectioned: {
+    section: ['context', 'outline', 'written', 'section', 'instructions'],
+    written: ['report']
+  },
+  whole: {
+    analysis: ['context', 'template', 'instructions']
+  }
+};
+
+// The templates every version has
+const TEMPLATE_VARIABLES = {
+  sections: ['context', 'report', 'sections', 'instructions'],
+  context: ['assessment', 'userText', 'compliance', 'costs', 'risks', 'timeline'],
+  report: ['preparedFor', 'date', 'amount'],
+  instructions: ['amount', 'language', 'currency', 'currencyName'],
+  extraction: ['schema', 'regimes', 'language', 'currency', 'report'],
+  repair: ['errors', 'output', 'schema']
+};
+
+const VARIABLE = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Fill in a template in one pass.
+ * @throws {Error} for a variable without a value
+ */
+export const renderTemplate = (template, variables) => template.replace(VARIABLE, (match, name) => {
+  if (variables[name] === undefined) throw new Error(`No value for prompt variable "${name}"`);
+  return String(variables[name]);
+});
+
+// Version directories, oldest first
+export const listPromptVersions = (directory = PROMPTS_DIR) => readdirSync(directory, { withFileTypes: true })
+  .filter(entry => entry.isDirectory())
+  .map(entry => entry.name)
+  .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+
+// The report layout of a version directory
+const detectLayout = (version, directory) => {
+  const layout = Object.keys(LAYOUT_TEMPLATE_VARIABLES)
+    .find(name => existsSync(path.join(directory, version, `${Object.keys(LAYOUT_TEMPLATE_VARIABLES[name])[0]}.txt`)));
+  if (!layout) {
+    const first = Object.values(LAYOUT_TEMPLATE_VARIABLES).map(templates => `${Object.keys(templates)[0]}.txt`);
+    throw new Error(`Prompt version "${version}" has none of the report templates ${first.join(', ')}`);
+  }
+  return layout;
+};
+
+/**
+ * Read and check every template of a version.
+ * @returns {{layout: 'sectioned'|'whole', templates: Object<string, string>}}
+ * @throws {Error} for an unknown version, a missing template or a variable the template cannot use
+ */
+export const loadPromptTemplates = (version, directory = PROMPTS_DIR) => {
+  const available = listPromptVersions(directory);
+  if (!available.includes(version)) {
+    throw new Error(`Unknown prompt version "${version}" (available: ${available.join(', ') || 'none'})`);
+  }
+  const layout = detectLayout(version, directory);
+
+  const templates = Object.fromEntries(Object.entries({ ...LAYOUT_TEMPLATE_VARIABLES[layout], ...TEMPLATE_VARIABLES }).map(([name, allowed]) => {
+    const file = path.join(directory, version, `${name}.txt`);
+    let template;
+    try {
+      // Files end with a newline; the prompts do not
+      template = readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+      throw new Error(`Prompt version "${version}" has no ${name} template (${file})`);
+    }
+    const unknown = [...template.matchAll(VARIABLE)].map(match => match[1]).filter(variable => !allowed.includes(variable));
+    if (unknown.length > 0) {
+      throw new Error(`Prompt template ${version}/${name}.txt uses unknown variable(s): ${[...new Set(unknown)].join(', ')} (allowed: ${allowed.join(', ')})`);
+    }
+    return [name, template];
+  }));
+  return { layout, templates };
+};
+
+// "$XX,000", "€XX,000" - the amount format the report tables use
+const amountPlaceholder = (currency) => formatCurrency(10000, { locale: 'en-US', currency }).replace('10', 'XX');
+
+const joinSections = (sections) => sections
+  .map(({ heading, body }) => (heading ? `## ${heading}\n\n${body}` : body))
+  .join('\n\n');
+
+/**
+ * The prompt builders of one version.
+ * @param {string} [version]
+ * @param {string} [directory]
+ */
+export const loadPrompts = (version = DEFAULT_PROMPT_VERSION, directory = PROMPTS_DIR) => {
+  const { layout, templates } = loadPromptTemplates(version, directory);
+
+  const buildContext = (responses, compliance, costEstimate, riskScores, timeline, currency) => renderTemplate(templates.context, {
+    assessment: JSON.stringify(withoutFreeText(responses), null, 2),
+    userText: formatUserTextForPrompt(responses),
+    compliance: formatComplianceForPrompt(compliance, [].concat(responses.compliance_overrides || [])),
+    costs: formatCostsForPrompt(costEstimate, currency),
+    risks: formatRisksForPrompt(riskScores, currency),
+    timeline: formatTimelineForPrompt(timeline)
+  });
+
+  const buildReportTemplate = (responses, currency) => renderTemplate(templates.report, {
+    preparedFor: responses.company_name
+      ? '[the company_name from the USER-PROVIDED TEXT, as plain text]'
+      : '[A short description of the business based on responses, e.g. "Seed-stage healthcare SaaS company"]',
+    date: new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' }),
+    amount: amountPlaceholder(currency)
+  });
+
+  const buildInstructions = (language, currency) => renderTemplate(templates.instructions, {
+    amount: amountPlaceholder(currency),
+    language: LANGUAGES[language].promptName,
+    currency,
+    currencyName: CURRENCIES[currency].name
+  });
+
+  // Write one report section (sectioned layout)
+  const buildSectionPrompt = (responses, compliance, costEstimate, riskScores, timeline, language, currency, sectionId, { written = '', withTitle = false } = {}) => {
+    const template = splitReportSections(buildReportTemplate(responses, currency));
+    const at = findSection(template, sectionId);
+
+    return renderTemplate(templates.section, {
+      context: buildContext(responses, compliance, costEstimate, riskScores, timeline, currency),
+      outline: REPORT_SECTIONS.map(section => `## ${template[findSection(template, section.id)].heading}`).join('\n'),
+      // The template keeps its blank lines whether or not there is anything written
+      written: written ? `\n${renderTemplate(templates.written, { report: formatReportForPrompt(written) })}\n` : '',
+      section: joinSections(withTitle ? template.slice(0, at + 1) : [template[at]]),
+      instructions: buildInstructions(language, currency)
+    });
+  };
+
+  // Write the whole report in one call (whole layout)
+  const buildAnalysisPrompt = (responses, compliance, costEstimate, riskScores, timeline, language, currency) => renderTemplate(templates.analysis, {
+    context: buildContext(responses, compliance, costEstimate, riskScores, timeline, currency),
+    template: buildReportTemplate(responses, currency),
+    instructions: buildInstructions(language, currency)
+  });
+
+  return {
+    version,
+    // Whether a new report is written one call per section (buildSectionPrompt) or in one call (buildAnalysisPrompt)
+    sectioned: layout === 'sectioned',
+
+    // The report structure the report prompts follow (scripts/evalPrompts.js checks reports against it)
+    buildReportTemplate,
+
+    /**
+     * Write one report section (lib/sectionedReport.js); sectioned versions only.
+     * @param {string} sectionId - a REPORT_SECTIONS id
+     * @param {Object} [options]
+     * @param {string} [options.written] - markdown of the other sections, for a section that summarizes them or
+     *   replaces a weak one ('' when there are none yet)
+     * @param {boolean} [options.withTitle] - also write the title block (the executive summary of a new report)
+     */
+    buildSectionPrompt: layout === 'sectioned' ? buildSectionPrompt : null,
+
+    // The whole report in one call; versions of the whole layout only
+    buildAnalysisPrompt: layout === 'whole' ? buildAnalysisPrompt : null,
+
+    // Rewrite some sections of an existing report after answers changed (what-if edits on the report page)
+    buildSectionsPrompt: (responses, compliance, costEstimate, riskScores, timeline, language, currency, report, sectionIds) => {
+      const template = splitReportSections(buildReportTemplate(responses, currency));
+      const requested = sectionIds.map(id => template[findSection(template, id)]);
+
+      return renderTemplate(templates.sections, {
+        context: buildContext(responses, compliance, costEstimate, riskScores, timeline, currency),
+        report: formatReportForPrompt(report),
+        sections: joinSections(requested),
+        instructions: buildInstructions(language, currency)
+      });
+    },
+
+    // language is the report language as named in prompts (e.g. "German")
+    buildExtractionPrompt: (report, compliance, language, currency) => renderTemplate(templates.extraction, {
+      schema: JSON.stringify(REPORT_SCHEMA, null, 2),
+      regimes: compliance.map(result => `  - ${result.name} [${result.level}]`).join('\n') || '  (none)',
+      language,
+      currency,
+      report
+    }),
+
+    buildRepairPrompt: (previousOutput, errors) => renderTemplate(templates.repair, {
+      errors: errors.map(error => `- ${error}`).join('\n'),
+      output: previousOutput,
+      schema: JSON.stringify(REPORT_SCHEMA)
+    })
+  };
+};
+
+/**
+ * Pick the version from the environment:
+ *   PROMPT_VERSION (default DEFAULT_PROMPT_VERSION)
+ */
+export const createPrompts = (env = process.env) => loadPrompts(env.PROMPT_VERSION || DEFAULT_PROMPT_VERSION);
@@ -0,0 +1,63 @@
+/**
+ * Anthropic Messages API adapter
+ * https://docs.anthropic.com/en/api/messages
+ */
+
+export const anthropicAdapter = {
+  buildRequest(config, prompt, { apiKey, maxTokens, stream }) {
+    return {
+      url: config.apiUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        ...config.headers
+      },
+      body: {
+        model: config.model,
+        max_tokens: maxTokens,
+        stream,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      }
+    };
+  },
+
+  parseResponse(data) {
+    return {
+      text: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      stopReason: data.stop_reason || null
+    };
+  },
+
+  parseUsage(data) {
+    return {
+      input: data.usage?.input_tokens || 0,
+      output: data.usage?.output_tokens || 0
+    };
+  },
+
+  // message_start carries input tokens, message_delta the output tokens and stop reason
+  parseStreamEvent({ event, data }) {
+    const payload = JSON.parse(data);
+    switch (event) {
+      case 'error':
+        return { error: payload.error?.message || 'Upstream stream error' };
+      case 'message_start':
+        return { usage: { input: payload.message?.usage?.input_tokens || 0 } };
+      case 'content_block_delta':
+        return payload.delta?.type === 'text_delta' ? { text: payload.delta.text } : null;
+      case 'message_delta':
+        return {
+          usage: { output: payload.usage?.output_tokens || 0 },
+          stopReason: payload.delta?.stop_reason || null
+        };
+      case 'message_stop':
+        return { done: true };
+      default:
+        return null;
+    }
+  }
+};
@@ -0,0 +1,152 @@
+/**
+ * Retry and fallback across providers.
+ *
+ * Each provider in the chain gets up to retryPolicy.attempts tries, each with its
+ * own timeout: timeoutMs without a chunk for streamed calls, completeTimeoutMs in
+ * total for the others (their reply only arrives once it is written). Retryable
+ * failures (timeouts, network errors, 408/429/5xx/529) back off exponentially
+ * with jitter, honouring retry-after; auth/not-found failures move straight to
+ * the next provider; anything else is a bad request and fails immediately.
+ */
+
+import { ProviderError } from './index.js';
+
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+const FALLBACK_ONLY_STATUSES = [401, 402, 403, 404];
+
+const classify = (error) => {
+  if (error.timedOut || !error.status) return 'retry'; // timeouts, network errors, mid-stream errors
+  if (RETRYABLE_STATUSES.includes(error.status) || error.status >= 500) return 'retry';
+  if (FALLBACK_ONLY_STATUSES.includes(error.status)) return 'fallback';
+  return 'fail';
+};
+
+// retry-after is either seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with "equal jitter": half fixed, half random
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Per-attempt abort signal: fires after timeoutMs of inactivity or when the
+ * caller's signal aborts. touch() restarts the timer (used while streaming);
+ * responded() tells whether it was ever called.
+ */
+const attemptSignal = (timeoutMs, parentSignal) => {
+  const controller = new AbortController();
+  let timer;
+  let responded = false;
+  const restart = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(
+      new ProviderError(`No response within ${timeoutMs / 1000}s`, { timedOut: true })
+    ), timeoutMs);
+  };
+  const onParentAbort = () => controller.abort(parentSignal.reason);
+
+  parentSignal?.addEventListener('abort', onParentAbort, { once: true });
+  restart();
+
+  return {
+    signal: controller.signal,
+    touch: () => {
+      responded = true;
+      restart();
+    },
+    responded: () => responded,
+    done: () => {
+      clearTimeout(timer);
+      parentSignal?.removeEventListener('abort', onParentAbort);
+    }
+  };
+};
+
+/**
+ * Run call(providerId, { signal, touch }) along the fallback chain of requestedId.
+ * Streamed calls (streamed: true) call touch() on every chunk. canRetry() lets
+ * streaming callers stop once output has reached the client.
+ *
+ * Every attempt that did not return is pushed to failedAttempts - pass an array
+ * to read them when the caller aborts, too. `billed` marks the attempts the
+ * provider may charge for: timed out, aborted, or failed after it started
+ * sending (an error status or a refused connection costs nothing).
+ * @returns {Promise<{result: *, providerId: string, failedAttempts: Array}>}
+ * @throws the last error, with failedAttempts attached
+ */
+export const withFallback = async (registry, requestedId, call, {
+  signal, canRetry = () => true, streamed = false, failedAttempts = []
+} = {}) => {
+  const policy = registry.retryPolicy;
+  const timeoutMs = streamed ? policy.timeoutMs : policy.completeTimeoutMs;
+  let lastError;
+
+  for (const providerId of registry.fallbackChain(requestedId)) {
+    for (let attempt = 0; attempt < policy.attempts; attempt++) {
+      const started = Date.now();
+      const guard = attemptSignal(timeoutMs, signal);
+      const fail = (error) => failedAttempts.push({
+        provider: providerId,
+        attempt: attempt + 1,
+        status: error.status || null,
+        error: error.message,
+        duration: Date.now() - started,
+        billed: guard.signal.aborted || guard.responded()
+      });
+
+      try {
+        const result = await call(providerId, { signal: guard.signal, touch: guard.touch });
+        return { result, providerId, failedAttempts };
+      } catch (caught) {
+        if (signal?.aborted) {
+          fail(new Error('Aborted by the caller'));
+          throw caught;
+        }
+
+        // fetch rejects with the abort reason, except when aborted mid-body read
+        const error = guard.signal.aborted ? guard.signal.reason : caught;
+        lastError = error;
+        fail(error);
+        console.error(`Provider ${providerId} failed (attempt ${attempt + 1}/${policy.attempts}): ${error.message}`);
+
+        const action = classify(error);
+        if (action === 'fail' || !canRetry()) {
+          error.failedAttempts = failedAttempts;
+          throw error;
+        }
+        if (action === 'fallback' || attempt + 1 >= policy.attempts) break;
+
+        // A retry-after longer than we're willing to wait means: try the next provider
+        const retryAfter = parseRetryAfter(error.retryAfter);
+        if (retryAfter !== null && retryAfter > policy.maxDelayMs) break;
+        await sleep(retryAfter ?? backoffDelay(attempt, policy), signal);
+      } finally {
+        guard.done();
+      }
+    }
+  }
+
+  lastError = lastError || new ProviderError(`No available provider for "${requestedId}"`);
+  lastError.failedAttempts = failedAttempts;
+  throw lastError;
+};
@@ -0,0 +1,190 @@
+/**
+ * Provider registry
+ *
+ * Providers, models and prices come from backend/providers.json (or the file in
+ * PROVIDERS_CONFIG), with per-provider overrides from the PROVIDERS_JSON env
+ * variable. Each provider names an adapter that knows its wire format:
+ *
+ *   buildRequest(config, prompt, { apiKey, maxTokens, stream }) -> { url, headers, body }
+ *   parseResponse(data)       -> { text, stopReason }
+ *   parseUsage(data)          -> { input, output }
+ *   parseStreamEvent(event)   -> { text?, usage?, stopReason?, error?, done? } | null
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { anthropicAdapter } from './anthropic.js';
+import { openrouterAdapter } from './openrouter.js';
+import { openaiCompatibleAdapter } from './openaiCompatible.js';
+import { parseEventStream } from '../sse.js';
+
+export const ADAPTERS = {
+  anthropic: anthropicAdapter,
+  openrouter: openrouterAdapter,
+  openai: openaiCompatibleAdapter
+};
+
+const DEFAULT_CONFIG_PATH = fileURLToPath(new URL('../../providers.json', import.meta.url));
+
+// Upstream failure with the HTTP status (if any) so callers can decide whether to retry
+export class ProviderError extends Error {
+  constructor(message, { status = null, retryAfter = null, timedOut = false } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.timedOut = timedOut;
+  }
+}
+
+// attempts = tries per provider; timeoutMs = max wait for the first streamed chunk (and between chunks);
+// completeTimeoutMs = max wait for a whole non-streamed reply, which arrives only once it is written
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 10000,
+  timeoutMs: 60000,
+  completeTimeoutMs: 300000
+};
+
+// Stop reasons of a reply cut off at maxTokens (Anthropic, OpenAI-compatible)
+export const TRUNCATED_STOP_REASONS = ['max_tokens', 'length'];
+
+const validateProvider = (id, config) => {
+  const problems = [];
+  if (!ADAPTERS[config.adapter]) problems.push(`unknown adapter "${config.adapter}" (expected ${Object.keys(ADAPTERS).join(', ')})`);
+  if (!config.apiUrl) problems.push('missing apiUrl');
+  if (!config.model) problems.push('missing model');
+  if (typeof config.costPer1M?.input !== 'number' || typeof config.costPer1M?.output !== 'number') {
+    problems.push('costPer1M.input and costPer1M.output must be numbers');
+  }
+  if (problems.length > 0) {
+    throw new Error(`Invalid provider "${id}": ${problems.join('; ')}`);
+  }
+};
+
+/**
+ * Read provider configuration.
+ *   PROVIDERS_CONFIG  - path to a providers.json file (default backend/providers.json)
+ *   PROVIDERS_JSON    - JSON merged over the file, e.g. {"providers":{"claude":{"model":"..."}}}
+ *   DEFAULT_PROVIDER  - provider used when a request doesn't name one
+ *
+ * Besides "providers" and "default" the file may set "fallback" (provider id ->
+ * ids to try next when it fails) and "retry" (see DEFAULT_RETRY_POLICY).
+ */
+export const loadProviderConfig = (env = process.env) => {
+  const base = JSON.parse(readFileSync(env.PROVIDERS_CONFIG || DEFAULT_CONFIG_PATH, 'utf8'));
+  const overrides = env.PROVIDERS_JSON ? JSON.parse(env.PROVIDERS_JSON) : {};
+
+  const providers = {};
+  const ids = new Set([...Object.keys(base.providers || {}), ...Object.keys(overrides.providers || {})]);
+  ids.forEach(id => {
+    const config = { ...base.providers?.[id], ...overrides.providers?.[id] };
+    if (config.enabled === false) return;
+    validateProvider(id, config);
+    providers[id] = config;
+  });
+
+  const defaultProvider = env.DEFAULT_PROVIDER || overrides.default || base.default || Object.keys(providers)[0];
+  if (!providers[defaultProvider]) {
+    throw new Error(`Default provider "${defaultProvider}" is not configured`);
+  }
+
+  // Disabled providers may appear in a chain; they are skipped at request time
+  const fallback = { ...base.fallback, ...overrides.fallback };
+  Object.entries(fallback).forEach(([id, chain]) => {
+    const unknown = [id, ...chain].filter(ref => !ids.has(ref));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid fallback for "${id}": unknown provider ${unknown.join(', ')}`);
+    }
+  });
+
+  const retry = { ...DEFAULT_RETRY_POLICY, ...base.retry, ...overrides.retry };
+
+  return { providers, defaultProvider, fallback, retry };
+};
+
+const upstreamError = async (response) => {
+  const errorData = await response.json().catch(() => ({}));
+  return new ProviderError(errorData.error?.message || `API error: ${response.status}`, {
+    status: response.status,
+    retryAfter: response.headers.get('retry-after')
+  });
+};
+
+export const createProviderRegistry = (env = process.env) => {
+  const { providers, defaultProvider, fallback, retry } = loadProviderConfig(env);
+
+  const apiKeyFor = (config) => (config.envKey ? env[config.envKey] : undefined);
+  const isAvailable = (id) => !!providers[id] && (!providers[id].envKey || !!apiKeyFor(providers[id]));
+
+  const send = async (id, prompt, { maxTokens, stream, signal }) => {
+    const config = providers[id];
+    const adapter = ADAPTERS[config.adapter];
+    const { url, headers, body } = adapter.buildRequest(config, prompt, { apiKey: apiKeyFor(config), maxTokens, stream });
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await upstreamError(response);
+    }
+    return { config, adapter, response };
+  };
+
+  return {
+    defaultProvider,
+
+    retryPolicy: retry,
+
+    ids: () => Object.keys(providers),
+
+    get: (id) => (providers[id] ? { id, ...providers[id] } : null),
+
+    list: () => Object.entries(providers).map(([id, config]) => ({ id, ...config })),
+
+    // Local providers (no envKey) are always available
+    isAvailable,
+
+    // The requested provider followed by its configured fallbacks that can actually be called
+    fallbackChain: (id) => [...new Set([id, ...(fallback[id] || [])])].filter(isAvailable),
+
+    /**
+     * Single-shot completion.
+     * @returns {Promise<{text: string, stopReason: string|null, usage: {input: number, output: number}}>}
+     */
+    async complete(id, prompt, { maxTokens = 4000, signal } = {}) {
+      const { adapter, response } = await send(id, prompt, { maxTokens, stream: false, signal });
+      const data = await response.json();
+      return { ...adapter.parseResponse(data), usage: adapter.parseUsage(data) };
+    },
+
+    /**
+     * Streamed completion; onDelta receives text chunks as they arrive,
+     * onChunk is called for every upstream event (keep-alives included).
+     * @returns {Promise<{stopReason: string|null, usage: {input: number, output: number}}>}
+     */
+    async stream(id, prompt, { maxTokens = 4000, signal, onDelta, onChunk = () => {} } = {}) {
+      const { adapter, response } = await send(id, prompt, { maxTokens, stream: true, signal });
+      const usage = { input: 0, output: 0 };
+      let stopReason = null;
+
+      for await (const event of parseEventStream(response.body)) {
+        onChunk();
+        const parsed = adapter.parseStreamEvent(event);
+        if (!parsed) continue;
+        if (parsed.error) throw new ProviderError(parsed.error);
+        if (parsed.text) onDelta(parsed.text);
+        if (parsed.usage) Object.assign(usage, parsed.usage);
+        if (parsed.stopReason) stopReason = parsed.stopReason;
+        if (parsed.done) break;
+      }
+
+      return { stopReason, usage };
+    }
+  };
+};
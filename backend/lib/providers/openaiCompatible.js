@@ -0,0 +1,59 @@
+/**
+ * OpenAI-compatible chat completions adapter
+ * Works with any /v1/chat/completions endpoint: OpenAI, Together, Groq,
+ * and local servers such as Ollama or llama.cpp (apiKey optional).
+ */
+
+export const openaiCompatibleAdapter = {
+  buildRequest(config, prompt, { apiKey, maxTokens, stream }) {
+    return {
+      url: config.apiUrl,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
+        ...config.headers
+      },
+      body: {
+        model: config.model,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }],
+        max_tokens: maxTokens,
+        ...(stream && { stream: true, stream_options: { include_usage: true } })
+      }
+    };
+  },
+
+  parseResponse(data) {
+    const choice = data.choices?.[0];
+    return {
+      text: choice?.message?.content || '',
+      stopReason: choice?.finish_reason || null
+    };
+  },
+
+  parseUsage(data) {
+    return {
+      input: data.usage?.prompt_tokens || 0,
+      output: data.usage?.completion_tokens || 0
+    };
+  },
+
+  // Usage arrives on the last chunk when stream_options.include_usage is honoured
+  parseStreamEvent({ data }) {
+    if (data === '[DONE]') return { done: true };
+
+    const payload = JSON.parse(data);
+    if (payload.error) {
+      return { error: payload.error.message || 'Upstream stream error' };
+    }
+
+    const choice = payload.choices?.[0];
+    return {
+      text: choice?.delta?.content || '',
+      stopReason: choice?.finish_reason || null,
+      usage: payload.usage ? openaiCompatibleAdapter.parseUsage(payload) : null
+    };
+  }
+};
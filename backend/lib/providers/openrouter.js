@@ -0,0 +1,22 @@
+/**
+ * OpenRouter adapter - OpenAI-compatible plus attribution headers
+ * https://openrouter.ai/docs
+ */
+
+import { openaiCompatibleAdapter } from './openaiCompatible.js';
+
+export const openrouterAdapter = {
+  ...openaiCompatibleAdapter,
+
+  buildRequest(config, prompt, options) {
+    const request = openaiCompatibleAdapter.buildRequest(config, prompt, options);
+    return {
+      ...request,
+      headers: {
+        ...request.headers,
+        'HTTP-Referer': process.env.FRONTEND_URL || 'https://godagoo.github.io',
+        'X-Title': 'AI Business Assessment Tool'
+      }
+    };
+  }
+};
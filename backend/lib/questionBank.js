@@ -0,0 +1,18 @@
+/**
+ * The wizard's question bank (src/shared/questionBank.json), loaded and
+ * validated once at startup. The server uses it to sanitize submitted answers
+ * and to keep free-text answers apart from the rest of the prompt.
+ */
+
+import { readFileSync } from 'fs';
+import { loadQuestionBank, FREE_TEXT_TYPES } from '../../src/shared/questionBank.js';
+import { HELP_FRAGMENT_NAMES } from '../../src/shared/helpFragments.js';
+
+export const QUESTION_BANK_PATH = new URL('../../src/shared/questionBank.json', import.meta.url);
+
+export const questions = loadQuestionBank(
+  JSON.parse(readFileSync(QUESTION_BANK_PATH, 'utf8')),
+  { fragments: HELP_FRAGMENT_NAMES }
+);
+
+export const freeTextQuestions = questions.filter(question => FREE_TEXT_TYPES.includes(question.type));
@@ -0,0 +1,176 @@
+/**
+ * Response cache - identical assessments sent to the same provider get the
+ * stored analysis back instead of paying for a new one.
+ *
+ * Entries are keyed on a hash of the canonical request (answers with their
+ * keys and multi-select options sorted, provider, prompt version and the
+ * other options that change the report) and expire after a TTL. The most
+ * recently used entries are kept in memory; with a directory they are also
+ * written to disk, so they survive restarts. The directory is pruned at
+ * startup and after every write: expired files go, and so do the least
+ * recently used ones over the same maxEntries cap.
+ *
+ * Stores: memory (LRU, default), file (LRU in front of one JSON file per entry), off
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_CACHE_DIR = fileURLToPath(new URL('../data/cache', import.meta.url));
+const DEFAULT_TTL_HOURS = 24;
+const DEFAULT_MAX_ENTRIES = 100;
+const HOUR_MS = 60 * 60 * 1000;
+
+// JSON with object keys sorted, and arrays of plain values sorted, so equal requests serialize equally
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    const items = value.map(canonicalJson);
+    return `[${(value.every(item => item === null || typeof item !== 'object') ? items.sort() : items).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * @param {{responses: Object, provider: string, promptVersion: string, language: string, currency: string, structured: boolean}} request
+ * @returns {string} hex SHA-256
+ */
+export const createCacheKey = (request) => createHash('sha256').update(canonicalJson(request)).digest('hex');
+
+const isCacheKey = (key) => /^[a-f0-9]{64}$/.test(key);
+
+// An entry file, or one left half-written by a crash: <key>.json[.<pid>.tmp]
+const CACHE_FILE_PATTERN = /^([a-f0-9]{64})\.json(\.\d+\.tmp)?$/;
+
+/**
+ * @param {Object} options
+ * @param {number} options.ttlMs
+ * @param {number} options.maxEntries - entries kept in memory
+ * @param {string|null} [options.directory] - also store entries on disk
+ */
+export const createCache = ({ ttlMs, maxEntries, directory = null }) => {
+  // Map order is the LRU order: oldest first
+  const entries = new Map();
+  const ready = directory ? fs.mkdir(directory, { recursive: true }) : Promise.resolve();
+  ready.catch(() => {}); // Surfaced on the first disk access instead of crashing at startup
+  const fileFor = (key) => path.join(directory, `${key}.json`);
+
+  // Files are written when their entry is, so an entry expires ttlMs after its file's mtime. Entries in
+  // memory were used more recently than any that are not (evicted, or untouched since a restart), so
+  // those are kept first, then the newest of the rest up to maxEntries.
+  const prune = async (now) => {
+    const files = [];
+    for (const name of await fs.readdir(directory)) {
+      const match = name.match(CACHE_FILE_PATTERN);
+      if (!match) continue;
+      let stat;
+      try {
+        stat = await fs.stat(path.join(directory, name));
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      const expired = stat.mtimeMs + ttlMs <= now;
+      if (expired) await fs.rm(path.join(directory, name), { force: true });
+      // A temporary file is left alone until it expires: its write may still be in progress
+      else if (!match[2]) files.push({ name, key: match[1], mtimeMs: stat.mtimeMs });
+    }
+
+    const rest = files.filter(file => !entries.has(file.key)).sort((a, b) => b.mtimeMs - a.mtimeMs);
+    const room = Math.max(0, maxEntries - (files.length - rest.length));
+    for (const file of rest.slice(room)) {
+      await fs.rm(path.join(directory, file.name), { force: true });
+    }
+  };
+
+  // One pass at a time; a failed pass is reported to its caller and does not stop the next
+  let pruning = Promise.resolve();
+  const schedulePrune = (now) => {
+    const pass = pruning.then(() => ready).then(() => prune(now));
+    pruning = pass.catch(() => {});
+    return pass;
+  };
+  if (directory) {
+    schedulePrune(Date.now()).catch(error => console.error('Response cache prune failed:', error.message));
+  }
+
+  const remember = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+  };
+
+  const readFile = async (key) => {
+    if (!directory || !isCacheKey(key)) return null;
+    await ready;
+    try {
+      return JSON.parse(await fs.readFile(fileFor(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const forget = async (key) => {
+    entries.delete(key);
+    if (directory) await fs.rm(fileFor(key), { force: true });
+  };
+
+  return {
+    type: directory ? 'file' : 'memory',
+    ttlMs,
+
+    // The cached value with its cachedAt / expiresAt, or null
+    async get(key, now = Date.now()) {
+      const entry = entries.get(key) || await readFile(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= now) {
+        await forget(key);
+        return null;
+      }
+      remember(key, entry);
+      return entry;
+    },
+
+    async set(key, value, now = Date.now()) {
+      const entry = { value, cachedAt: now, expiresAt: now + ttlMs };
+      remember(key, entry);
+      if (directory && isCacheKey(key)) {
+        await ready;
+        // Write then rename so a crash never leaves a half-written entry
+        const tmpFile = `${fileFor(key)}.${process.pid}.tmp`;
+        await fs.writeFile(tmpFile, JSON.stringify(entry));
+        await fs.rename(tmpFile, fileFor(key));
+        await schedulePrune(now);
+      }
+    }
+  };
+};
+
+/**
+ * Pick the store from the environment, or null when caching is off:
+ *   RESPONSE_CACHE=memory|file|off (default memory)
+ *   RESPONSE_CACHE_TTL_HOURS (default 24)
+ *   RESPONSE_CACHE_MAX_ENTRIES (default 100, entries kept in memory, and on disk)
+ *   RESPONSE_CACHE_DIR (default backend/data/cache)
+ */
+export const createResponseCache = (env = process.env) => {
+  const type = env.RESPONSE_CACHE || 'memory';
+  if (type === 'off') return null;
+
+  const ttlHours = env.RESPONSE_CACHE_TTL_HOURS === undefined ? DEFAULT_TTL_HOURS : Number(env.RESPONSE_CACHE_TTL_HOURS);
+  const maxEntries = env.RESPONSE_CACHE_MAX_ENTRIES === undefined ? DEFAULT_MAX_ENTRIES : Number(env.RESPONSE_CACHE_MAX_ENTRIES);
+  if (!(ttlHours > 0)) throw new Error(`Invalid RESPONSE_CACHE_TTL_HOURS "${env.RESPONSE_CACHE_TTL_HOURS}" (expected a number of hours)`);
+  if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+    throw new Error(`Invalid RESPONSE_CACHE_MAX_ENTRIES "${env.RESPONSE_CACHE_MAX_ENTRIES}" (expected a whole number)`);
+  }
+
+  const options = { ttlMs: ttlHours * HOUR_MS, maxEntries };
+  if (type === 'memory') return createCache(options);
+  if (type === 'file') return createCache({ ...options, directory: env.RESPONSE_CACHE_DIR || DEFAULT_CACHE_DIR });
+  throw new Error(`Unknown RESPONSE_CACHE "${type}" (expected "memory", "file" or "off")`);
+};
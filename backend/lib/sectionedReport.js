@@ -0,0 +1,156 @@
+/**
+ * Section-by-section report generation.
+ *
+ * A report written in one completion can reach its output token limit before
+ * the end (large profiles lost 5. FINANCIAL ANALYSIS and everything after it).
+ * Here every REPORT_SECTIONS entry is its own call, all sharing the same
+ * assessment context: the sections written from the assessment alone go out in
+ * parallel, then the ones that summarize them (the executive summary, with the
+ * title block, and the conclusion) are written from those. A call that stops at
+ * its token limit only cuts off its own section; it is listed in `truncated`
+ * and can be written again on its own (POST /api/analyze/section).
+ *
+ * Prompt versions of the whole layout (v1) write the report in one call
+ * instead (generateWholeReport).
+ */
+
+import { splitReportSections } from '../../src/shared/reportDiff.js';
+import { REPORT_SECTIONS, findSection } from '../../src/shared/reportSections.js';
+import { TRUNCATED_STOP_REASONS } from './providers/index.js';
+
+// Written from the assessment, in parallel
+export const INDEPENDENT_SECTIONS = REPORT_SECTIONS.filter(section => !section.summarizes).map(section => section.id);
+// Written once the independent sections exist, from them
+export const SUMMARIZING_SECTIONS = REPORT_SECTIONS.filter(section => section.summarizes).map(section => section.id);
+
+const joinSections = (sections) => sections
+  .map(({ heading, body }) => (heading ? `## ${heading}\n\n${body}` : body))
+  .join('\n\n');
+
+// The executive summary of a new report also writes the title block above it
+const withTitle = (id) => id === 'summary';
+
+// A reply cut off at the token limit can stop inside an HTML tag, a table or a code block. Left open, the
+// sections after it would render as part of it
+const closeOpenBlocks = (reply) => {
+  let text = reply.replace(/<[^<>]*$/, '').trimEnd();
+  const fences = text.match(/^ {0,3}(`{3,}|~{3,})/gm) || [];
+  if (fences.length % 2 === 1) text += `\n${fences[fences.length - 1].trim()}`;
+  if ((text.match(/<table\b/gi) || []).length > (text.match(/<\/table>/gi) || []).length) text += '\n</table>';
+  return text;
+};
+
+/**
+ * The requested section of a model reply, under its `## ` heading (for the
+ * executive summary of a new report, with the title block before it). A reply
+ * without the heading is kept whole under the template heading; blocks a
+ * cut-off reply left open are closed.
+ */
+export const extractSection = (reply, id, { title = false } = {}) => {
+  const text = closeOpenBlocks(reply);
+  const sections = splitReportSections(text);
+  const at = findSection(sections, id);
+  if (at === -1) return `## ${REPORT_SECTIONS.find(section => section.id === id).heading}\n\n${text.trim()}`;
+  if (!title) return joinSections([sections[at]]);
+
+  // Text before the `# ` title line is the model talking, not the report
+  const [lead, ...rest] = sections.slice(0, at + 1);
+  const titleLine = lead.heading ? 0 : lead.body.search(/^# /m);
+  return joinSections([...(titleLine === -1 ? [] : [{ ...lead, body: lead.body.slice(titleLine) }]), ...rest]);
+};
+
+/**
+ * The report sections of a report, for a prompt: no title block, no
+ * disclaimer, and without the `exclude` ids.
+ */
+export const otherSections = (markdown, exclude = []) => {
+  const sections = splitReportSections(markdown);
+  return joinSections(REPORT_SECTIONS
+    .filter(section => !exclude.includes(section.id))
+    .map(section => sections[findSection(sections, section.id)])
+    .filter(Boolean));
+};
+
+/**
+ * Every call of a report, for cost projection: its prompt (summarizing
+ * sections without the sections they are given) and how many written sections
+ * it reads.
+ * @param {(id: string, options: {written: string, withTitle: boolean}) => string} buildPrompt
+ * @returns {Array<{id: string, prompt: string, reads: number}>}
+ */
+export const planSectionedReport = (buildPrompt) => REPORT_SECTIONS.map(({ id, summarizes }) => ({
+  id,
+  prompt: buildPrompt(id, { written: '', withTitle: withTitle(id) }),
+  reads: summarizes ? INDEPENDENT_SECTIONS.length : 0
+}));
+
+// An AbortController that also aborts with signal (AbortSignal.any() needs Node 18.17)
+const followingController = (signal) => {
+  const controller = new AbortController();
+  if (signal?.aborted) controller.abort(signal.reason);
+  else signal?.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+  return controller;
+};
+
+/**
+ * Write a report, one call per section. The first call that fails aborts the
+ * others and rejects.
+ * @param {Object} options
+ * @param {(id: string, options: {written: string, withTitle: boolean}) => string} options.buildPrompt - prompt of
+ *   one section (lib/prompts.js buildSectionPrompt)
+ * @param {(prompt: string, options: {id: string, signal: AbortSignal}) => Promise<{text: string, stopReason: string}>} options.complete -
+ *   one call; id is the section it writes
+ * @param {(section: {id: string, markdown: string, truncated: boolean}) => void} [options.onSection] - each
+ *   section as soon as it is written
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{markdown: string, stopReason: string, truncated: string[]}>} the report without its
+ *   disclaimer; stopReason is the first cut-off section's, otherwise the conclusion's
+ */
+export const generateSectionedReport = async ({ buildPrompt, complete, onSection = () => {}, signal }) => {
+  const failed = followingController(signal);
+  const written = {};
+  const stopReasons = {};
+
+  const writeSection = async (id, context) => {
+    const { text, stopReason } = await complete(buildPrompt(id, { written: context, withTitle: withTitle(id) }), { id, signal: failed.signal });
+    written[id] = extractSection(text, id, { title: withTitle(id) });
+    stopReasons[id] = stopReason;
+    onSection({ id, markdown: written[id], truncated: TRUNCATED_STOP_REASONS.includes(stopReason) });
+  };
+
+  const writeStage = (ids, context) => Promise.all(ids.map(id => writeSection(id, context).catch(error => {
+    failed.abort(error);
+    throw error;
+  })));
+
+  await writeStage(INDEPENDENT_SECTIONS, '');
+  await writeStage(SUMMARIZING_SECTIONS, INDEPENDENT_SECTIONS.map(id => written[id]).join('\n\n'));
+
+  const ids = REPORT_SECTIONS.map(section => section.id);
+  const truncated = ids.filter(id => TRUNCATED_STOP_REASONS.includes(stopReasons[id]));
+  return {
+    markdown: ids.map(id => written[id]).join('\n\n'),
+    stopReason: stopReasons[truncated[0] ?? ids[ids.length - 1]],
+    truncated
+  };
+};
+
+/**
+ * Write a report in one call (prompt versions of the whole layout). A reply cut
+ * off at the token limit lists the last section it reached as truncated.
+ * @param {Object} options
+ * @param {string} options.prompt - lib/prompts.js buildAnalysisPrompt
+ * @param {(prompt: string, options: {id: null, signal: AbortSignal}) => Promise<{text: string, stopReason: string}>} options.complete
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{markdown: string, stopReason: string, truncated: string[]}>} as generateSectionedReport()
+ */
+export const generateWholeReport = async ({ prompt, complete, signal }) => {
+  const { text, stopReason } = await complete(prompt, { id: null, signal });
+  const sections = splitReportSections(text);
+  const reached = REPORT_SECTIONS.map(section => section.id).filter(id => findSection(sections, id) !== -1);
+  return {
+    markdown: text,
+    stopReason,
+    truncated: TRUNCATED_STOP_REASONS.includes(stopReason) ? reached.slice(-1) : []
+  };
+};
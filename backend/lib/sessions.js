@@ -0,0 +1,86 @@
+/**
+ * Browser session tokens.
+ *
+ * The frontend is a public site, so any client API key built into it can be
+ * read by anyone. Instead the browser asks POST /api/session for a short-lived
+ * token that stands for the site's client key (SESSION_KEY): its requests
+ * count against that key's quotas. A token is signed with SESSION_SECRET
+ * (HMAC-SHA256), expires after SESSION_TTL_MINUTES and is bound to the IP
+ * address it was issued to, so one copied out of the browser is of no use
+ * elsewhere, and new ones are only handed out at the per-IP rate limit.
+ *
+ * A token looks like ais_<payload>.<signature> (both base64url); the payload
+ * is { key, ip, exp } with the IP hashed.
+ */
+
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+
+const TOKEN_PATTERN = /^ais_([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]{43})$/;
+const MIN_SECRET_LENGTH = 32;
+export const DEFAULT_SESSION_TTL_MINUTES = 15;
+
+const hashIp = (ip) => createHash('sha256').update(String(ip)).digest('base64url').slice(0, 22);
+
+// A session token rather than a client API key
+export const isSessionToken = (value) => typeof value === 'string' && value.startsWith('ais_');
+
+/**
+ * @param {{secret: string, keyId: string, ttlMinutes?: number}} options
+ */
+export const createSessionSigner = ({ secret, keyId, ttlMinutes = DEFAULT_SESSION_TTL_MINUTES }) => {
+  if (!secret || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`SESSION_SECRET must be at least ${MIN_SECRET_LENGTH} characters`);
+  }
+  if (!Number.isFinite(ttlMinutes) || ttlMinutes <= 0) {
+    throw new Error('SESSION_TTL_MINUTES must be a positive number');
+  }
+  const sign = (payload) => createHmac('sha256', secret).update(payload).digest('base64url');
+
+  return {
+    keyId,
+    ttlMinutes,
+
+    // A token for the browser at ip
+    issue(ip, now = Date.now()) {
+      const expiresAt = now + ttlMinutes * 60 * 1000;
+      const payload = Buffer.from(JSON.stringify({ key: keyId, ip: hashIp(ip), exp: expiresAt })).toString('base64url');
+      return { token: `ais_${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString() };
+    },
+
+    // The client key id a token stands for, or null (bad signature, expired, another IP or another key)
+    verify(token, ip, now = Date.now()) {
+      const match = typeof token === 'string' && token.match(TOKEN_PATTERN);
+      if (!match) return null;
+      const presented = Buffer.from(match[2]);
+      const expected = Buffer.from(sign(match[1]));
+      if (presented.length !== expected.length || !timingSafeEqual(presented, expected)) return null;
+
+      let payload;
+      try {
+        payload = JSON.parse(Buffer.from(match[1], 'base64url').toString('utf8'));
+      } catch (error) {
+        return null;
+      }
+      // Tokens of a previous SESSION_KEY stop working when it changes
+      if (payload.key !== keyId || payload.ip !== hashIp(ip) || !(payload.exp > now)) return null;
+      return payload.key;
+    }
+  };
+};
+
+/**
+ * Pick the configuration from the environment; null when browser sessions are off:
+ *   SESSION_SECRET (at least 32 characters) and SESSION_KEY (the id of the site's client key) turn them on
+ *   SESSION_TTL_MINUTES (default 15)
+ */
+export const createSessions = (env = process.env) => {
+  if (!env.SESSION_SECRET && !env.SESSION_KEY) return null;
+  if (!env.SESSION_SECRET || !env.SESSION_KEY) {
+    throw new Error('Browser sessions need both SESSION_SECRET and SESSION_KEY');
+  }
+  return createSessionSigner({
+    secret: env.SESSION_SECRET,
+    keyId: env.SESSION_KEY,
+    ttlMinutes: env.SESSION_TTL_MINUTES === undefined ? DEFAULT_SESSION_TTL_MINUTES : Number(env.SESSION_TTL_MINUTES)
+  });
+};
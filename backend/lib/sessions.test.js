@@ -0,0 +1,75 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSessionSigner, createSessions, isSessionToken } from './sessions.js';
+
+const SECRET = 'a'.repeat(32);
+const IP = '203.0.113.7';
+const NOW = Date.parse('2026-10-19T12:00:00.000Z');
+const MINUTE = 60 * 1000;
+
+const signer = createSessionSigner({ secret: SECRET, keyId: 'site', ttlMinutes: 15 });
+const issued = signer.issue(IP, NOW).token;
+
+// The token with the last character of its payload or its signature changed
+const tamper = (token, part) => {
+  const [payload, signature] = token.split('.');
+  const flip = (text) => `${text.slice(0, -1)}${text.endsWith('A') ? 'B' : 'A'}`;
+  return part === 'payload' ? `${flip(payload)}.${signature}` : `${payload}.${flip(signature)}`;
+};
+
+// A token with a valid signature over a payload of our choosing
+const signed = (payload) => {
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  const [, signature] = tamper(issued, 'payload').split('.');
+  return `ais_${encoded}.${signature}`;
+};
+
+describe('verify', () => {
+  test('accepts a fresh token from the IP it was issued to', () => {
+    const { token, expiresAt } = signer.issue(IP, NOW);
+
+    assert.ok(isSessionToken(token));
+    assert.equal(expiresAt, '2026-10-19T12:15:00.000Z');
+    assert.equal(signer.verify(token, IP, NOW + 14 * MINUTE), 'site');
+  });
+
+  const rejected = [
+    ['from another IP', () => signer.verify(issued, '203.0.113.8', NOW)],
+    ['expired', () => signer.verify(issued, IP, NOW + 15 * MINUTE)],
+    ['with a tampered payload', () => signer.verify(tamper(issued, 'payload'), IP, NOW)],
+    ['with a tampered signature', () => signer.verify(tamper(issued, 'signature'), IP, NOW)],
+    ['with a payload under another signature', () => signer.verify(signed({ key: 'site', ip: 'x', exp: NOW * 2 }), IP, NOW)],
+    ['signed with another secret', () => signer.verify(createSessionSigner({ secret: 'b'.repeat(32), keyId: 'site' }).issue(IP, NOW).token, IP, NOW)],
+    ['issued for another key', () => signer.verify(createSessionSigner({ secret: SECRET, keyId: 'other' }).issue(IP, NOW).token, IP, NOW)],
+    ['that is a client API key', () => signer.verify('aia_0123456789ab_0123456789abcdef0123456789abcdef', IP, NOW)],
+    ['that is not a string', () => signer.verify(undefined, IP, NOW)]
+  ];
+  rejected.forEach(([name, verify]) => {
+    test(`rejects a token ${name}`, () => {
+      assert.equal(verify(), null);
+    });
+  });
+});
+
+describe('createSessions', () => {
+  test('is off without SESSION_SECRET and SESSION_KEY', () => {
+    assert.equal(createSessions({}), null);
+  });
+
+  test('needs both variables', () => {
+    assert.throws(() => createSessions({ SESSION_SECRET: SECRET }), /both SESSION_SECRET and SESSION_KEY/);
+    assert.throws(() => createSessions({ SESSION_KEY: 'site' }), /both SESSION_SECRET and SESSION_KEY/);
+  });
+
+  test('refuses a short secret or a bad lifetime', () => {
+    assert.throws(() => createSessions({ SESSION_SECRET: 'short', SESSION_KEY: 'site' }), /at least 32 characters/);
+    assert.throws(() => createSessions({ SESSION_SECRET: SECRET, SESSION_KEY: 'site', SESSION_TTL_MINUTES: 'soon' }), /positive number/);
+  });
+
+  test('reads the key and lifetime', () => {
+    const sessions = createSessions({ SESSION_SECRET: SECRET, SESSION_KEY: 'site', SESSION_TTL_MINUTES: '5' });
+    assert.equal(sessions.keyId, 'site');
+    assert.equal(sessions.ttlMinutes, 5);
+    assert.equal(sessions.verify(sessions.issue(IP, NOW).token, IP, NOW + 6 * MINUTE), null);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Server-Sent Events helpers
+ * - parseEventStream: read an upstream SSE response (Anthropic / OpenRouter)
+ * - openEventStream / sendEvent: relay events to the browser
+ */
+
+/**
+ * Iterate over the events of an SSE response body.
+ * Yields { event, data } where data is the raw (unparsed) data string.
+ * Comment lines (": keep-alive") are skipped.
+ */
+export async function* parseEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const parseBlock = (block) => {
+    let event = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (!line || line.startsWith(':')) continue;
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+      if (field === 'event') event = value;
+      if (field === 'data') data.push(value);
+    }
+    return data.length > 0 ? { event, data: data.join('\n') } : null;
+  };
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      const parsed = parseBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (parsed) yield parsed;
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  const trailing = parseBlock(buffer.trim());
+  if (trailing) yield trailing;
+}
+
+// Switch an Express response into SSE mode
+export const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx, Railway)
+  });
+  res.flushHeaders();
+};
+
+export const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
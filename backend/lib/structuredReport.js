@@ -0,0 +1,55 @@
+/**
+ * Structured report generation.
+ *
+ * After the markdown report is written, a second call turns it into JSON that
+ * follows REPORT_SCHEMA. Output that fails to parse or validate is sent back
+ * to the model with the errors for a repair pass. The extraction and repair
+ * prompts are templates of the prompt version in use (lib/prompts.js).
+ */
+
+import { validateStructuredReport } from '../../src/shared/reportSchema.js';
+
+// Extraction calls after the first (the most a structured report can cost is 1 + MAX_REPAIR_PASSES calls)
+export const MAX_REPAIR_PASSES = 1;
+
+// Models sometimes wrap JSON in fences or add a sentence around it
+export const parseJsonObject = (text) => {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end <= start) throw new Error('No JSON object in model output');
+  return JSON.parse(text.slice(start, end + 1));
+};
+
+/**
+ * Produce a validated structured report from a finished markdown report.
+ * @param {(prompt: string) => Promise<{text: string, usage: {input: number, output: number}}>} complete
+ * @param {Object} prompts - loadPrompts() builders
+ * @param {string} [language] - language of the report, as named in the prompt (e.g. "German")
+ * @param {string} [currency] - currency code the report's figures are in
+ * @returns {Promise<{data: Object|null, errors: string[], passes: number, usage: {input: number, output: number}}>}
+ *   data is null when the output still fails validation after the repair passes
+ */
+export const generateStructuredReport = async ({ complete, prompts, report, compliance, language = 'English', currency = 'USD' }) => {
+  const usage = { input: 0, output: 0 };
+  let prompt = prompts.buildExtractionPrompt(report, compliance, language, currency);
+  let errors = [];
+
+  for (let pass = 1; pass <= MAX_REPAIR_PASSES + 1; pass++) {
+    const result = await complete(prompt);
+    usage.input += result.usage.input;
+    usage.output += result.usage.output;
+
+    let data;
+    try {
+      data = parseJsonObject(result.text);
+      errors = validateStructuredReport(data, compliance);
+    } catch (error) {
+      errors = [`Invalid JSON: ${error.message}`];
+    }
+
+    if (errors.length === 0) return { data, errors, passes: pass, usage };
+    prompt = prompts.buildRepairPrompt(result.text, errors.slice(0, 20));
+  }
+
+  return { data: null, errors, passes: MAX_REPAIR_PASSES + 1, usage };
+};
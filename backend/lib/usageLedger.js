@@ -0,0 +1,222 @@
+/**
+ * Usage ledger - one entry per analysis request that reached a model or the
+ * response cache, with its provider, tokens, cost (USD), duration, outcome and
+ * client key, so spend can be reported by day, provider and client
+ * (GET /api/usage).
+ *
+ * Entries are only appended; pruning drops the ones older than the retention
+ * period and rewrites the rest.
+ *
+ * Adapters implement: append(entry), read() -> entries, replace(entries)
+ *   - file:   JSON Lines file (default), survives restarts
+ *   - memory: process memory only (tests)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_LEDGER_FILE = fileURLToPath(new URL('../data/usage.jsonl', import.meta.url));
+const DEFAULT_RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const createMemoryAdapter = () => {
+  let entries = [];
+  return {
+    type: 'memory',
+    async append(entry) {
+      entries.push(entry);
+    },
+    async read() {
+      return entries;
+    },
+    async replace(next) {
+      entries = next;
+    }
+  };
+};
+
+export const createFileAdapter = (file) => {
+  const ready = fs.mkdir(path.dirname(file), { recursive: true });
+  ready.catch(() => {}); // Surfaced on the first append/read instead of crashing at startup
+
+  return {
+    type: 'file',
+    async append(entry) {
+      await ready;
+      await fs.appendFile(file, `${JSON.stringify(entry)}\n`);
+    },
+    async read() {
+      await ready;
+      let text;
+      try {
+        text = await fs.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+      // A crash in the middle of an append leaves at most one broken line - skip it
+      return text.split('\n').flatMap(line => {
+        if (!line.trim()) return [];
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return [];
+        }
+      });
+    },
+    async replace(entries) {
+      await ready;
+      // Write then rename so a crash never loses the ledger
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmpFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''));
+      await fs.rename(tmpFile, file);
+    }
+  };
+};
+
+/**
+ * @param {Object} adapter
+ * @param {number} retentionDays - entries older than this are pruned; 0 keeps everything
+ */
+export const createLedger = (adapter, retentionDays) => {
+  // Appends and pruning must not interleave, or a prune would drop entries written meanwhile
+  let queue = Promise.resolve();
+  const exclusive = (operation) => {
+    const run = queue.then(operation);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    type: adapter.type,
+    retentionDays,
+
+    /**
+     * @param {{timestamp: string, endpoint: string, client: string|null, provider: string, requestedProvider: string,
+     *   model: string, inputTokens: number, outputTokens: number, cost: number, costSaved: number, cached: boolean,
+     *   duration: number, outcome: string}} entry
+     */
+    record(entry) {
+      return exclusive(() => adapter.append(entry));
+    },
+
+    // Entries with a timestamp in [from, to), optionally of one client
+    async entries({ from, to, client } = {}) {
+      return (await adapter.read()).filter(entry => (!from || entry.timestamp >= from.toISOString())
+        && (!to || entry.timestamp < to.toISOString())
+        && (client === undefined || entry.client === client));
+    },
+
+    // Drop entries past the retention period; returns how many were removed
+    prune(now = new Date()) {
+      if (!retentionDays) return Promise.resolve(0);
+      const cutoff = new Date(now.getTime() - retentionDays * DAY_MS).toISOString();
+      return exclusive(async () => {
+        const entries = await adapter.read();
+        const kept = entries.filter(entry => entry.timestamp >= cutoff);
+        if (kept.length !== entries.length) await adapter.replace(kept);
+        return entries.length - kept.length;
+      });
+    }
+  };
+};
+
+/**
+ * Pick the adapter from the environment:
+ *   USAGE_LEDGER=file|memory (default file)
+ *   USAGE_LEDGER_FILE (default backend/data/usage.jsonl)
+ *   USAGE_RETENTION_DAYS (default 90, 0 = keep forever)
+ */
+export const createUsageLedger = (env = process.env) => {
+  const type = env.USAGE_LEDGER || 'file';
+  const retentionDays = env.USAGE_RETENTION_DAYS === undefined ? DEFAULT_RETENTION_DAYS : Number(env.USAGE_RETENTION_DAYS);
+  if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+    throw new Error(`Invalid USAGE_RETENTION_DAYS "${env.USAGE_RETENTION_DAYS}" (expected a number of days, 0 = keep forever)`);
+  }
+
+  if (type === 'memory') return createLedger(createMemoryAdapter(), retentionDays);
+  if (type === 'file') return createLedger(createFileAdapter(env.USAGE_LEDGER_FILE || DEFAULT_LEDGER_FILE), retentionDays);
+  throw new Error(`Unknown USAGE_LEDGER "${type}" (expected "file" or "memory")`);
+};
+
+const emptyTotals = () => ({ requests: 0, succeeded: 0, failed: 0, cached: 0, inputTokens: 0, outputTokens: 0, cost: 0, costSaved: 0, duration: 0 });
+
+const addEntry = (totals, entry) => {
+  totals.requests += 1;
+  if (entry.outcome === 'success') totals.succeeded += 1;
+  else totals.failed += 1;
+  // Entries written before the response cache existed have no cached / costSaved
+  if (entry.cached) totals.cached += 1;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.cost += entry.cost;
+  totals.costSaved += entry.costSaved || 0;
+  totals.duration += entry.duration;
+  return totals;
+};
+
+const roundUsd = (amount) => Math.round(amount * 1_000_000) / 1_000_000;
+
+// Summed duration -> average; amounts rounded to a millionth of a dollar
+const finishTotals = ({ duration, cost, costSaved, ...totals }) => ({
+  ...totals,
+  cost: roundUsd(cost),
+  costSaved: roundUsd(costSaved),
+  averageDuration: totals.requests > 0 ? Math.round(duration / totals.requests) : 0
+});
+
+const groupEntries = (entries, keyOf, describe) => {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = keyOf(entry);
+    if (!groups.has(key)) groups.set(key, { ...describe(entry), totals: emptyTotals() });
+    addEntry(groups.get(key).totals, entry);
+  });
+  return [...groups.values()].map(({ totals, ...group }) => ({ ...group, ...finishTotals(totals) }));
+};
+
+const day = (entry) => entry.timestamp.slice(0, 10);
+
+/**
+ * Totals plus the same figures by day, by provider and model, and by client (most
+ * expensive first for providers and clients). Each group has requests,
+ * succeeded, failed, cached (served from the response cache), inputTokens,
+ * outputTokens, cost and costSaved (USD) and averageDuration (ms).
+ */
+export const summarizeUsage = (entries) => ({
+  totals: finishTotals(entries.reduce(addEntry, emptyTotals())),
+  byDay: groupEntries(entries, day, entry => ({ date: day(entry) }))
+    .sort((a, b) => a.date.localeCompare(b.date)),
+  byProvider: groupEntries(entries, entry => `${entry.provider}|${entry.model}`, entry => ({ provider: entry.provider, model: entry.model }))
+    .sort((a, b) => b.cost - a.cost),
+  byClient: groupEntries(entries, entry => entry.client, entry => ({ client: entry.client }))
+    .sort((a, b) => b.cost - a.cost)
+});
+
+const CSV_COLUMNS = ['date', 'client', 'clientName', 'provider', 'model', 'requests', 'succeeded', 'failed', 'cached',
+  'inputTokens', 'outputTokens', 'cost', 'costSaved', 'averageDuration'];
+
+// Quote when needed; a leading =, +, - or @ is neutralised so spreadsheets do not run it as a formula
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV row per day, client and provider/model (the finest grouping, so any of
+ * the three views can be rebuilt from it in a spreadsheet). cost and costSaved are USD.
+ * @param {Array} entries
+ * @param {Object} [clientNames] - client id -> key name
+ */
+export const usageToCsv = (entries, clientNames = {}) => {
+  const rows = groupEntries(
+    entries,
+    entry => `${day(entry)}|${entry.client}|${entry.provider}|${entry.model}`,
+    entry => ({ date: day(entry), client: entry.client, clientName: clientNames[entry.client] ?? null, provider: entry.provider, model: entry.model })
+  ).sort((a, b) => a.date.localeCompare(b.date) || String(a.client).localeCompare(String(b.client)) || a.provider.localeCompare(b.provider) || a.model.localeCompare(b.model));
+
+  return [CSV_COLUMNS.join(','), ...rows.map(row => CSV_COLUMNS.map(column => csvCell(row[column])).join(','))].join('\n') + '\n';
+};
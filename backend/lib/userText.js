@@ -0,0 +1,42 @@
+/**
+ * Free-text answers (and reports sent back for rewriting) in the analysis prompt.
+ *
+ * Typed-in text is untrusted: it is sanitized first (sanitizeResponses), then
+ * kept out of the JSON answers and placed in fenced blocks whose boundary
+ * contains a random token, so the text cannot close its own fence and pose
+ * as instructions. Fence-like markers in the text are removed as well.
+ */
+
+import { randomBytes } from 'crypto';
+import { freeTextQuestions } from './questionBank.js';
+
+const isFreeText = (key) => freeTextQuestions.some(question => question.id === key);
+
+// The answers without the free-text fields, for the JSON part of the prompt
+export const withoutFreeText = (responses) => Object.fromEntries(Object.entries(responses)
+  .filter(([key]) => !isFreeText(key)));
+
+// Prompt block with every free-text answer fenced; the token differs per call
+export const formatUserTextForPrompt = (responses) => {
+  const answered = freeTextQuestions.filter(question => typeof responses[question.id] === 'string');
+  if (answered.length === 0) return 'None - the user typed no free-text answers.';
+
+  const token = randomBytes(8).toString('hex');
+  return answered
+    .map(question => [
+      `<<<USER_TEXT_${token} field="${question.id}" question="${question.question}">>>`,
+      responses[question.id].replace(/<{3,}|>{3,}/g, ''),
+      `<<<END_USER_TEXT_${token}>>>`
+    ].join('\n'))
+    .join('\n\n');
+};
+
+// The current report for a section rewrite - it comes from the client, so it is fenced the same way
+export const formatReportForPrompt = (report) => {
+  const token = randomBytes(8).toString('hex');
+  return [
+    `<<<REPORT_${token}>>>`,
+    report.replace(/<{3,}|>{3,}/g, ''),
+    `<<<END_REPORT_${token}>>>`
+  ].join('\n');
+};
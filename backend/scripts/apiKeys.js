@@ -0,0 +1,113 @@
+#!/usr/bin/env node
+/**
+ * Manage client API keys and their monthly quotas. Works on the key file the
+ * server reads (API_KEY_STORE_FILE, default backend/data/api-keys.json);
+ * changes apply to a running server straight away.
+ *
+ * Usage: npm run keys -- <command>
+ *   list
+ *   create <name> [--requests N|none] [--spend USD|none]
+ *   rotate <id>
+ *   revoke <id>
+ *   quota <id> [--requests N|none] [--spend USD|none]
+ *   export
+ *
+ * Keys are printed once, by create and rotate - only a hash is stored.
+ * export prints the active keys (hashes and quotas, no usage) as the value of
+ * API_KEYS, for hosts without a persistent disk (API_KEY_STORE=env).
+ */
+
+import dotenv from 'dotenv';
+import { createApiKeyStore, DEFAULT_QUOTA } from '../lib/apiKeys.js';
+
+dotenv.config();
+
+const USAGE = `Usage: npm run keys -- <command>
+  list
+  create <name> [--requests N|none] [--spend USD|none]
+  rotate <id>
+  revoke <id>
+  quota <id> [--requests N|none] [--spend USD|none]
+  export
+
+Defaults for new keys: --requests ${DEFAULT_QUOTA.monthlyRequests} --spend ${DEFAULT_QUOTA.monthlySpend}. "none" means unlimited.
+export prints the value of API_KEYS for API_KEY_STORE=env (run it as: npm run -s keys -- export).`;
+
+// --requests / --spend -> { monthlyRequests, monthlySpend } (only the ones given)
+const parseQuota = (args) => {
+  const quota = {};
+  const options = { '--requests': 'monthlyRequests', '--spend': 'monthlySpend' };
+  for (let i = 0; i < args.length; i += 2) {
+    const field = options[args[i]];
+    const value = args[i + 1];
+    if (!field || value === undefined) throw new Error(`Unexpected argument "${args[i]}"`);
+    if (value === 'none') {
+      quota[field] = null;
+    } else {
+      const number = Number(value);
+      if (!Number.isFinite(number) || number < 0 || (field === 'monthlyRequests' && !Number.isInteger(number))) {
+        throw new Error(`${args[i]} must be ${field === 'monthlyRequests' ? 'a whole number' : 'an amount in USD'} or "none"`);
+      }
+      quota[field] = number;
+    }
+  }
+  return quota;
+};
+
+const formatQuota = (limit, used, format) => `${format(used)} / ${limit === null ? 'unlimited' : format(limit)}`;
+
+const describe = (record) => {
+  const status = record.revokedAt ? `revoked ${record.revokedAt}` : 'active';
+  return [
+    `${record.id}  ${record.name}  (${status})`,
+    `  created ${record.createdAt}${record.rotatedAt ? `, rotated ${record.rotatedAt}` : ''}`,
+    `  ${record.usage.month}: requests ${formatQuota(record.quota.monthlyRequests, record.usage.requests, String)}, `
+      + `spend ${formatQuota(record.quota.monthlySpend, record.usage.spend, amount => `$${amount.toFixed(2)}`)}`
+  ].join('\n');
+};
+
+const run = async ([command, ...args]) => {
+  const store = createApiKeyStore();
+
+  switch (command) {
+    case 'list': {
+      const records = await store.list();
+      console.log(records.length > 0 ? records.map(describe).join('\n\n') : 'No API keys yet - create one with: npm run keys -- create <name>');
+      return;
+    }
+    case 'create': {
+      const [name, ...options] = args;
+      if (!name || name.startsWith('--')) throw new Error('create needs a name');
+      const { key, record } = await store.create({ name, quota: parseQuota(options) });
+      console.log(`${describe(record)}\n\nAPI key (shown only now):\n${key}`);
+      return;
+    }
+    case 'rotate': {
+      if (!args[0]) throw new Error('rotate needs a key id');
+      const { key, record } = await store.rotate(args[0]);
+      console.log(`${describe(record)}\n\nNew API key (shown only now - the old one no longer works):\n${key}`);
+      return;
+    }
+    case 'revoke': {
+      if (!args[0]) throw new Error('revoke needs a key id');
+      console.log(describe(await store.revoke(args[0])));
+      return;
+    }
+    case 'quota': {
+      const [id, ...options] = args;
+      if (!id || options.length === 0) throw new Error('quota needs a key id and --requests and/or --spend');
+      console.log(describe(await store.setQuota(id, parseQuota(options))));
+      return;
+    }
+    case 'export':
+      console.log(JSON.stringify(await store.export()));
+      return;
+    default:
+      throw new Error(command ? `Unknown command "${command}"` : 'No command given');
+  }
+};
+
+run(process.argv.slice(2)).catch(error => {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+});
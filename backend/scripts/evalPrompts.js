@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation of the report prompts (backend/prompts/<version>/).
+ *
+ * Every fixture in eval/fixtures is an assessment profile. Its report is
+ * written the way the server writes it (section by section, or in one call
+ * for versions of the whole layout), with the disclaimer appended: by a
+ * provider from providers.json (PROVIDERS_JSON can point one at a mock
+ * server), or replayed from eval/recordings/<version>/<fixture>.json - each
+ * call is answered with its part of the recorded report, so every prompt is
+ * still rendered from the version's templates.
+ * Each report is checked for:
+ *   - every report section, EXECUTIVE SUMMARY to 7. CONCLUSION, in order, and
+ *     the DISCLAIMER exactly once (the model must not write its own)
+ *   - an HTML table in every section whose template has one
+ *   - a mention of every compliance regime the rules engine marks REQUIRED for
+ *     the profile, in 2. COMPLIANCE & REGULATORY FRAMEWORK
+ *   - no section cut off at the token limit
+ *   - prompts that ask for their part of the report template, and summarizing
+ *     sections that are given the sections written before them
+ *
+ * Usage: npm run eval:prompts -- [--version v2] [--provider <id> [--record]] [--fixture <name>]...
+ *   --version   prompt version to evaluate (default PROMPT_VERSION, then the current one)
+ *   --provider  write the reports with this provider instead of replaying recordings
+ *   --record    save those reports as the recordings of the version
+ *   --fixture   only these fixtures (file names without .json)
+ *
+ * Exits with 1 when any check fails.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { createProviderRegistry, TRUNCATED_STOP_REASONS } from '../lib/providers/index.js';
+import { loadPrompts, DEFAULT_PROMPT_VERSION, MAX_OUTPUT_TOKENS, MAX_SECTION_TOKENS } from '../lib/prompts.js';
+import { generateSectionedReport, generateWholeReport, extractSection, INDEPENDENT_SECTIONS } from '../lib/sectionedReport.js';
+import { questions } from '../lib/questionBank.js';
+import { evaluateCompliance } from '../../src/shared/complianceRules.js';
+import { estimateCosts } from '../../src/shared/costModel.js';
+import { scoreRisks } from '../../src/shared/riskScoring.js';
+import { evaluateTimeline } from '../../src/shared/timelineFeasibility.js';
+import { sanitizeResponses } from '../../src/shared/questionBank.js';
+import { isSupportedLanguage } from '../../src/shared/i18n.js';
+import { isSupportedCurrency } from '../../src/shared/currency.js';
+import { DISCLAIMERS, reportDisclaimer } from '../../src/shared/disclaimers.js';
+import { splitReportSections } from '../../src/shared/reportDiff.js';
+import { REPORT_SECTIONS, findSection, changedAnswers } from '../../src/shared/reportSections.js';
+
+dotenv.config();
+
+const FIXTURES_DIR = fileURLToPath(new URL('../eval/fixtures', import.meta.url));
+const RECORDINGS_DIR = fileURLToPath(new URL('../eval/recordings', import.meta.url));
+
+const USAGE = `Usage: npm run eval:prompts -- [--version v2] [--provider <id> [--record]] [--fixture <name>]...`;
+
+const parseArgs = (args) => {
+  const options = { version: process.env.PROMPT_VERSION || DEFAULT_PROMPT_VERSION, provider: null, record: false, fixtures: [] };
+  for (let i = 0; i < args.length; i++) {
+    const value = args[i + 1];
+    switch (args[i]) {
+      case '--record':
+        options.record = true;
+        break;
+      case '--version':
+      case '--provider':
+      case '--fixture':
+        if (value === undefined || value.startsWith('--')) throw new Error(`${args[i]} needs a value`);
+        if (args[i] === '--fixture') options.fixtures.push(value);
+        else options[args[i].slice(2)] = value;
+        i++;
+        break;
+      default:
+        throw new Error(`Unexpected argument "${args[i]}"`);
+    }
+  }
+  if (options.record && !options.provider) throw new Error('--record needs --provider');
+  return options;
+};
+
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf8'));
+
+/**
+ * @returns {Promise<Array<{name: string, description: string, language: string, currency: string, responses: Object}>>}
+ */
+const loadFixtures = async (only) => {
+  const names = (await fs.readdir(FIXTURES_DIR)).filter(file => file.endsWith('.json')).map(file => file.slice(0, -5)).sort();
+  const unknown = only.filter(name => !names.includes(name));
+  if (unknown.length > 0) throw new Error(`Unknown fixture(s): ${unknown.join(', ')} (available: ${names.join(', ')})`);
+
+  return Promise.all(names
+    .filter(name => only.length === 0 || only.includes(name))
+    .map(async name => ({ name, language: 'en', currency: 'USD', ...await readJson(path.join(FIXTURES_DIR, `${name}.json`)) })));
+};
+
+// Answers the question bank no longer accepts (removed questions or options, answers off the path)
+const fixtureProblems = (fixture) => {
+  const problems = [];
+  if (!isSupportedLanguage(fixture.language)) problems.push(`unsupported language "${fixture.language}"`);
+  if (!isSupportedCurrency(fixture.currency)) problems.push(`unsupported currency "${fixture.currency}"`);
+  const dropped = changedAnswers(fixture.responses, sanitizeResponses(questions, fixture.responses));
+  if (dropped.length > 0) problems.push(`answers the question bank rejects: ${dropped.join(', ')}`);
+  return problems;
+};
+
+// "CCPA/CPRA" -> CCPA or CPRA; "PIPL (China)" -> PIPL
+const regimeTerms = (name) => name.replace(/\(.*?\)/g, '').split('/').map(term => term.trim()).filter(Boolean);
+const mentions = (text, term) => new RegExp(`(^|[^\\w])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}([^\\w]|$)`, 'i').test(text);
+
+// First line of text of a section, to find it in a prompt
+const firstLine = (section) => section.body.split('\n').find(line => line.trim()) || '';
+
+/**
+ * Check the prompts of a report's calls against the report template: each section prompt holds the template of
+ * its section, the summarizing ones also the sections written before them; a whole-report prompt holds the
+ * whole template.
+ */
+const checkPrompts = (calls, { template, report }) => {
+  const problems = [];
+  const heading = (id) => REPORT_SECTIONS.find(section => section.id === id).heading;
+  const sections = splitReportSections(report);
+
+  if (calls.some(call => call.id === null)) {
+    if (!template.every(section => calls[0].prompt.includes(firstLine(section)))) problems.push('the report template is incomplete');
+  } else {
+    REPORT_SECTIONS.forEach(({ id, summarizes }) => {
+      const call = calls.find(candidate => candidate.id === id);
+      if (!call) return problems.push(`no call for ${heading(id)}`);
+      if (!call.prompt.includes(firstLine(template[findSection(template, id)]))) problems.push(`${heading(id)}: no section template`);
+      const unread = summarizes ? INDEPENDENT_SECTIONS.filter(other => !call.prompt.includes(firstLine(sections[findSection(sections, other)]))) : [];
+      if (unread.length > 0) problems.push(`${heading(id)}: not given ${unread.map(heading).join(', ')}`);
+      return undefined;
+    });
+  }
+
+  return {
+    name: 'prompts',
+    ok: problems.length === 0,
+    detail: problems.length > 0 ? problems.join('; ') : `${calls.length} prompt(s) rendered`
+  };
+};
+
+/**
+ * Run every check on a finished report.
+ * @returns {Array<{name: string, ok: boolean, detail: string}>}
+ */
+const checkReport = ({ analysis, stopReason }, { template, compliance, language }) => {
+  const sections = splitReportSections(analysis);
+  const disclaimerHeading = DISCLAIMERS[language].heading;
+  const heading = (id) => REPORT_SECTIONS.find(section => section.id === id).heading;
+
+  const positions = REPORT_SECTIONS.map(section => ({ id: section.id, at: findSection(sections, section.id) }));
+  const missing = positions.filter(({ at }) => at === -1 || !sections[at].body).map(({ id }) => heading(id));
+  const found = positions.filter(({ at }) => at !== -1).map(({ at }) => at);
+  const inOrder = found.every((at, index) => index === 0 || at > found[index - 1]);
+  const disclaimers = sections.filter(section => section.heading.toUpperCase() === disclaimerHeading.toUpperCase()).length;
+
+  const withTables = REPORT_SECTIONS
+    .filter(section => /<table>/i.test(template[findSection(template, section.id)]?.body || ''))
+    .map(section => section.id);
+  const withoutTables = withTables.filter(id => {
+    const at = findSection(sections, id);
+    return at === -1 || !/<table[\s>]/i.test(sections[at].body);
+  });
+
+  const required = compliance.filter(result => result.level === 'required');
+  const complianceSection = sections[findSection(sections, '2')]?.body || '';
+  const unmentioned = required.filter(result => !regimeTerms(result.name).some(term => mentions(complianceSection, term)));
+
+  return [
+    {
+      name: 'complete',
+      ok: !TRUNCATED_STOP_REASONS.includes(stopReason),
+      detail: stopReason ? `stop reason ${stopReason}` : 'no stop reason recorded'
+    },
+    {
+      name: 'sections',
+      ok: missing.length === 0 && inOrder,
+      detail: missing.length > 0 ? `missing or empty: ${missing.join(', ')}` : inOrder ? `${REPORT_SECTIONS.length} sections in order` : 'sections out of order'
+    },
+    {
+      name: 'disclaimer',
+      ok: disclaimers === 1,
+      detail: disclaimers === 1 ? disclaimerHeading : `${disclaimers} "${disclaimerHeading}" sections (expected the appended one only)`
+    },
+    {
+      name: 'tables',
+      ok: withoutTables.length === 0,
+      detail: withoutTables.length > 0 ? `no table in ${withoutTables.map(heading).join(', ')}` : `tables in ${withTables.map(heading).join(', ')}`
+    },
+    {
+      name: 'regimes',
+      ok: unmentioned.length === 0,
+      detail: unmentioned.length > 0
+        ? `not named in ${heading('2')}: ${unmentioned.map(result => result.name).join(', ')}`
+        : required.map(result => result.name).join(', ') || 'none required'
+    }
+  ];
+};
+
+const recordingFile = (version, name) => path.join(RECORDINGS_DIR, version, `${name}.json`);
+
+const readRecording = async (version, name) => {
+  try {
+    return await readJson(recordingFile(version, name));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    throw new Error(`No recording for prompt version ${version} - record one with: npm run eval:prompts -- --version ${version} --provider <id> --record --fixture ${name}`);
+  }
+};
+
+const writeRecording = async (version, name, recording) => {
+  const file = recordingFile(version, name);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(recording, null, 2)}\n`);
+};
+
+// The part of a recorded report one call writes: the whole report, or one section (the executive summary with
+// the title block) - empty when the recording does not have it
+const recordedReply = (recording, id, title) => {
+  if (id === null) return recording.text;
+  return findSection(splitReportSections(recording.text), id) === -1 ? '' : extractSection(recording.text, id, { title });
+};
+
+/**
+ * The report text for a fixture, from the provider or the recording, and the prompt of every call.
+ * @returns {Promise<{text: string, stopReason: string|null, calls: Array<{id: string|null, prompt: string}>}>}
+ */
+const generate = async ({ fixture, prompts, registry, options, groundTruth }) => {
+  const recording = options.provider ? null : await readRecording(prompts.version, fixture.name);
+  const { compliance, costEstimate, riskScores, timeline } = groundTruth;
+  const calls = [];
+  const titled = new Set();
+
+  const complete = async (prompt, { id, signal }) => {
+    calls.push({ id, prompt });
+    if (recording) return { text: recordedReply(recording, id, titled.has(id)), stopReason: recording.stopReason ?? null };
+    return registry.complete(options.provider, prompt, { maxTokens: id === null ? MAX_OUTPUT_TOKENS : MAX_SECTION_TOKENS, signal });
+  };
+  const { markdown: text, stopReason } = prompts.sectioned
+    ? await generateSectionedReport({
+      buildPrompt: (id, sectionOptions) => {
+        if (sectionOptions.withTitle) titled.add(id);
+        return prompts.buildSectionPrompt(
+          fixture.responses, compliance, costEstimate, riskScores, timeline, fixture.language, fixture.currency, id, sectionOptions
+        );
+      },
+      complete
+    })
+    : await generateWholeReport({
+      prompt: prompts.buildAnalysisPrompt(fixture.responses, compliance, costEstimate, riskScores, timeline, fixture.language, fixture.currency),
+      complete
+    });
+  if (options.record) {
+    await writeRecording(prompts.version, fixture.name, {
+      fixture: fixture.name,
+      promptVersion: prompts.version,
+      source: 'provider',
+      provider: options.provider,
+      model: registry.get(options.provider).model,
+      stopReason,
+      text
+    });
+  }
+  return { text, stopReason, calls };
+};
+
+const run = async (args) => {
+  const options = parseArgs(args);
+  const prompts = loadPrompts(options.version);
+  const registry = options.provider ? createProviderRegistry() : null;
+  if (registry && !registry.get(options.provider)) {
+    throw new Error(`Unknown provider "${options.provider}" (available: ${registry.ids().join(', ')})`);
+  }
+  const fixtures = await loadFixtures(options.fixtures);
+
+  console.log(`Prompt version ${prompts.version}, ${options.provider ? `provider ${options.provider}${options.record ? ' (recording)' : ''}` : 'recorded reports'}\n`);
+
+  let failed = 0;
+  // One at a time - live runs would otherwise hit provider rate limits
+  for (const fixture of fixtures) {
+    console.log(`${fixture.name} (${fixture.language}, ${fixture.currency})${fixture.description ? ` - ${fixture.description}` : ''}`);
+
+    const problems = fixtureProblems(fixture);
+    if (problems.length > 0) {
+      failed++;
+      problems.forEach(problem => console.error(`   ❌ fixture: ${problem}`));
+      continue;
+    }
+
+    const responses = sanitizeResponses(questions, fixture.responses);
+    const groundTruth = {
+      compliance: evaluateCompliance(responses),
+      costEstimate: estimateCosts(responses),
+      riskScores: scoreRisks(responses),
+      timeline: evaluateTimeline(responses)
+    };
+
+    let generated;
+    try {
+      generated = await generate({ fixture: { ...fixture, responses }, prompts, registry, options, groundTruth });
+    } catch (error) {
+      failed++;
+      console.error(`   ❌ report: ${error.message}`);
+      continue;
+    }
+
+    const template = splitReportSections(prompts.buildReportTemplate(responses, fixture.currency));
+    const results = [
+      ...checkReport(
+        { analysis: `${generated.text}\n\n${reportDisclaimer(fixture.language)}`, stopReason: generated.stopReason },
+        { template, compliance: groundTruth.compliance, language: fixture.language }
+      ),
+      checkPrompts(generated.calls, { template, report: generated.text })
+    ];
+    results.forEach(result => (result.ok ? console.log : console.error)(`   ${result.ok ? '✅' : '❌'} ${result.name}: ${result.detail}`));
+    if (results.some(result => !result.ok)) failed++;
+  }
+
+  console.log(`\n${fixtures.length} fixture(s), ${failed === 0 ? 'all passed' : `${failed} failed`}`);
+  if (failed > 0) process.exit(1);
+};
+
+run(process.argv.slice(2)).catch(error => {
+  console.error(`${error.message}\n\n${USAGE}`);
+  process.exit(1);
+});
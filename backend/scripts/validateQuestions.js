@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Validate the question bank (src/shared/questionBank.json).
+ * Checks the questions themselves, the conditions in their help text, the
+ * conditions in the shared rule tables and the option amount tables against
+ * the question options - then
+ * every message catalog in src/locales against English and the bank.
+ *
+ * Usage: npm run validate:questions [-- path/to/questionBank.json]
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { validateQuestionBank, validateQuestionTranslations, ANSWER_ERROR_MESSAGES } from '../../src/shared/questionBank.js';
+import { HELP_FRAGMENT_NAMES } from '../../src/shared/helpFragments.js';
+import { COMPLIANCE_RULES } from '../../src/shared/complianceRules.js';
+import { COST_COMPONENTS, COMPLIANCE_BASIS, BUDGET_FIT_MESSAGES, OPTION_AMOUNTS } from '../../src/shared/costModel.js';
+import { RISK_DIMENSIONS, READINESS_RATINGS } from '../../src/shared/riskScoring.js';
+import { TIMELINE_FACTORS, VERDICT_LABELS } from '../../src/shared/timelineFeasibility.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, compareCatalogs } from '../../src/shared/i18n.js';
+
+const DEFAULT_PATH = fileURLToPath(new URL('../../src/shared/questionBank.json', import.meta.url));
+const catalogPath = (language) => fileURLToPath(new URL(`../../src/locales/${language}.json`, import.meta.url));
+
+// Every condition in the shared rule tables, labelled for error messages
+const ruleTableConditions = () => [
+  ...COMPLIANCE_RULES.flatMap(regime => regime.rules
+    .map((rule, index) => ({ where: `complianceRules.${regime.id}[${index}]`, when: rule.when }))),
+  ...COST_COMPONENTS.flatMap(component => component.variants
+    .map((variant, index) => ({ where: `costModel.${component.id}[${index}]`, when: variant.when }))),
+  ...RISK_DIMENSIONS.flatMap(dimension => [...dimension.levels, ...dimension.factors]
+    .map((entry, index) => ({ where: `riskScoring.${dimension.id}[${index}]`, when: entry.when }))),
+  ...TIMELINE_FACTORS.map((factor, index) => ({ where: `timelineFeasibility[${index}]`, when: factor.when }))
+].filter(({ when }) => when);
+
+const byId = (entries, text) => Object.fromEntries(entries.map(entry => [entry.id, text(entry)]));
+
+// English originals of the sections only translations carry
+const ruleMessages = () => ({
+  answerErrors: ANSWER_ERROR_MESSAGES,
+  budgetFit: BUDGET_FIT_MESSAGES,
+  labels: {
+    riskDimensions: byId(RISK_DIMENSIONS, dimension => dimension.name),
+    ratings: byId(READINESS_RATINGS, rating => rating.label),
+    verdicts: VERDICT_LABELS,
+    costComponents: { ...byId(COST_COMPONENTS, component => component.name), compliance: '{regime} compliance' }
+  },
+  // Keyed by the English sentence itself
+  ruleText: Object.fromEntries([
+    ...COMPLIANCE_RULES.flatMap(regime => regime.rules.map(rule => rule.reason)),
+    ...TIMELINE_FACTORS.map(factor => factor.why),
+    ...COST_COMPONENTS.flatMap(component => component.variants.map(variant => variant.basis)),
+    COMPLIANCE_BASIS,
+    ...RISK_DIMENSIONS.flatMap(dimension => [...dimension.levels, ...dimension.factors].map(entry => entry.why))
+  ].filter(Boolean).map(text => [text, text]))
+});
+
+const readJson = (file) => JSON.parse(readFileSync(file, 'utf8'));
+
+const report = (name, errors, success) => {
+  if (errors.length > 0) {
+    console.error(`❌ ${name}: ${errors.length} problem(s)`);
+    errors.forEach(error => console.error(`   - ${error}`));
+    return false;
+  }
+  console.log(`✅ ${name}: ${success}`);
+  return true;
+};
+
+const path = process.argv[2] || DEFAULT_PATH;
+
+let definition;
+let english;
+try {
+  definition = readJson(path);
+  english = readJson(catalogPath(DEFAULT_LANGUAGE));
+} catch (error) {
+  console.error(`❌ Could not read ${error.path || path}: ${error.message}`);
+  process.exit(1);
+}
+
+const bankOk = report(path, validateQuestionBank(definition, {
+  fragments: HELP_FRAGMENT_NAMES,
+  conditions: ruleTableConditions(),
+  amounts: OPTION_AMOUNTS
+}), `${definition.questions.length} questions OK`);
+if (!bankOk) process.exit(1);
+
+// English UI text plus the rule-table originals; questions are checked against the bank
+const reference = { ...english, ...ruleMessages() };
+const catalogsOk = Object.keys(LANGUAGES)
+  .filter(language => language !== DEFAULT_LANGUAGE)
+  .map(language => {
+    const file = catalogPath(language);
+    let catalog;
+    try {
+      catalog = readJson(file);
+    } catch (error) {
+      return report(file, [`could not read: ${error.message}`]);
+    }
+    return report(file, [
+      ...compareCatalogs(reference, catalog, { skip: ['questions'] }),
+      ...validateQuestionTranslations(definition.questions, catalog.questions)
+    ], 'catalog OK');
+  })
+  .every(Boolean);
+
+if (!catalogsOk) process.exit(1);
@@ -3,12 +3,39 @@ import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
+import { openEventStream, sendEvent } from './lib/sse.js';
+import { createProviderRegistry, TRUNCATED_STOP_REASONS } from './lib/providers/index.js';
+import { withFallback } from './lib/providers/fallback.js';
+import { generateStructuredReport, MAX_REPAIR_PASSES } from './lib/structuredReport.js';
+import { REPORT_SCHEMA, validateAgainstSchema } from '../src/shared/reportSchema.js';
+import { evaluateCompliance } from '../src/shared/complianceRules.js';
+import { estimateCosts } from '../src/shared/costModel.js';
+import { scoreRisks } from '../src/shared/riskScoring.js';
+import { evaluateTimeline } from '../src/shared/timelineFeasibility.js';
+import { sanitizeResponses } from '../src/shared/questionBank.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage } from '../src/shared/i18n.js';
+import { CURRENCIES, DEFAULT_CURRENCY, isSupportedCurrency } from '../src/shared/currency.js';
+import { reportDisclaimer } from '../src/shared/disclaimers.js';
+import { createAssessmentStore, createAssessmentId, isValidAssessmentId } from './lib/assessmentStore.js';
+import { createApiKeyStore, readApiKey, isSameKey } from './lib/apiKeys.js';
+import { createSessions, isSessionToken } from './lib/sessions.js';
+import { createUsageLedger, summarizeUsage, usageToCsv } from './lib/usageLedger.js';
+import { createResponseCache, createCacheKey } from './lib/responseCache.js';
+import { createPrompts, MAX_OUTPUT_TOKENS, MAX_SECTION_TOKENS } from './lib/prompts.js';
+import { generateSectionedReport, generateWholeReport, planSectionedReport, extractSection, otherSections } from './lib/sectionedReport.js';
+import { questions } from './lib/questionBank.js';
+import { REPORT_SECTIONS, isReportSectionId, findSection, replaceSections } from '../src/shared/reportSections.js';
+import { splitReportSections } from '../src/shared/reportDiff.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a proxy (Vercel, Railway: TRUST_PROXY=1) req.ip is the client's address from X-Forwarded-For, which
+// the rate limits and browser sessions are keyed on
+app.set('trust proxy', Number(process.env.TRUST_PROXY) || 0);
+
 // Security middleware
 app.use(helmet());
 app.use(express.json({ limit: '1mb' }));
@@ -21,9 +48,13 @@ const allowedOrigins = [
   process.env.FRONTEND_URL
 ].filter(Boolean);
 
+// Requests without an Origin are not from a browser (curl, API clients, health checks): CORS does not apply to
+// them, but they only get to the analysis endpoints with a client API key - browser sessions need an allowed Origin
+const isAllowedOrigin = (origin) => allowedOrigins.includes(origin);
+
 app.use(cors({
   origin: (origin, callback) => {
-    if (!origin || allowedOrigins.includes(origin)) {
+    if (!origin || isAllowedOrigin(origin)) {
       callback(null, true);
     } else {
       callback(new Error('Not allowed by CORS'));
@@ -46,6 +77,76 @@ const limiter = rateLimit({
 
 app.use('/api/analyze', limiter);
 
+// Saving reports is cheap but unauthenticated - keep it bounded per IP
+const storageLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: {
+    error: 'Too many requests from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+app.use('/api/assessments', storageLimiter);
+// Usage reports read the whole ledger - same bound
+app.use('/api/usage', storageLimiter);
+// A browser needs a new session token every SESSION_TTL_MINUTES - same bound
+app.use('/api/session', storageLimiter);
+
+// Assessment storage for shareable report links
+const assessmentStore = createAssessmentStore();
+
+// Client API keys - every analysis is counted against the monthly quotas of the key that asked for it.
+// Keys are managed with `npm run keys`; REQUIRE_API_KEY=false turns the check off (local development)
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY !== 'false';
+const apiKeys = createApiKeyStore();
+
+// Browser sessions (POST /api/session): short-lived tokens standing for the site's key, SESSION_KEY.
+// null unless SESSION_SECRET and SESSION_KEY are set
+const sessions = createSessions();
+
+// The key record behind a request: a client API key, or a session token from an allowed browser origin
+const authenticateRequest = async (req) => {
+  const presented = readApiKey(req);
+  if (!isSessionToken(presented)) return apiKeys.authenticate(presented);
+  const keyId = sessions && isAllowedOrigin(req.get('origin')) ? sessions.verify(presented, req.ip) : null;
+  return keyId ? apiKeys.get(keyId) : null;
+};
+
+const authenticate = async (req, res, next) => {
+  try {
+    req.apiKey = await authenticateRequest(req);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!req.apiKey) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A valid API key or browser session is required (Authorization: Bearer <key> or X-API-Key header)'
+    });
+  }
+  next();
+};
+
+if (REQUIRE_API_KEY) app.use('/api/analyze', authenticate);
+
+// Usage ledger - provider, tokens, cost and outcome of every analysis (GET /api/usage).
+// Entries older than USAGE_RETENTION_DAYS are pruned at startup and once a day
+const usageLedger = createUsageLedger();
+const pruneUsage = () => usageLedger.prune()
+  .then(removed => {
+    if (removed > 0) console.log(`Usage ledger: pruned ${removed} entries older than ${usageLedger.retentionDays} days`);
+  })
+  .catch(error => console.error('Usage ledger pruning failed:', error.message));
+pruneUsage();
+setInterval(pruneUsage, 24 * 60 * 60 * 1000).unref();
+
+// Completed analyses of identical requests (null when RESPONSE_CACHE=off)
+const responseCache = createResponseCache();
+
 // Request logging middleware
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -62,412 +163,1096 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Provider configurations
-const PROVIDERS = {
-  claude: {
-    name: 'Claude (Direct)',
-    apiUrl: 'https://api.anthropic.com/v1/messages',
-    model: 'claude-sonnet-4-20250514',
-    costPer1M: { input: 3.00, output: 15.00 },
-    envKey: 'ANTHROPIC_API_KEY'
-  },
-  openrouter_claude: {
-    name: 'Claude (via OpenRouter)',
-    apiUrl: 'https://openrouter.ai/api/v1/chat/completions',
-    model: 'anthropic/claude-sonnet-4',
-    costPer1M: { input: 3.00, output: 15.00 },
-    envKey: 'OPENROUTER_API_KEY'
-  },
-  openrouter_gpt4: {
-    name: 'GPT-4 Turbo (via OpenRouter)',
-    apiUrl: 'https://openrouter.ai/api/v1/chat/completions',
-    model: 'openai/gpt-4-turbo',
-    costPer1M: { input: 10.00, output: 30.00 },
-    envKey: 'OPENROUTER_API_KEY'
-  },
-  openrouter_haiku: {
-    name: 'Claude Haiku (via OpenRouter)',
-    apiUrl: 'https://openrouter.ai/api/v1/chat/completions',
-    model: 'anthropic/claude-3.5-haiku',
-    costPer1M: { input: 0.80, output: 4.00 },
-    envKey: 'OPENROUTER_API_KEY'
+// Provider registry (backend/providers.json + env overrides)
+const providers = createProviderRegistry();
+
+// Report prompts: the templates in backend/prompts/<PROMPT_VERSION>/. The version is returned as
+// metadata.promptVersion and is part of the response cache key
+const prompts = createPrompts();
+
+// Validate an analysis request; sends the error response and returns null when invalid
+const resolveAnalysisRequest = (req, res) => {
+  const {
+    responses,
+    provider = providers.defaultProvider,
+    structured = true,
+    language = DEFAULT_LANGUAGE,
+    currency = DEFAULT_CURRENCY,
+    forceRefresh = false
+  } = req.body || {};
+
+  // Validation
+  if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+    res.status(400).json({
+      error: 'Invalid request',
+      message: 'Missing or invalid responses object'
+    });
+    return null;
   }
+
+  if (!isSupportedLanguage(language)) {
+    res.status(400).json({
+      error: 'Invalid language',
+      message: `Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`
+    });
+    return null;
+  }
+
+  if (!isSupportedCurrency(currency)) {
+    res.status(400).json({
+      error: 'Invalid currency',
+      message: `Currency must be one of: ${Object.keys(CURRENCIES).join(', ')}`
+    });
+    return null;
+  }
+
+  // Get provider configuration
+  const providerConfig = providers.get(provider);
+  if (!providerConfig) {
+    res.status(400).json({
+      error: 'Invalid provider',
+      message: `Provider must be one of: ${providers.ids().join(', ')}`
+    });
+    return null;
+  }
+
+  // Check API key (a provider without one can still be served by its fallbacks)
+  if (providers.fallbackChain(provider).length === 0) {
+    console.error(`Missing API key for provider: ${provider}`);
+    res.status(500).json({
+      error: 'Configuration error',
+      message: 'Server is not properly configured. Please contact administrator.'
+    });
+    return null;
+  }
+
+  // Unknown fields and options are dropped, typed-in text is cleaned and cut to its length limit
+  return {
+    responses: sanitizeResponses(questions, responses),
+    provider,
+    providerConfig,
+    structured: structured !== false,
+    language,
+    currency,
+    forceRefresh: forceRefresh === true
+  };
 };
 
-// Main analysis endpoint
-app.post('/api/analyze', async (req, res) => {
-  const startTime = Date.now();
+// Token usage, cost estimate and timing returned with every analysis
+const buildMetadata = (providerConfig, inputTokens, outputTokens, startTime) => {
+  const inputCost = (inputTokens / 1_000_000) * providerConfig.costPer1M.input;
+  const outputCost = (outputTokens / 1_000_000) * providerConfig.costPer1M.output;
+
+  return {
+    provider: providerConfig.name,
+    model: providerConfig.model,
+    tokens: {
+      input: inputTokens,
+      output: outputTokens,
+      total: inputTokens + outputTokens
+    },
+    cost: {
+      input: inputCost,
+      output: outputCost,
+      failedAttempts: 0,
+      total: inputCost + outputCost,
+      currency: 'USD'
+    },
+    duration: Date.now() - startTime,
+    timestamp: new Date().toISOString()
+  };
+};
 
-  try {
-    const { responses, provider = 'claude' } = req.body;
+// Add the tokens and cost of a follow-up call (possibly priced by another provider) to the totals
+const addCallToMetadata = (metadata, providerConfig, usage) => {
+  const inputCost = (usage.input / 1_000_000) * providerConfig.costPer1M.input;
+  const outputCost = (usage.output / 1_000_000) * providerConfig.costPer1M.output;
+
+  metadata.tokens.input += usage.input;
+  metadata.tokens.output += usage.output;
+  metadata.tokens.total += usage.input + usage.output;
+  metadata.cost.input += inputCost;
+  metadata.cost.output += outputCost;
+  metadata.cost.total += inputCost + outputCost;
+};
 
-    // Validation
-    if (!responses || typeof responses !== 'object') {
-      return res.status(400).json({
-        error: 'Invalid request',
-        message: 'Missing or invalid responses object'
-      });
-    }
+// Upper bound of a request's cost, checked against the spend quota before any model call: every call's
+// prompt at ~3 characters per token plus every output token it allows, priced at the most expensive
+// provider the request can fall back to. A structured report adds up to 1 + MAX_REPAIR_PASSES extraction
+// calls, each reading the report (reportTokens), the schema and the extraction rules.
+const CHARS_PER_TOKEN = 3;
+const EXTRACTION_TOKENS = Math.ceil(JSON.stringify(REPORT_SCHEMA, null, 2).length / CHARS_PER_TOKEN) + 1000;
 
-    // Get provider configuration
-    const providerConfig = PROVIDERS[provider];
-    if (!providerConfig) {
-      return res.status(400).json({
-        error: 'Invalid provider',
-        message: `Provider must be one of: ${Object.keys(PROVIDERS).join(', ')}`
-      });
-    }
+const promptTokens = (text) => Math.ceil(text.length / CHARS_PER_TOKEN);
 
-    // Check API key
-    const apiKey = process.env[providerConfig.envKey];
-    if (!apiKey) {
-      console.error(`Missing API key for provider: ${provider}`);
-      return res.status(500).json({
-        error: 'Configuration error',
-        message: 'Server is not properly configured. Please contact administrator.'
-      });
-    }
+// Cost of one call of up to inputTokens / outputTokens on one provider
+const callCost = (providerId, { inputTokens, outputTokens }) => {
+  const { costPer1M } = providers.get(providerId);
+  return (inputTokens / 1_000_000) * costPer1M.input + (outputTokens / 1_000_000) * costPer1M.output;
+};
 
-    console.log(`Processing request with provider: ${provider} (${providerConfig.name})`);
+// Upper bound of one call's cost
+const projectCallCost = (provider, call) => {
+  const chain = [...new Set(providers.fallbackChain(provider).flatMap(id => providers.fallbackChain(id)))];
+  return Math.max(...chain.map(id => callCost(id, call)));
+};
 
-    // Prepare the analysis prompt
-    const analysisPrompt = `You are a senior AI security and implementation consultant creating a professional enterprise strategy report. Analyze this business assessment and provide a comprehensive, well-formatted report.
+// The provider reports no usage for an attempt that failed, so one it may bill for (withFallback() `billed`)
+// is charged as a whole call of up to `tokens` on the provider that took it
+const failedAttemptsCost = (failedAttempts, tokens) => failedAttempts
+  .filter(attempt => attempt.billed)
+  .reduce((total, attempt) => total + callCost(attempt.provider, tokens), 0);
 
-Business Assessment:
-${JSON.stringify(responses, null, 2)}
+const addFailedAttemptsCost = (metadata, failedAttempts, tokens) => {
+  const cost = failedAttemptsCost(failedAttempts, tokens);
+  metadata.cost.failedAttempts += cost;
+  metadata.cost.total += cost;
+};
 
-CRITICAL CONTEXT:
-- Business Location (business_location): Where the company is BASED/REGISTERED
-- Customer Locations (customer_locations): Where their CUSTOMERS are located
-- These are DIFFERENT and both matter! Customer locations ADD compliance requirements.
-- AI Usage Type (ai_usage_type): Can include both "in_product" and "internal_productivity"
+/**
+ * @param {string} provider
+ * @param {Array<{inputTokens: number, outputTokens: number}>} calls - the calls that write the report text
+ * @param {{structured: boolean, reportTokens: number}} options
+ */
+const projectCost = (provider, calls, { structured, reportTokens }) => {
+  const writing = calls.reduce((total, call) => total + projectCallCost(provider, call), 0);
+  const extraction = structured
+    ? (1 + MAX_REPAIR_PASSES) * projectCallCost(provider, { inputTokens: reportTokens + EXTRACTION_TOKENS, outputTokens: MAX_OUTPUT_TOKENS })
+    : 0;
+  return writing + extraction;
+};
 
-FORMAT YOUR REPORT AS A PROFESSIONAL ENTERPRISE STRATEGY DOCUMENT:
+/**
+ * Quota reservation and usage ledger entry of one analysis request. Reserves the projected cost against
+ * the caller's quota; sends 429 and returns null when it does not fit.
+ *   charge(metadata) - the calls made so far (metadata.cost keeps growing; it is read at finish())
+ *   complete(metadata) - charge and mark the analysis successful
+ *   fail({ aborted, partial }) - the request did not finish; whatever was charged is still booked, plus
+ *     `partial` (USD, default 0): the cost of calls that never returned, so no usage was reported
+ *   finish() - once, when the request ends: settles the quota with the real cost and writes the ledger
+ */
+const startBilling = async (req, res, { endpoint, provider, projected, startTime }) => {
+  const reserved = req.apiKey ? await apiKeys.reserve(req.apiKey.id, projected) : null;
+  if (reserved && !reserved.ok) {
+    const { quota, usage } = reserved.record;
+    res.status(429).json({
+      error: 'Quota exceeded',
+      message: reserved.exceeded === 'requests'
+        ? `This API key has used its ${quota.monthlyRequests} requests for ${usage.month}`
+        : `This request could cost up to $${projected.toFixed(2)}, more than the $${Math.max(0, quota.monthlySpend - usage.spend).toFixed(2)} left of this API key's monthly spend quota`,
+      quota: { ...quota, month: usage.month, requests: usage.requests, spend: usage.spend }
+    });
+    return null;
+  }
 
-# AI IMPLEMENTATION STRATEGY
-## Enterprise Deployment Roadmap
+  let metadata = null;
+  let outcome = 'error';
+  let partial = 0;
+
+  return {
+    charge(current) {
+      metadata = current;
+    },
+    complete(current) {
+      metadata = current;
+      outcome = 'success';
+    },
+    fail(options) {
+      outcome = options.aborted ? 'aborted' : 'error';
+      partial = options.partial || 0;
+    },
+    finish() {
+      const cost = (metadata ? metadata.cost.total : 0) + partial;
+      if (reserved) {
+        apiKeys.settle(reserved.reservation, cost).catch(error => console.error('Quota settlement failed:', error.message));
+      }
+      recordUsage(req, { endpoint, provider, metadata, cost, outcome, startTime });
+    }
+  };
+};
 
-**CONFIDENTIAL**
-Prepared for: [Client/Business Name based on responses]
-Date: ${new Date().toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+// One usage ledger entry; metadata is null when the request failed before a model answered
+const recordUsage = (req, { endpoint, provider, metadata, cost, outcome, startTime }) => {
+  usageLedger.record({
+    timestamp: new Date().toISOString(),
+    endpoint,
+    client: req.apiKey?.id ?? null,
+    provider: metadata?.providerId ?? provider,
+    requestedProvider: provider,
+    model: metadata?.model ?? providers.get(provider).model,
+    inputTokens: metadata?.tokens.input ?? 0,
+    outputTokens: metadata?.tokens.output ?? 0,
+    cost,
+    costSaved: metadata?.costSaved ?? 0,
+    cached: metadata?.cached === true,
+    duration: Date.now() - startTime,
+    outcome
+  }).catch(error => console.error('Usage ledger write failed:', error.message));
+};
 
----
+// The rules-engine results are part of the key, so a change to the rule tables also misses the cache.
+// /api/analyze and /api/analyze/stream share entries
+const analysisCacheKey = ({ responses, provider, structured, language, currency }, groundTruth) => createCacheKey({
+  promptVersion: prompts.version, responses, provider, structured, language, currency, groundTruth
+});
 
-## EXECUTIVE SUMMARY
+/**
+ * A stored analysis for an identical request, or null. Its metadata describes this request: nothing was
+ * spent (cost and tokens are 0), with the cost of the original analysis as originalCost / costSaved.
+ */
+const readCachedAnalysis = async (key, startTime) => {
+  if (!responseCache) return null;
 
-### Bottom Line Up Front
-Provide a 2-3 paragraph summary with:
-- Recommended strategic approach (dual-track, cloud-only, hybrid, etc.)
-- Total investment required (Year 1 and ongoing)
-- Payback period estimate
-- Key compliance coverage
-- Critical success factors (3-5 bullet points)
+  let entry;
+  try {
+    entry = await responseCache.get(key);
+  } catch (error) {
+    console.error('Response cache read failed:', error.message);
+    return null;
+  }
+  if (!entry) return null;
+
+  const { metadata } = entry.value;
+  return {
+    ...entry.value,
+    metadata: {
+      ...metadata,
+      tokens: { input: 0, output: 0, total: 0 },
+      cost: { input: 0, output: 0, failedAttempts: 0, total: 0, currency: 'USD' },
+      cached: true,
+      cachedAt: new Date(entry.cachedAt).toISOString(),
+      originalCost: metadata.cost,
+      costSaved: metadata.cost.total,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    }
+  };
+};
 
----
+// Keep a finished analysis for identical requests - not when the report was cut off or its
+// structured version failed, so those are generated again next time
+const cacheAnalysis = (key, result, { structured, stopReason }) => {
+  if (!responseCache || TRUNCATED_STOP_REASONS.includes(stopReason) || (structured && !result.structured)) return;
+  responseCache.set(key, result).catch(error => console.error('Response cache write failed:', error.message));
+};
 
-## 1. STRATEGIC RECOMMENDATIONS
+/**
+ * Convert the finished markdown report into the schema-validated JSON report, adding its calls to metadata.
+ * A failure here never fails the analysis - the markdown is still returned, with structured: null.
+ */
+const buildStructuredReport = async ({ report, compliance, language, currency, providerId, signal, metadata }) => {
+  const calls = [];
+  const addCalls = () => calls.forEach(call => {
+    if (call.served) addCallToMetadata(metadata, providers.get(call.served.providerId), call.served.result.usage);
+    addFailedAttemptsCost(metadata, call.failedAttempts, call.tokens);
+    metadata.failedAttempts.push(...call.failedAttempts);
+  });
+  let result;
 
-### 1.1 [Primary Recommendation Title Based on Use Case]
+  try {
+    result = await generateStructuredReport({
+      prompts,
+      report,
+      compliance,
+      language: LANGUAGES[language].promptName,
+      currency,
+      complete: async (prompt) => {
+        const call = { tokens: { inputTokens: promptTokens(prompt), outputTokens: MAX_OUTPUT_TOKENS }, failedAttempts: [], served: null };
+        calls.push(call);
+        call.served = await withFallback(providers, providerId, (id, attempt) =>
+          providers.complete(id, prompt, { maxTokens: MAX_OUTPUT_TOKENS, signal: attempt.signal }),
+        { signal, failedAttempts: call.failedAttempts });
+        return call.served.result;
+      }
+    });
+  } catch (error) {
+    if (signal?.aborted) {
+      addCalls();
+      throw error;
+    }
+    console.error('Structured report failed:', error.message);
+    result = { data: null, errors: [error.message], passes: calls.filter(call => call.served).length };
+  }
 
-Provide context-specific recommendations. Use ASCII diagrams where helpful:
+  addCalls();
+  metadata.structuredReport = {
+    valid: result.data !== null,
+    passes: result.passes,
+    errors: result.errors
+  };
+  if (!result.data) console.error(`Structured report invalid after ${result.passes} pass(es): ${result.errors.slice(0, 3).join('; ')}`);
 
-**Example Architecture Diagram** (use similar format):
-\`\`\`
-┌─────────────────┐
-│  Customer Data  │
-└────────┬────────┘
-         │
-         ▼
-┌─────────────────┐
-│   AI Gateway    │
-└────────┬────────┘
-         │
-         ▼
-┌─────────────────┐
-│  AI Services    │
-└─────────────────┘
-\`\`\`
+  return result.data;
+};
 
-**Investment Model Table** (use HTML tables):
+// Which provider served the request and what failed before it
+const buildFallbackMetadata = (requestedProvider, { providerId, failedAttempts }) => ({
+  providerId,
+  requestedProvider,
+  fallbackUsed: providerId !== requestedProvider,
+  failedAttempts
+});
 
-<table>
-<tr><th>Cost Component</th><th>Year 1</th><th>Ongoing Annual</th><th>Notes</th></tr>
-<tr><td>AI Services</td><td>$XX,000</td><td>$XX,000</td><td>Usage-based</td></tr>
-<tr><td>Infrastructure</td><td>$XX,000</td><td>$XX,000</td><td>Cloud/gateway</td></tr>
-<tr><td>Compliance</td><td>$XX,000</td><td>$XX,000</td><td>Audits, legal</td></tr>
-<tr><td><strong>Total</strong></td><td><strong>$XX,000</strong></td><td><strong>$XX,000</strong></td><td></td></tr>
-</table>
+// Prompt of one section of a new report (lib/sectionedReport.js)
+const sectionPromptBuilder = ({ responses, language, currency }, { compliance, costEstimate, riskScores, timeline }) =>
+  (id, options) => prompts.buildSectionPrompt(responses, compliance, costEstimate, riskScores, timeline, language, currency, id, options);
+
+// Prompt of a whole new report, for prompt versions of the whole layout
+const analysisPrompt = ({ responses, language, currency }, { compliance, costEstimate, riskScores, timeline }) =>
+  prompts.buildAnalysisPrompt(responses, compliance, costEstimate, riskScores, timeline, language, currency);
+
+/**
+ * The calls that write a new report, with the most tokens each can read and write: one per section (the
+ * summarizing ones also read the others, at most MAX_SECTION_TOKENS each), or the whole report in one for
+ * prompt versions of the whole layout (id null).
+ * @returns {Array<{id: string|null, inputTokens: number, outputTokens: number}>}
+ */
+const planReport = (request, groundTruth) => (prompts.sectioned
+  ? planSectionedReport(sectionPromptBuilder(request, groundTruth)).map(call => ({
+    id: call.id,
+    inputTokens: promptTokens(call.prompt) + call.reads * MAX_SECTION_TOKENS,
+    outputTokens: MAX_SECTION_TOKENS
+  }))
+  : [{ id: null, inputTokens: promptTokens(analysisPrompt(request, groundTruth)), outputTokens: MAX_OUTPUT_TOKENS }]);
+
+const projectReportCost = (request, plan) => projectCost(request.provider, plan, {
+  structured: request.structured,
+  reportTokens: plan.reduce((total, call) => total + call.outputTokens, 0)
+});
+
+/**
+ * Write a new report (section by section, or in one call for prompt versions of the whole layout), streaming
+ * every call: onDelta(text, sectionId) gets the text as it arrives (sectionId null for a whole report). A call
+ * can only fall back to another provider until its first text. Every call is pushed to `calls` as it starts,
+ * { tokens, failedAttempts: [], served: null }, and gets its withFallback() result as `served` when it returns -
+ * so a request that fails half-way is charged for the calls that finished and the attempts that were cut off
+ * (chargeReportCalls()).
+ */
+const writeReport = (request, groundTruth, { plan, calls, signal, onSection, onDelta = () => {} }) => {
+  const complete = async (prompt, { id, signal: callSignal }) => {
+    const { inputTokens, outputTokens } = plan.find(entry => entry.id === id);
+    const call = { tokens: { inputTokens, outputTokens }, failedAttempts: [], served: null };
+    calls.push(call);
+
+    let text = '';
+    const served = await withFallback(providers, request.provider, (providerId, attempt) => {
+      text = '';
+      return providers.stream(providerId, prompt, {
+        maxTokens: id === null ? MAX_OUTPUT_TOKENS : MAX_SECTION_TOKENS,
+        signal: attempt.signal,
+        onChunk: attempt.touch,
+        onDelta: (delta) => {
+          text += delta;
+          onDelta(delta, id);
+        }
+      });
+    }, { signal: callSignal, canRetry: () => text === '', streamed: true, failedAttempts: call.failedAttempts });
+    call.served = served;
+    return { ...served.result, text };
+  };
+
+  return prompts.sectioned
+    ? generateSectionedReport({ buildPrompt: sectionPromptBuilder(request, groundTruth), complete, onSection, signal })
+    : generateWholeReport({ prompt: analysisPrompt(request, groundTruth), complete, signal });
+};
+
+// Tokens and cost of a report written in several calls (writeReport() `calls` that returned), each priced by
+// the provider that served it, plus the attempts that failed on the way. The first call to return names the
+// provider; fallbackUsed is set when any call fell back
+const buildCallsMetadata = (requestedProvider, calls, startTime) => {
+  const first = calls[0].served;
+  const metadata = {
+    ...buildMetadata(providers.get(first.providerId), 0, 0, startTime),
+    providerId: first.providerId,
+    requestedProvider,
+    fallbackUsed: calls.some(call => call.served.providerId !== requestedProvider),
+    failedAttempts: calls.flatMap(call => call.failedAttempts)
+  };
+  calls.forEach(call => {
+    addCallToMetadata(metadata, providers.get(call.served.providerId), call.served.result.usage);
+    addFailedAttemptsCost(metadata, call.failedAttempts, call.tokens);
+  });
+  return metadata;
+};
+
+// Charge the writeReport() calls of a report that did not finish. Returns the cost of the attempts of the calls
+// that never returned - cut off while running, or failed after the provider started on them - for
+// billing.fail({ partial })
+const chargeReportCalls = (billing, requestedProvider, calls, startTime) => {
+  const served = calls.filter(call => call.served);
+  if (served.length > 0) billing.charge(buildCallsMetadata(requestedProvider, served, startTime));
+  return calls
+    .filter(call => !call.served)
+    .reduce((total, call) => total + failedAttemptsCost(call.failedAttempts, call.tokens), 0);
+};
+
+const analysisErrorBody = (error) => ({
+  error: 'Analysis failed',
+  message: error.message || 'An unexpected error occurred',
+  ...(error.failedAttempts && { failedAttempts: error.failedAttempts }),
+  timestamp: new Date().toISOString()
+});
+
+// Main analysis endpoint
+app.post('/api/analyze', async (req, res) => {
+  const startTime = Date.now();
+  const calls = [];
+  let request = null;
+  let billing = null;
 
-### 1.2 [Secondary Recommendations if applicable]
+  try {
+    request = resolveAnalysisRequest(req, res);
+    if (!request) return;
+    const { responses, provider, providerConfig, structured, language, currency, forceRefresh } = request;
 
-Continue with detailed sections...
+    console.log(`Processing request with provider: ${provider} (${providerConfig.name}), language: ${language}, currency: ${currency}`);
 
----
+    const compliance = evaluateCompliance(responses);
+    const costEstimate = estimateCosts(responses);
+    const riskScores = scoreRisks(responses);
+    const timeline = evaluateTimeline(responses);
 
-## 2. COMPLIANCE & REGULATORY FRAMEWORK
+    const groundTruth = { compliance, costEstimate, riskScores, timeline };
+    const cacheKey = analysisCacheKey(request, groundTruth);
+    const cached = forceRefresh ? null : await readCachedAnalysis(cacheKey, startTime);
 
-### 2.1 Multi-Jurisdictional Requirements
+    const plan = planReport(request, groundTruth);
 
-**Compliance Matrix:**
+    // A cached analysis costs nothing, but still counts against the monthly request quota
+    billing = await startBilling(req, res, {
+      endpoint: 'analyze', provider, projected: cached ? 0 : projectReportCost(request, plan), startTime
+    });
+    if (!billing) return;
 
-<table>
-<tr><th>Your Status</th><th>Customer Location</th><th>Applicable Regulations</th><th>Key Requirements</th></tr>
-<tr><td>[Location]</td><td>[Regions]</td><td>[Laws]</td><td>[Requirements]</td></tr>
-</table>
+    if (cached) {
+      billing.complete(cached.metadata);
+      console.log(`Request served from cache - Provider: ${cached.metadata.providerId}, Saved: $${cached.metadata.costSaved.toFixed(4)}`);
+      return res.json({ success: true, ...cached });
+    }
 
-### 2.2 Risk Assessment
+    const report = await writeReport(request, groundTruth, { plan, calls });
+
+    const metadata = {
+      ...buildCallsMetadata(provider, calls, startTime),
+      stopReason: report.stopReason,
+      truncatedSections: report.truncated,
+      promptVersion: prompts.version,
+      language,
+      currency,
+      cached: false
+    };
+    if (report.truncated.length > 0) console.warn(`Report sections cut off at the token limit: ${report.truncated.join(', ')}`);
+
+    const structuredReport = structured
+      ? await buildStructuredReport({ report: report.markdown, compliance, language, currency, providerId: metadata.providerId, metadata })
+      : null;
+    metadata.duration = Date.now() - startTime;
+    billing.complete(metadata);
+
+    console.log(`Request completed successfully - Provider: ${metadata.providerId}, Duration: ${metadata.duration}ms, Cost: $${metadata.cost.total.toFixed(4)}`);
+
+    const result = {
+      analysis: `${report.markdown}\n\n${reportDisclaimer(language)}`,
+      structured: structuredReport,
+      compliance,
+      costEstimate,
+      riskScores,
+      timeline,
+      metadata
+    };
+    cacheAnalysis(cacheKey, result, { structured, stopReason: report.stopReason });
+
+    res.json({ success: true, ...result });
 
-**Risk Matrix:**
+  } catch (error) {
+    console.error('Analysis error:', error);
+    // Sections that were written are paid for, and so are the ones cut off by the failure
+    if (calls.length > 0) billing.fail({ aborted: false, partial: chargeReportCalls(billing, request.provider, calls, startTime) });
 
-<table>
-<tr><th>Risk Category</th><th>Impact</th><th>Probability</th><th>Mitigation Strategy</th></tr>
-<tr><td>Data Breach</td><td>High/Med/Low</td><td>%</td><td>Specific actions</td></tr>
-</table>
+    res.status(500).json(analysisErrorBody(error));
+  } finally {
+    billing?.finish();
+  }
+});
 
----
+// Streaming analysis endpoint (Server-Sent Events)
+// Events: "compliance" (rules engine output), "costs" (cost model estimate), "risks" (risk scores) and
+// "timeline" (feasibility verdict) first,
+// "delta" { section, text } as the model writes each report section (section is its REPORT_SECTIONS id; sections
+// are written in parallel, so their deltas interleave),
+// "section" { id, markdown, truncated } as each report section is finished - in the order they finish, sections
+// 1-6 first, then the executive summary (with the title block) and the conclusion,
+// "delta" { text } - text of the report itself, to append: once the sections are finished, the whole report in
+// report order (prompt versions of the whole layout stream it in deltas instead, with no section events), then
+// the disclaimer in the requested language,
+// "structured" (JSON report or null) once the text is complete,
+// then "metadata" (same shape as /api/analyze) or "error".
+// A cached analysis arrives as one "delta" with the whole report
+app.post('/api/analyze/stream', async (req, res) => {
+  const startTime = Date.now();
+  const calls = [];
+  // Stop paying for tokens nobody will read
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) upstream.abort();
+  });
+  let provider = null;
+  let billing = null;
+  let metadata = null;
 
-## 3. IMPLEMENTATION ROADMAP
+  try {
+    const request = resolveAnalysisRequest(req, res);
+    if (!request) return;
+    const { responses, providerConfig, structured, language, currency, forceRefresh } = request;
+    provider = request.provider;
+
+    console.log(`Processing streaming request with provider: ${provider} (${providerConfig.name}), language: ${language}, currency: ${currency}`);
+
+    const compliance = evaluateCompliance(responses);
+    const costEstimate = estimateCosts(responses);
+    const riskScores = scoreRisks(responses);
+    const timeline = evaluateTimeline(responses);
+
+    // Headers go out with the first text so upstream errors can still return a normal 500
+    const startEventStream = () => {
+      if (res.headersSent) return;
+      openEventStream(res);
+      sendEvent(res, 'compliance', compliance);
+      sendEvent(res, 'costs', costEstimate);
+      sendEvent(res, 'risks', riskScores);
+      sendEvent(res, 'timeline', timeline);
+    };
+
+    const groundTruth = { compliance, costEstimate, riskScores, timeline };
+    const cacheKey = analysisCacheKey(request, groundTruth);
+    const cached = forceRefresh ? null : await readCachedAnalysis(cacheKey, startTime);
+    const plan = planReport(request, groundTruth);
+
+    // A cached analysis costs nothing, but still counts against the monthly request quota
+    billing = await startBilling(req, res, {
+      endpoint: 'stream', provider, projected: cached ? 0 : projectReportCost(request, plan), startTime
+    });
+    if (!billing) return;
+
+    if (cached) {
+      billing.complete(cached.metadata);
+      console.log(`Streaming request served from cache - Provider: ${cached.metadata.providerId}, Saved: $${cached.metadata.costSaved.toFixed(4)}`);
+      startEventStream();
+      sendEvent(res, 'delta', { text: cached.analysis });
+      if (structured) sendEvent(res, 'structured', cached.structured);
+      sendEvent(res, 'metadata', cached.metadata);
+      return res.end();
+    }
 
-### 3.1 Phased Deployment Strategy
+    const report = await writeReport(request, groundTruth, {
+      plan,
+      calls,
+      signal: upstream.signal,
+      onDelta: (text, section) => {
+        startEventStream();
+        sendEvent(res, 'delta', section === null ? { text } : { section, text });
+      },
+      onSection: (section) => {
+        startEventStream();
+        sendEvent(res, 'section', section);
+      }
+    });
+    // The disclaimer is fixed, reviewed text - never left to the model
+    const disclaimer = `\n\n${reportDisclaimer(language)}`;
+    const analysis = `${report.markdown}${disclaimer}`;
+
+    startEventStream();
+    sendEvent(res, 'delta', { text: prompts.sectioned ? analysis : disclaimer });
+
+    metadata = {
+      ...buildCallsMetadata(provider, calls, startTime),
+      stopReason: report.stopReason,
+      truncatedSections: report.truncated,
+      promptVersion: prompts.version,
+      language,
+      currency,
+      cached: false
+    };
+    billing.charge(metadata);
+    if (report.truncated.length > 0) console.warn(`Report sections cut off at the token limit: ${report.truncated.join(', ')}`);
+
+    let structuredReport = null;
+    if (structured) {
+      sendEvent(res, 'status', { stage: 'structuring' });
+      structuredReport = await buildStructuredReport({
+        report: report.markdown, compliance, language, currency, providerId: metadata.providerId, signal: upstream.signal, metadata
+      });
+      sendEvent(res, 'structured', structuredReport);
+      metadata.duration = Date.now() - startTime;
+    }
+    billing.complete(metadata);
 
-**Timeline Visualization:**
+    console.log(`Streaming request completed - Provider: ${metadata.providerId}, Duration: ${metadata.duration}ms, Cost: $${metadata.cost.total.toFixed(4)}`);
 
-\`\`\`
-Month 1-2: FOUNDATION
-├─ Week 1-2: Initial setup
-├─ Week 3-4: Configuration
-└─ Week 5-8: Testing
-   Expected ROI: XX%
+    sendEvent(res, 'metadata', metadata);
+    res.end();
 
-Month 3-4: DEPLOYMENT
-├─ Week 1-2: Pilot launch
-└─ Week 3-4: Full rollout
-\`\`\`
+    cacheAnalysis(cacheKey, {
+      analysis,
+      structured: structuredReport,
+      compliance,
+      costEstimate,
+      riskScores,
+      timeline,
+      metadata
+    }, { structured, stopReason: report.stopReason });
 
-### 3.2 Immediate Action Plan
+  } catch (error) {
+    // Sections that were written are paid for, and so are the ones cut off by the failure or the client leaving.
+    // Once the report is written its metadata is charged, and the structured report adds its calls to it
+    if (billing) {
+      billing.fail({ aborted: upstream.signal.aborted, partial: metadata ? 0 : chargeReportCalls(billing, provider, calls, startTime) });
+    }
 
-**This Week/Month breakdown with specific tasks**
+    if (upstream.signal.aborted) {
+      console.log(`Streaming request aborted by client - Provider: ${provider}`);
+      return;
+    }
 
----
+    console.error('Streaming analysis error:', error);
 
-## 4. VENDOR RECOMMENDATIONS
+    if (!res.headersSent) {
+      return res.status(500).json(analysisErrorBody(error));
+    }
 
-**Recommended Vendor Configuration:**
+    sendEvent(res, 'error', analysisErrorBody(error));
+    res.end();
+  } finally {
+    billing?.finish();
+  }
+});
 
-<table>
-<tr><th>Layer</th><th>Primary Recommendation</th><th>Alternative</th><th>Rationale</th></tr>
-<tr><td>AI Provider</td><td>[Vendor + Region]</td><td>[Alternative]</td><td>[Why]</td></tr>
-<tr><td>Security Layer</td><td>[Tool]</td><td>[Alt]</td><td>[Reason]</td></tr>
-</table>
+// Reports may only contain the HTML the prompt asks for (tables and inline emphasis)
+const ALLOWED_REPORT_TAGS = ['table', 'thead', 'tbody', 'tr', 'th', 'td', 'strong', 'em', 'br'];
+const hasDisallowedHtml = (text) => {
+  const tags = text.match(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi) || [];
+  return tags.some(tag => {
+    const name = tag.replace(/^<\/?/, '').split(/[\s/>]/)[0].toLowerCase();
+    return !ALLOWED_REPORT_TAGS.includes(name) || /\son\w+\s*=|javascript:/i.test(tag);
+  });
+};
 
----
+// Longest report accepted for a section rewrite (a full report is around 20,000 characters)
+const MAX_REPORT_LENGTH = 100_000;
 
-## 5. FINANCIAL ANALYSIS
+// Check the `report` of a section rewrite; sends the error response and returns false when invalid
+const validateReport = (report, res) => {
+  if (typeof report !== 'string' || report.trim() === '' || report.length > MAX_REPORT_LENGTH) {
+    res.status(400).json({
+      error: 'Invalid request',
+      message: `Missing or invalid report text (at most ${MAX_REPORT_LENGTH} characters)`
+    });
+    return false;
+  }
 
-### 5.1 Total Cost of Ownership (3-Year Projection)
+  if (hasDisallowedHtml(report)) {
+    res.status(400).json({
+      error: 'Invalid request',
+      message: 'Report contains HTML that reports are not allowed to include'
+    });
+    return false;
+  }
 
-<table>
-<tr><th>Cost Category</th><th>Year 1</th><th>Year 2</th><th>Year 3</th><th>3-Year Total</th></tr>
-<tr><td>AI Services</td><td>$XX,000</td><td>$XX,000</td><td>$XX,000</td><td>$XX,000</td></tr>
-<tr><td>Infrastructure</td><td>$XX,000</td><td>$XX,000</td><td>$XX,000</td><td>$XX,000</td></tr>
-<tr><td><strong>Total</strong></td><td><strong>$XX,000</strong></td><td><strong>$XX,000</strong></td><td><strong>$XX,000</strong></td><td><strong>$XX,000</strong></td></tr>
-</table>
+  return true;
+};
 
-### 5.2 Return on Investment
+/**
+ * Handler of the endpoints that rewrite sections of an existing report: the what-if rewrite and the
+ * regeneration of one section. Body: the /api/analyze fields plus `report` (the current markdown, disclaimer
+ * included) and the sections to rewrite. Returns the report with those sections replaced and the same ground
+ * truth as /api/analyze; sections the model left out keep their old text and are listed in
+ * metadata.sections.missing, and a reply cut off at the token limit lists the last section it reached in
+ * metadata.truncatedSections.
+ * @param {Object} options
+ * @param {string} options.endpoint - usage ledger name
+ * @param {string} options.label - for the logs, e.g. "Section rewrite"
+ * @param {(body: Object, report: string, res: Object) => string[]|null} options.readSections - the REPORT_SECTIONS
+ *   ids to rewrite, in report order; sends the error response and returns null when invalid
+ * @param {(request: Object, groundTruth: Object, report: string, sectionIds: string[]) => {prompt: string, maxTokens: number, extract: (text: string) => string}} options.buildCall -
+ *   the model call, and how to get the rewritten sections out of its reply
+ */
+const sectionRewriteHandler = ({ endpoint, label, readSections, buildCall }) => async (req, res) => {
+  const startTime = Date.now();
+  const failedAttempts = [];
+  let tokens = null;
+  let billing = null;
+  let metadata = null;
 
-**ROI Analysis:**
-- Break-even timeline
-- Productivity gains
-- Cost avoidance
-- Value drivers
+  try {
+    const request = resolveAnalysisRequest(req, res);
+    if (!request) return;
+    const { responses, provider, providerConfig, structured, language, currency } = request;
+    const { report } = req.body;
+    if (!validateReport(report, res)) return;
+    const sectionIds = readSections(req.body, report, res);
+    if (!sectionIds) return;
+
+    console.log(`Processing ${label.toLowerCase()} with provider: ${provider} (${providerConfig.name}), sections: ${sectionIds.join(', ')}, language: ${language}, currency: ${currency}`);
+
+    const compliance = evaluateCompliance(responses);
+    const costEstimate = estimateCosts(responses);
+    const riskScores = scoreRisks(responses);
+    const timeline = evaluateTimeline(responses);
+    const { prompt, maxTokens, extract } = buildCall(request, { compliance, costEstimate, riskScores, timeline }, report, sectionIds);
+
+    tokens = { inputTokens: promptTokens(prompt), outputTokens: maxTokens };
+    const projected = projectCost(provider, [tokens], {
+      structured,
+      reportTokens: promptTokens(report) + maxTokens
+    });
+    billing = await startBilling(req, res, { endpoint, provider, projected, startTime });
+    if (!billing) return;
+
+    const served = await withFallback(providers, provider, (id, { signal }) =>
+      providers.complete(id, prompt, { maxTokens, signal }),
+    { failedAttempts });
+    const { text, usage, stopReason } = served.result;
+
+    metadata = {
+      ...buildMetadata(providers.get(served.providerId), usage.input, usage.output, startTime),
+      ...buildFallbackMetadata(provider, served),
+      stopReason,
+      promptVersion: prompts.version,
+      language,
+      currency
+    };
+    addFailedAttemptsCost(metadata, failedAttempts, tokens);
+    billing.charge(metadata);
+
+    const rewritten = replaceSections(report, extract(text), sectionIds);
+    if (rewritten.replaced.length === 0) {
+      throw new Error(`The model did not return ${sectionIds.length === 1 ? 'the requested section' : 'any of the requested sections'}`);
+    }
+    metadata.sections = { requested: sectionIds, replaced: rewritten.replaced, missing: rewritten.missing };
+    metadata.truncatedSections = TRUNCATED_STOP_REASONS.includes(stopReason) ? rewritten.replaced.slice(-1) : [];
 
----
+    const structuredReport = structured
+      ? await buildStructuredReport({ report: rewritten.markdown, compliance, language, currency, providerId: served.providerId, metadata })
+      : null;
+    metadata.duration = Date.now() - startTime;
+    billing.complete(metadata);
 
-## 6. RISK MITIGATION
+    console.log(`${label} completed - Provider: ${served.providerId}, Replaced: ${rewritten.replaced.join(', ')}, Stop reason: ${stopReason}, Duration: ${metadata.duration}ms, Cost: $${metadata.cost.total.toFixed(4)}`);
 
-### 6.1 Critical Success Factors
+    res.json({
+      success: true,
+      analysis: rewritten.markdown,
+      structured: structuredReport,
+      compliance,
+      costEstimate,
+      riskScores,
+      timeline,
+      metadata
+    });
 
-<table>
-<tr><th>Risk</th><th>Impact</th><th>Probability</th><th>Mitigation Strategy</th></tr>
-</table>
+  } catch (error) {
+    console.error(`${label} error:`, error);
+    // Attempts the provider may bill for are paid for even when none of them returned
+    billing?.fail({ aborted: false, partial: metadata ? 0 : failedAttemptsCost(failedAttempts, tokens) });
 
-### 6.2 Common Pitfalls to Avoid
+    res.status(500).json(analysisErrorBody(error));
+  } finally {
+    billing?.finish();
+  }
+};
 
-List critical mistakes with specific solutions
+// What-if edits: rewrite only the report sections that changed answers affect. `sections` is a list of
+// REPORT_SECTIONS ids; the reply has the shape described at sectionRewriteHandler()
+app.post('/api/analyze/sections', sectionRewriteHandler({
+  endpoint: 'sections',
+  label: 'Section rewrite',
+  readSections: ({ sections }, report, res) => {
+    if (!Array.isArray(sections) || sections.length === 0 || !sections.every(isReportSectionId)) {
+      res.status(400).json({
+        error: 'Invalid sections',
+        message: `Sections must be a non-empty list of: ${REPORT_SECTIONS.map(section => section.id).join(', ')}`
+      });
+      return null;
+    }
+    // Report order, each section once
+    return REPORT_SECTIONS.map(section => section.id).filter(id => sections.includes(id));
+  },
+  buildCall: ({ responses, language, currency }, { compliance, costEstimate, riskScores, timeline }, report, sectionIds) => ({
+    prompt: prompts.buildSectionsPrompt(responses, compliance, costEstimate, riskScores, timeline, language, currency, report, sectionIds),
+    maxTokens: MAX_OUTPUT_TOKENS,
+    extract: (text) => text
+  })
+}));
 
----
+// Regenerate one report section with the same answers - for a section that was cut off at the token limit
+// (metadata.truncatedSections) or that reads weak. `section` is a REPORT_SECTIONS id the report has. The section
+// is written the way a new report writes it, from the other sections of the report (prompt versions of the
+// whole layout have no section prompt and rewrite it as a what-if edit of that one section)
+app.post('/api/analyze/section', sectionRewriteHandler({
+  endpoint: 'section',
+  label: 'Section regeneration',
+  readSections: ({ section }, report, res) => {
+    if (!isReportSectionId(section)) {
+      res.status(400).json({
+        error: 'Invalid section',
+        message: `Section must be one of: ${REPORT_SECTIONS.map(entry => entry.id).join(', ')}`
+      });
+      return null;
+    }
+    if (findSection(splitReportSections(report), section) === -1) {
+      res.status(400).json({
+        error: 'Invalid section',
+        message: `The report has no "${REPORT_SECTIONS.find(entry => entry.id === section).heading}" section`
+      });
+      return null;
+    }
+    return [section];
+  },
+  buildCall: ({ responses, language, currency }, { compliance, costEstimate, riskScores, timeline }, report, [section]) => (prompts.sectioned
+    ? {
+      prompt: prompts.buildSectionPrompt(responses, compliance, costEstimate, riskScores, timeline, language, currency, section, {
+        written: otherSections(report, [section])
+      }),
+      maxTokens: MAX_SECTION_TOKENS,
+      extract: (text) => extractSection(text, section)
+    }
+    : {
+      prompt: prompts.buildSectionsPrompt(responses, compliance, costEstimate, riskScores, timeline, language, currency, report, [section]),
+      maxTokens: MAX_OUTPUT_TOKENS,
+      extract: (text) => text
+    })
+}));
 
-## 7. CONCLUSION
+// Saved metadata is shown to whoever opens the link ("Analysis by ..."), so only the fields the report view reads are kept
+const METADATA_TEXT_FIELDS = ['provider', 'model', 'promptVersion', 'timestamp'];
+const METADATA_COST_FIELDS = ['input', 'output', 'total'];
+const MAX_METADATA_TEXT = 200;
 
-### Bottom Line
-Restate key recommendations and next actions.
+const sanitizeAssessmentMetadata = (metadata) => {
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) return null;
 
-**Recommended Next Action:**
-Specific immediate next step with budget/timeline.
+  const clean = {};
+  for (const field of METADATA_TEXT_FIELDS) {
+    if (typeof metadata[field] === 'string') clean[field] = metadata[field].slice(0, MAX_METADATA_TEXT);
+  }
 
----
+  const cost = metadata.cost;
+  if (cost && typeof cost === 'object' && METADATA_COST_FIELDS.every(field => Number.isFinite(cost[field]) && cost[field] >= 0)) {
+    clean.cost = { ...Object.fromEntries(METADATA_COST_FIELDS.map(field => [field, cost[field]])), currency: 'USD' };
+  }
 
-## DISCLAIMER
+  return Object.keys(clean).length > 0 ? clean : null;
+};
 
-**IMPORTANT: This report is provided for informational and inspirational purposes only.**
+// Save a completed assessment and return its shareable ID
+app.post('/api/assessments', async (req, res) => {
+  try {
+    const { responses, provider, analysis, structured = null, metadata } = req.body || {};
 
-This AI implementation strategy report is a general assessment based on the information provided and should NOT be considered:
-- Legal advice or a substitute for consultation with qualified legal counsel
-- Professional cybersecurity guidance or a replacement for security audits by certified professionals
-- Compliance certification or guarantee of regulatory adherence
-- Financial advice or a substitute for consultation with financial advisors
-- A comprehensive risk assessment
+    if (!responses || typeof responses !== 'object' || Array.isArray(responses)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Missing or invalid responses object'
+      });
+    }
 
-**You should consult with qualified professionals before making implementation decisions:**
-- **Legal Counsel**: For compliance with GDPR, HIPAA, CCPA, and other regulations
-- **Cybersecurity Experts**: For security architecture and risk assessment
-- **Compliance Specialists**: For industry-specific regulatory requirements
-- **Financial Advisors**: For budget planning and ROI analysis
+    if (typeof analysis !== 'string' || analysis.trim() === '') {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Missing analysis text'
+      });
+    }
 
-The strategies, costs, and timelines presented are estimates based on typical scenarios and may vary significantly based on your specific circumstances. Actual implementation should only proceed after thorough professional review and approval.
+    if (hasDisallowedHtml(analysis)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Analysis contains HTML that reports are not allowed to include'
+      });
+    }
 
-**No warranty or guarantee is provided regarding the accuracy, completeness, or suitability of this report for your specific situation.**
+    if (structured !== null && validateAgainstSchema(structured, REPORT_SCHEMA).length > 0) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Structured report does not match the report schema'
+      });
+    }
 
----
+    const record = await assessmentStore.save({
+      id: createAssessmentId(),
+      createdAt: new Date().toISOString(),
+      responses: sanitizeResponses(questions, responses),
+      provider: typeof provider === 'string' ? provider : null,
+      analysis,
+      structured,
+      metadata: sanitizeAssessmentMetadata(metadata)
+    });
 
-*Report generated on ${new Date().toISOString().split('T')[0]}*
+    console.log(`Assessment saved - ID: ${record.id}, Store: ${assessmentStore.type}`);
 
----
+    res.status(201).json({
+      success: true,
+      id: record.id,
+      createdAt: record.createdAt
+    });
 
-INSTRUCTIONS FOR GENERATING THIS REPORT:
-1. Use the EXACT structure above
-2. Fill in all sections with specific, actionable recommendations based on the assessment data
-3. Use HTML tables for all tabular data (they render properly)
-4. Use ASCII diagrams for architecture/flow visualizations
-5. Include specific vendor names, cost ranges ($XX,000 format), and timelines
-6. Address the business location vs customer location distinction explicitly
-7. Make tables with realistic numbers based on the user's profile
-8. Keep disclaimers prominent and clear
-9. Be specific about risks for their industry/compliance requirements
-10. Provide immediate actionable next steps
+  } catch (error) {
+    console.error('Assessment save error:', error);
 
-Generate a complete, professional report following this structure exactly.`;
+    res.status(500).json({
+      error: 'Save failed',
+      message: 'Could not save the assessment',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-    let analysisText;
-    let inputTokens = 0;
-    let outputTokens = 0;
+// Fetch a stored assessment (read-only report view)
+app.get('/api/assessments/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const record = isValidAssessmentId(id) ? await assessmentStore.get(id) : null;
 
-    // Call appropriate API based on provider
-    if (provider === 'claude') {
-      // Direct Claude API call
-      const response = await fetch(providerConfig.apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model: providerConfig.model,
-          max_tokens: 4000,
-          messages: [{
-            role: 'user',
-            content: analysisPrompt
-          }]
-        })
+    if (!record) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Assessment not found'
       });
+    }
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error?.message || `API error: ${response.status}`);
-      }
+    res.json({
+      success: true,
+      assessment: record
+    });
+
+  } catch (error) {
+    console.error('Assessment load error:', error);
+
+    res.status(500).json({
+      error: 'Load failed',
+      message: 'Could not load the assessment',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
 
-      const data = await response.json();
-      analysisText = data.content[0].text;
-      inputTokens = data.usage?.input_tokens || 0;
-      outputTokens = data.usage?.output_tokens || 0;
-
-    } else if (provider.startsWith('openrouter_')) {
-      // OpenRouter API call (works for all OpenRouter models)
-      const response = await fetch(providerConfig.apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`,
-          'HTTP-Referer': process.env.FRONTEND_URL || 'https://godagoo.github.io',
-          'X-Title': 'AI Business Assessment Tool'
-        },
-        body: JSON.stringify({
-          model: providerConfig.model,
-          messages: [{
-            role: 'user',
-            content: analysisPrompt
-          }],
-          max_tokens: 4000
-        })
+const USAGE_DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_USAGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2026-10-19" -> midnight UTC, or null
+const parseUsageDay = (value) => {
+  if (!USAGE_DAY_PATTERN.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+};
+
+// Spend and token usage from the ledger, by day, provider/model and client.
+// ADMIN_API_KEY sees every client; a client API key sees only its own usage.
+// Query: from, to (YYYY-MM-DD, UTC, both included; default the last 30 days), format=json|csv
+app.get('/api/usage', async (req, res) => {
+  try {
+    const presented = readApiKey(req);
+    const admin = isSameKey(presented, process.env.ADMIN_API_KEY);
+    const client = admin ? null : await apiKeys.authenticate(presented);
+    if (!admin && !client) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'The admin key (ADMIN_API_KEY) or a client API key is required'
       });
+    }
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error?.message || `API error: ${response.status}`);
-      }
+    const { format = 'json' } = req.query;
+    const to = req.query.to === undefined ? new Date(new Date().toISOString().slice(0, 10)) : parseUsageDay(req.query.to);
+    const from = req.query.from === undefined && to
+      ? new Date(to.getTime() - (DEFAULT_USAGE_DAYS - 1) * DAY_MS)
+      : parseUsageDay(req.query.from);
 
-      const data = await response.json();
-      analysisText = data.choices[0].message.content;
-      inputTokens = data.usage?.prompt_tokens || 0;
-      outputTokens = data.usage?.completion_tokens || 0;
+    if (!from || !to || from > to) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'from and to must be dates (YYYY-MM-DD) with from on or before to'
+      });
     }
 
-    // Calculate cost estimate
-    const inputCost = (inputTokens / 1_000_000) * providerConfig.costPer1M.input;
-    const outputCost = (outputTokens / 1_000_000) * providerConfig.costPer1M.output;
-    const totalCost = inputCost + outputCost;
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'format must be json or csv'
+      });
+    }
 
-    const duration = Date.now() - startTime;
+    const entries = await usageLedger.entries({ from, to: new Date(to.getTime() + DAY_MS), ...(client && { client: client.id }) });
+    const clientNames = Object.fromEntries((await apiKeys.list()).map(record => [record.id, record.name]));
+    const range = { from: from.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) };
 
-    console.log(`Request completed successfully - Provider: ${provider}, Duration: ${duration}ms, Cost: $${totalCost.toFixed(4)}`);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="usage-${range.from}-${range.to}.csv"`);
+      return res.send(usageToCsv(entries, clientNames));
+    }
 
+    const summary = summarizeUsage(entries);
     res.json({
-      success: true,
-      analysis: analysisText,
-      metadata: {
-        provider: providerConfig.name,
-        model: providerConfig.model,
-        tokens: {
-          input: inputTokens,
-          output: outputTokens,
-          total: inputTokens + outputTokens
-        },
-        cost: {
-          input: inputCost,
-          output: outputCost,
-          total: totalCost,
-          currency: 'USD'
-        },
-        duration: duration,
-        timestamp: new Date().toISOString()
-      }
+      ...range,
+      client: client ? client.id : null,
+      currency: 'USD',
+      ...summary,
+      byClient: summary.byClient.map(group => ({ ...group, name: clientNames[group.client] ?? null }))
     });
 
   } catch (error) {
-    console.error('Analysis error:', error);
+    console.error('Usage report error:', error);
 
     res.status(500).json({
-      error: 'Analysis failed',
-      message: error.message || 'An unexpected error occurred',
+      error: 'Usage report failed',
+      message: 'Could not read the usage ledger',
       timestamp: new Date().toISOString()
     });
   }
 });
 
+// Browser session: a token the frontend sends instead of a client API key (lib/sessions.js). Only issued to
+// the allowed origins, and only while the site's key is active
+app.post('/api/session', async (req, res) => {
+  if (!sessions) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Browser sessions are not enabled on this server (SESSION_SECRET, SESSION_KEY)'
+    });
+  }
+  if (!isAllowedOrigin(req.get('origin'))) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Sessions are only issued to the allowed browser origins'
+    });
+  }
+
+  try {
+    if (!await apiKeys.get(sessions.keyId)) {
+      console.error(`Browser sessions: SESSION_KEY "${sessions.keyId}" is not an active client API key`);
+      return res.status(503).json({
+        error: 'Sessions unavailable',
+        message: 'The client API key of this site is missing or revoked'
+      });
+    }
+    res.json({ success: true, ...sessions.issue(req.ip) });
+  } catch (error) {
+    console.error('Session error:', error);
+    res.status(500).json({ error: 'Session failed', message: error.message });
+  }
+});
+
 // Get available providers endpoint
 app.get('/api/providers', (req, res) => {
-  const providers = Object.entries(PROVIDERS).map(([key, config]) => ({
-    id: key,
-    name: config.name,
-    model: config.model,
-    costPer1M: config.costPer1M,
-    available: !!process.env[config.envKey]
-  }));
-
   res.json({
-    providers,
-    default: 'claude'
+    providers: providers.list().map(config => ({
+      id: config.id,
+      name: config.name,
+      model: config.model,
+      costPer1M: config.costPer1M,
+      available: providers.isAvailable(config.id)
+    })),
+    default: providers.defaultProvider
   });
 });
 
@@ -498,19 +1283,46 @@ app.listen(PORT, () => {
 ✓ Environment: ${process.env.NODE_ENV || 'development'}
 ✓ CORS enabled for: ${allowedOrigins.join(', ')}
 ✓ Rate limiting: 10 requests per 15 minutes
+✓ Assessment store: ${assessmentStore.type}
+✓ API keys: ${REQUIRE_API_KEY ? `required (${apiKeys.type} store)` : 'not required'}
+✓ Browser sessions: ${sessions ? `key ${sessions.keyId} (${sessions.ttlMinutes}-minute tokens)` : 'off'}
+✓ Usage ledger: ${usageLedger.type}${usageLedger.retentionDays ? ` (${usageLedger.retentionDays}-day retention)` : ''}
+✓ Response cache: ${responseCache ? `${responseCache.type} (${responseCache.ttlMs / 3_600_000}h TTL)` : 'off'}
+✓ Prompt version: ${prompts.version}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 Available providers:
-${Object.entries(PROVIDERS).map(([key, config]) =>
-  `  • ${config.name} - ${process.env[config.envKey] ? '✓ Configured' : '✗ Missing API key'}`
+${providers.list().map(config =>
+  `  • ${config.name} - ${providers.isAvailable(config.id) ? '✓ Configured' : '✗ Missing API key'}`
 ).join('\n')}
 
 Endpoints:
   • GET  /health          - Health check
   • GET  /api/providers   - List available AI providers
+  • POST /api/session     - Session token for the browser
   • POST /api/analyze     - Analyze business assessment
+  • POST /api/analyze/stream - Analyze with streamed output (SSE)
+  • POST /api/analyze/sections - Rewrite the report sections changed answers affect
+  • POST /api/analyze/section - Regenerate one report section
+  • POST /api/assessments - Save a completed assessment
+  • GET  /api/assessments/:id - Load a saved assessment
+  • GET  /api/usage       - Spend by day, provider and client (JSON or CSV)
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
   `);
 });
 
+// Without a single active key every analysis would be refused - say so at startup, not with the first 401
+apiKeys.list()
+  .then(records => {
+    const active = records.filter(record => !record.revokedAt);
+    if (REQUIRE_API_KEY && active.length === 0) {
+      console.warn(`No active client API keys in the ${apiKeys.type} store: every /api/analyze* request will get 401. `
+        + 'Create one with npm run keys (or set API_KEYS), or set REQUIRE_API_KEY=false for local development');
+    }
+    if (sessions && !active.some(record => record.id === sessions.keyId)) {
+      console.warn(`Browser sessions: SESSION_KEY "${sessions.keyId}" is not an active client API key`);
+    }
+  })
+  .catch(error => console.error('API key store check failed:', error.message));
+
 export default app;
@@ -0,0 +1,72 @@
+/**
+ * Input for typed-in questions (text, longtext, number) from the question bank.
+ * Limits come from the question's `validation`; the wizard decides when the
+ * answer is valid enough to continue (validateAnswer in src/shared/questionBank.js).
+ */
+
+import React from 'react';
+
+const INPUT_CLASSES = 'w-full p-4 rounded-lg border-2 border-gray-300 focus:border-indigo-600 focus:outline-none text-gray-900';
+
+const AnswerInput = ({ question, value, error, onChange }) => {
+  const { maxLength, min, max, integer } = question.validation || {};
+  const { unit, placeholder } = question.display || {};
+
+  if (question.type === 'number') {
+    return (
+      <div className="mb-8">
+        <div className="flex items-center gap-3">
+          <input
+            type="number"
+            inputMode={integer ? 'numeric' : 'decimal'}
+            min={min}
+            max={max}
+            step={integer ? 1 : 'any'}
+            value={value ?? ''}
+            placeholder={placeholder}
+            aria-label={question.question}
+            onChange={(e) => onChange(e.target.value === '' ? undefined : Number(e.target.value))}
+            className={`${INPUT_CLASSES} md:w-64 text-lg`}
+          />
+          {unit && <span className="text-gray-600">{unit}</span>}
+        </div>
+        {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+      </div>
+    );
+  }
+
+  const length = (value || '').length;
+  const handleChange = (e) => onChange(e.target.value === '' ? undefined : e.target.value);
+
+  return (
+    <div className="mb-8">
+      {question.type === 'longtext' ? (
+        <textarea
+          rows={6}
+          maxLength={maxLength}
+          value={value ?? ''}
+          placeholder={placeholder}
+          aria-label={question.question}
+          onChange={handleChange}
+          className={INPUT_CLASSES}
+        />
+      ) : (
+        <input
+          type="text"
+          maxLength={maxLength}
+          value={value ?? ''}
+          placeholder={placeholder}
+          aria-label={question.question}
+          onChange={handleChange}
+          className={`${INPUT_CLASSES} text-lg`}
+        />
+      )}
+      <div className="flex justify-between gap-4 mt-2 text-sm">
+        <span className="text-red-600">{error}</span>
+        <span className={length >= maxLength ? 'text-amber-700' : 'text-gray-500'}>{length}/{maxLength}</span>
+      </div>
+    </div>
+  );
+};
+
+export default AnswerInput;
@@ -1,10 +1,13 @@
 import React from 'react';
 import AIBusinessAssessmentEnhanced from './AIBusinessAssessmentEnhanced';
+import { LanguageProvider } from './i18n';
 
 function App() {
   return (
     <div className="App">
-      <AIBusinessAssessmentEnhanced />
+      <LanguageProvider>
+        <AIBusinessAssessmentEnhanced />
+      </LanguageProvider>
     </div>
   );
 }
@@ -0,0 +1,77 @@
+/**
+ * Cost estimate panel - the deterministic ranges from src/shared/costModel.js,
+ * shown in the display currency. The report's TCO tables are generated within
+ * these same ranges.
+ */
+
+import React from 'react';
+import { Calculator, AlertTriangle, CheckCircle } from 'lucide-react';
+import { describeBudgetFit, formatCostRange } from './shared/costModel';
+import { RATES_AS_OF, describeRate } from './shared/currency';
+import { useI18n } from './i18n';
+
+const BUDGET_STYLES = {
+  gap: 'bg-red-50 border-red-400 text-red-800',
+  tight: 'bg-amber-50 border-amber-400 text-amber-800',
+  fits: 'bg-green-50 border-green-400 text-green-800',
+  unknown: 'bg-gray-50 border-gray-300 text-gray-700'
+};
+
+const CostEstimate = ({ estimate }) => {
+  const { t, locale, catalog, label, ruleText, currency, formatDate } = useI18n();
+  if (!estimate || estimate.components.length === 0) return null;
+  const { components, totals, budget } = estimate;
+  const range = (value) => formatCostRange(value, locale, currency);
+  const BudgetIcon = budget.status === 'fits' ? CheckCircle : AlertTriangle;
+
+  return (
+    <div className="bg-white border border-indigo-200 rounded-lg p-6 mb-6">
+      <h3 className="text-xl font-bold text-gray-900 mb-2 flex items-center gap-2">
+        <Calculator size={20} />
+        {t('costEstimate.title')}
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {t('costEstimate.intro', { currency })}
+        {currency !== estimate.currency && ` ${t('costEstimate.converted', { rate: describeRate(currency), date: formatDate(RATES_AS_OF) })}`}
+      </p>
+
+      <div className={`border-l-4 rounded-r-lg p-3 mb-4 text-sm flex items-start gap-2 ${BUDGET_STYLES[budget.status]}`}>
+        <BudgetIcon size={18} className="flex-shrink-0 mt-0.5" />
+        <span>{describeBudgetFit(estimate, { locale, messages: catalog.budgetFit, currency })}</span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full border-collapse border border-gray-300 text-sm">
+          <thead>
+            <tr>
+              {['component', 'year1', 'ongoing', 'threeYear'].map(header => (
+                <th key={header} className="border border-gray-300 px-3 py-2 bg-indigo-100 font-bold text-left">{t(`costEstimate.${header}`)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {components.map(component => (
+              <tr key={component.id} className="hover:bg-gray-50 align-top">
+                <td className="border border-gray-300 px-3 py-2">
+                  {label('costComponents', component.regime ? 'compliance' : component.id, component.name, { regime: component.regime })}
+                  <p className="text-xs text-gray-500">{ruleText(component.basis)}</p>
+                </td>
+                <td className="border border-gray-300 px-3 py-2">{range(component.year1)}</td>
+                <td className="border border-gray-300 px-3 py-2">{range(component.ongoing)}</td>
+                <td className="border border-gray-300 px-3 py-2">{range(component.threeYear)}</td>
+              </tr>
+            ))}
+            <tr className="font-bold bg-gray-50">
+              <td className="border border-gray-300 px-3 py-2">{t('costEstimate.total')}</td>
+              <td className="border border-gray-300 px-3 py-2">{range(totals.year1)}</td>
+              <td className="border border-gray-300 px-3 py-2">{range(totals.ongoing)}</td>
+              <td className="border border-gray-300 px-3 py-2">{range(totals.threeYear)}</td>
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default CostEstimate;
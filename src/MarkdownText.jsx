@@ -0,0 +1,142 @@
+/**
+ * Renders report markdown as React elements from the AST in ./markdown.
+ * No dangerouslySetInnerHTML: every node type maps to a fixed element, and
+ * all text is escaped by React.
+ */
+
+import React from 'react';
+import { parseMarkdown } from './markdown';
+
+const HEADING_STYLES = {
+  1: 'text-2xl font-bold mt-8 mb-4 text-gray-900',
+  2: 'text-xl font-bold mt-6 mb-3 text-gray-900',
+  3: 'text-lg font-bold mt-4 mb-2 text-gray-900'
+};
+
+// Heading text without its formatting, as the report page matches it to a report section
+const plainText = (nodes) => nodes.map(node => node.value ?? (node.children ? plainText(node.children) : '')).join('');
+
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'strong':
+      return <strong key={index} className="font-bold">{renderInline(node.children)}</strong>;
+    case 'emphasis':
+      return <em key={index} className="italic">{renderInline(node.children)}</em>;
+    case 'delete':
+      return <del key={index}>{renderInline(node.children)}</del>;
+    case 'inlineCode':
+      return <code key={index} className="bg-gray-100 text-gray-800 px-1 py-0.5 rounded text-sm font-mono">{node.value}</code>;
+    case 'break':
+      return <br key={index} />;
+    case 'link':
+      // Unsafe targets (javascript:, data:, ...) keep their text but lose the link
+      return node.href
+        ? <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" className="text-indigo-600 underline hover:text-indigo-800">{renderInline(node.children)}</a>
+        : <React.Fragment key={index}>{renderInline(node.children)}</React.Fragment>;
+    default:
+      return null;
+  }
+});
+
+const renderBlocks = (blocks, { tight = false, headingAction } = {}) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      const Tag = `h${Math.min(block.level, 3)}`;
+      const heading = <Tag key={index} className={HEADING_STYLES[Math.min(block.level, 3)]}>{renderInline(block.children)}</Tag>;
+      const action = headingAction?.(block.level, plainText(block.children));
+      return action
+        ? (
+          <div key={index} className="flex items-start justify-between gap-3">
+            {heading}
+            <div className="mt-6 flex-shrink-0">{action}</div>
+          </div>
+        )
+        : heading;
+    }
+    case 'paragraph':
+      return tight
+        ? <div key={index}>{renderInline(block.children)}</div>
+        : <p key={index} className="mb-4">{renderInline(block.children)}</p>;
+    case 'rule':
+      return <hr key={index} className="my-6 border-gray-300" />;
+    case 'code':
+      return (
+        <pre key={index} className="bg-gray-100 p-4 rounded-lg overflow-x-auto my-4 border border-gray-300">
+          <code className="text-sm font-mono text-gray-800 whitespace-pre">{block.value}</code>
+        </pre>
+      );
+    case 'blockquote':
+      return (
+        <blockquote key={index} className="border-l-4 border-indigo-300 bg-indigo-50 pl-4 py-2 my-4 text-gray-700">
+          {renderBlocks(block.children, { tight: true })}
+        </blockquote>
+      );
+    case 'list': {
+      const ListTag = block.ordered ? 'ol' : 'ul';
+      return (
+        <ListTag
+          key={index}
+          start={block.ordered && block.start !== 1 ? block.start : undefined}
+          className={`my-4 ml-6 ${block.ordered ? 'list-decimal' : 'list-disc'}`}
+        >
+          {block.items.map((item, itemIndex) => (
+            <li key={itemIndex} className="mb-1">
+              {renderBlocks(item.children, { tight: true })}
+            </li>
+          ))}
+        </ListTag>
+      );
+    }
+    case 'table':
+      return (
+        <div key={index} className="overflow-x-auto my-4">
+          <table className="min-w-full border-collapse border border-gray-300 text-sm">
+            {block.head.length > 0 && (
+              <thead>
+                <tr>
+                  {block.head.map((cell, cellIndex) => (
+                    <th key={cellIndex} className="border border-gray-300 px-4 py-2 bg-indigo-100 font-bold text-left" style={{ textAlign: block.align[cellIndex] || undefined }}>
+                      {renderInline(cell)}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+            )}
+            <tbody>
+              {block.rows.map((row, rowIndex) => (
+                <tr key={rowIndex} className="hover:bg-gray-50">
+                  {row.map((cell, cellIndex) => (
+                    <td key={cellIndex} className="border border-gray-300 px-4 py-2" style={{ textAlign: block.align[cellIndex] || undefined }}>
+                      {renderInline(cell)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    default:
+      return null;
+  }
+});
+
+/**
+ * @param {Object} props
+ * @param {string} props.children - the markdown
+ * @param {(level: number, text: string) => React.ReactNode} [props.headingAction] - controls shown beside a
+ *   heading, from its level and plain text; null for none
+ */
+const MarkdownText = ({ children, headingAction }) => {
+  if (!children) return null;
+
+  return (
+    <div className="markdown-content">
+      {renderBlocks(parseMarkdown(children).children, { headingAction })}
+    </div>
+  );
+};
+
+export default MarkdownText;
@@ -0,0 +1,225 @@
+/**
+ * Side-by-side comparison of two saved assessments - answer changes,
+ * compliance and cost differences, and a section-by-section diff of the
+ * generated reports (src/shared/reportDiff.js). Shows clients what a scoping
+ * decision changed.
+ */
+
+import React from 'react';
+import { ArrowLeft, GitCompare } from 'lucide-react';
+import { diffAnswers, diffCompliance, diffCosts, diffReports } from './shared/reportDiff';
+import { formatCost, formatCostRange } from './shared/costModel';
+import { useI18n } from './i18n';
+
+const SECTION_STYLES = {
+  unchanged: 'bg-gray-100 text-gray-700',
+  changed: 'bg-amber-100 text-amber-800',
+  added: 'bg-green-100 text-green-800',
+  removed: 'bg-red-100 text-red-800'
+};
+
+const LINE_STYLES = {
+  same: 'text-gray-600',
+  added: 'bg-green-50 text-green-900',
+  removed: 'bg-red-50 text-red-900 line-through'
+};
+
+const LINE_MARKERS = { same: ' ', added: '+', removed: '-' };
+
+// Unchanged lines further than this from a change are folded away
+const CONTEXT_LINES = 2;
+
+const foldLines = (lines) => {
+  const near = lines.map((line, index) => lines
+    .slice(Math.max(0, index - CONTEXT_LINES), index + CONTEXT_LINES + 1)
+    .some(other => other.type !== 'same'));
+  return lines.reduce((folded, line, index) => {
+    if (near[index]) folded.push(line);
+    else if (folded[folded.length - 1]?.type !== 'fold') folded.push({ type: 'fold' });
+    return folded;
+  }, []);
+};
+
+const Panel = ({ title, children }) => (
+  <div className="bg-white border border-indigo-200 rounded-lg p-6 mb-6">
+    <h3 className="text-xl font-bold text-gray-900 mb-4">{title}</h3>
+    {children}
+  </div>
+);
+
+const Cell = ({ children, className = '' }) => (
+  <td className={`border border-gray-300 px-3 py-2 align-top ${className}`}>{children}</td>
+);
+
+const HeaderRow = ({ headers }) => (
+  <thead>
+    <tr>
+      {headers.map(header => (
+        <th key={header} className="border border-gray-300 px-3 py-2 bg-indigo-100 font-bold text-left">{header}</th>
+      ))}
+    </tr>
+  </thead>
+);
+
+/**
+ * @param {Object} props
+ * @param {Object} props.before - the older saved report (assessmentStorage record)
+ * @param {Object} props.after - the newer saved report
+ * @param {Array} props.questions - questions as displayed (translated)
+ * @param {(questionId: string, value: *) => string} props.optionLabel - label of a stored answer
+ * @param {() => void} props.onClose
+ */
+const ReportComparison = ({ before, after, questions, optionLabel, onClose }) => {
+  const { t, locale, currency, label, ruleText, formatDate } = useI18n();
+  const answers = diffAnswers(questions, before.responses, after.responses);
+  const compliance = diffCompliance(before.responses, after.responses);
+  const costs = diffCosts(before.responses, after.responses);
+  const sections = diffReports(before.analysis, after.analysis);
+
+  const questionText = (id) => questions.find(question => question.id === id)?.question || id;
+  const level = (value) => (value ? t(`glance.levels.${value}`) : t('compare.notApplicable'));
+  const range = (value) => (value ? formatCostRange(value, locale, currency) : '-');
+  const signed = (value) => {
+    if (value === 0) return formatCost(0, locale, currency);
+    return `${value > 0 ? '+' : '-'}${formatCost(Math.abs(value), locale, currency)}`;
+  };
+  const change = ({ min, max }) => (min === max ? signed(min) : `${signed(min)} / ${signed(max)}`);
+  const componentName = (component) => label('costComponents', component.regime ? 'compliance' : component.id, component.name, { regime: component.regime });
+
+  // Unchanged options plain, removed ones struck through (before) and added ones highlighted (after)
+  const answerValues = (questionId, values, highlighted, className) => (values === undefined
+    ? <span className="text-gray-500 italic">{t('compare.notAnswered')}</span>
+    : [].concat(values).map((value, index) => (
+      <span key={index}>
+        {index > 0 && ', '}
+        <span className={highlighted.includes(value) ? className : ''}>{optionLabel(questionId, value)}</span>
+      </span>
+    )));
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-purple-50 via-blue-50 to-indigo-100 p-6">
+      <div className="max-w-5xl mx-auto">
+        <div className="bg-white rounded-lg shadow-xl p-8 mb-6">
+          <button
+            onClick={onClose}
+            className="flex items-center gap-2 text-indigo-700 font-medium hover:text-indigo-900 mb-4"
+          >
+            <ArrowLeft size={18} />
+            {t('compare.back')}
+          </button>
+          <div className="text-center">
+            <h1 className="text-4xl font-bold text-gray-900 mb-3 flex items-center justify-center gap-3">
+              <GitCompare size={32} />
+              {t('compare.title')}
+            </h1>
+            <p className="text-gray-600">
+              {t('compare.subtitle', {
+                before: formatDate(before.savedAt, { dateStyle: 'medium', timeStyle: 'short' }),
+                after: formatDate(after.savedAt, { dateStyle: 'medium', timeStyle: 'short' })
+              })}
+            </p>
+          </div>
+        </div>
+
+        <Panel title={t('compare.answers')}>
+          {answers.length === 0 ? (
+            <p className="text-sm text-gray-600">{t('compare.noAnswerChanges')}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full border-collapse border border-gray-300 text-sm">
+                <HeaderRow headers={[t('compare.question'), t('compare.before'), t('compare.after')]} />
+                <tbody>
+                  {answers.map(answer => (
+                    <tr key={answer.id} className="hover:bg-gray-50">
+                      <Cell className="font-medium">{questionText(answer.id)}</Cell>
+                      <Cell>{answerValues(answer.id, answer.before, answer.removed, 'bg-red-100 text-red-800 line-through')}</Cell>
+                      <Cell>{answerValues(answer.id, answer.after, answer.added, 'bg-green-100 text-green-800 font-semibold')}</Cell>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Panel>
+
+        <Panel title={t('compare.compliance')}>
+          {compliance.length === 0 ? (
+            <p className="text-sm text-gray-600">{t('compare.noComplianceChanges')}</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full border-collapse border border-gray-300 text-sm">
+                <HeaderRow headers={[t('glance.regime'), t('compare.before'), t('compare.after')]} />
+                <tbody>
+                  {compliance.map(regime => (
+                    <tr key={regime.id} className="hover:bg-gray-50">
+                      <Cell className="font-medium">
+                        {regime.name}
+                        <p className="text-xs text-gray-500 font-normal">{ruleText(regime.reason)}</p>
+                      </Cell>
+                      <Cell>{level(regime.before)}</Cell>
+                      <Cell>{level(regime.after)}</Cell>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </Panel>
+
+        <Panel title={t('compare.costs')}>
+          <div className="overflow-x-auto">
+            <table className="min-w-full border-collapse border border-gray-300 text-sm">
+              <HeaderRow headers={[t('costEstimate.component'), t('compare.before'), t('compare.after'), t('compare.change')]} />
+              <tbody>
+                {costs.components.map(component => (
+                  <tr key={component.id} className="hover:bg-gray-50">
+                    <Cell>{componentName(component)} <span className="text-xs text-gray-500">({t('costEstimate.year1')})</span></Cell>
+                    <Cell>{range(component.before)}</Cell>
+                    <Cell>{range(component.after)}</Cell>
+                    <Cell>{change(component.delta)}</Cell>
+                  </tr>
+                ))}
+                {['year1', 'ongoing', 'threeYear'].map(period => (
+                  <tr key={period} className="font-bold bg-gray-50">
+                    <Cell>{t('costEstimate.total')} - {t(`costEstimate.${period}`)}</Cell>
+                    <Cell>{range(costs.totals[period].before)}</Cell>
+                    <Cell>{range(costs.totals[period].after)}</Cell>
+                    <Cell>{change(costs.totals[period].delta)}</Cell>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </Panel>
+
+        <Panel title={t('compare.sections')}>
+          {!before.analysis || !after.analysis ? (
+            <p className="text-sm text-gray-600">{t('compare.noReport')}</p>
+          ) : (
+            <div className="space-y-3">
+              {sections.map(section => (
+                <details key={`${section.status}:${section.key}`} open={section.status !== 'unchanged'} className="border border-gray-200 rounded-lg">
+                  <summary className="cursor-pointer px-4 py-2 flex items-center justify-between gap-4">
+                    <span className="font-semibold text-gray-900">{section.heading || t('compare.titleBlock')}</span>
+                    <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold ${SECTION_STYLES[section.status]}`}>
+                      {t(`compare.sectionStatus.${section.status}`)}
+                    </span>
+                  </summary>
+                  {section.status !== 'unchanged' && (
+                    <pre className="px-4 pb-4 text-xs font-mono whitespace-pre-wrap break-words">
+                      {foldLines(section.lines).map((line, index) => (line.type === 'fold'
+                        ? <div key={index} className="text-gray-400">⋯</div>
+                        : <div key={index} className={LINE_STYLES[line.type]}>{`${LINE_MARKERS[line.type]} ${line.text}`}</div>))}
+                    </pre>
+                  )}
+                </details>
+              ))}
+            </div>
+          )}
+        </Panel>
+      </div>
+    </div>
+  );
+};
+
+export default ReportComparison;
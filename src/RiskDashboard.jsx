@@ -0,0 +1,165 @@
+/**
+ * Risk dashboard - overall readiness, an SVG radar chart of the risk
+ * dimensions from src/shared/riskScoring.js, and the answers behind each score.
+ * Plain SVG on purpose: no chart library.
+ */
+
+import React from 'react';
+import { Gauge } from 'lucide-react';
+import { describeBudgetFit } from './shared/costModel';
+import { VERDICT_LABELS } from './shared/timelineFeasibility';
+import { useI18n } from './i18n';
+
+const LEVEL_STYLES = {
+  low: { badge: 'bg-green-100 text-green-800', bar: 'bg-green-500' },
+  medium: { badge: 'bg-amber-100 text-amber-800', bar: 'bg-amber-500' },
+  high: { badge: 'bg-orange-100 text-orange-800', bar: 'bg-orange-500' },
+  critical: { badge: 'bg-red-100 text-red-800', bar: 'bg-red-600' }
+};
+
+const RATING_STYLES = {
+  ready: 'text-green-700',
+  needs_work: 'text-amber-700',
+  at_risk: 'text-orange-700',
+  not_ready: 'text-red-700'
+};
+
+// Reasons computed from the answers (reason.detail) worded in the current language
+const DERIVED_REASONS = {
+  regime: ({ regime, level, reason }, { t, ruleText }) =>
+    t('risk.reasons.regime', { regime, level: t(`glance.levels.${level}`), reason: ruleText(reason) }),
+  deselected: ({ regime }, { t }) => t('risk.reasons.deselected', { regime }),
+  noRegime: (detail, { t }) => t('risk.reasons.noRegime'),
+  homeJurisdiction: (detail, { t }) => t('risk.reasons.homeJurisdiction'),
+  foreignRegions: ({ count }, { t }) => t('risk.reasons.foreignRegions', { count }),
+  budgetFit: ({ estimate }, { locale, catalog, currency }) => describeBudgetFit(estimate, { locale, messages: catalog.budgetFit, currency }),
+  timeline: ({ verdict, minimumWeeks, recommendedWeeks }, { t, label, formatDuration }) => {
+    const minimum = formatDuration(minimumWeeks);
+    const reason = t(`wizard.timelineReasons.${verdict}`, { minimum, recommended: formatDuration(recommendedWeeks) });
+    const suffix = verdict === 'infeasible' ? '' : ` (${t('risk.reasons.minimum', { minimum })})`;
+    return `${label('verdicts', verdict, VERDICT_LABELS[verdict])}: ${reason}${suffix}`;
+  }
+};
+
+const SIZE = 360;
+const CENTER = SIZE / 2;
+const RADIUS = 95;
+const RINGS = [25, 50, 75, 100];
+
+// Point at `value` (0-100) along axis `index` of `count`, starting at 12 o'clock
+const polar = (index, count, value) => {
+  const angle = (Math.PI * 2 * index) / count - Math.PI / 2;
+  const distance = (RADIUS * value) / 100;
+  return [CENTER + distance * Math.cos(angle), CENTER + distance * Math.sin(angle)];
+};
+
+const toPoints = (points) => points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+
+const RadarChart = ({ dimensions, title }) => {
+  const count = dimensions.length;
+  const axis = (value) => dimensions.map((_, index) => polar(index, count, value));
+
+  return (
+    <svg viewBox={`0 0 ${SIZE} ${SIZE}`} className="w-full max-w-sm" role="img" aria-label={title}>
+      {RINGS.map(ring => (
+        <polygon key={ring} points={toPoints(axis(ring))} fill="none" stroke="#e5e7eb" strokeWidth="1" />
+      ))}
+      {axis(100).map(([x, y], index) => (
+        <line key={index} x1={CENTER} y1={CENTER} x2={x} y2={y} stroke="#e5e7eb" strokeWidth="1" />
+      ))}
+      <polygon
+        points={toPoints(dimensions.map((dimension, index) => polar(index, count, dimension.score)))}
+        fill="rgba(220, 38, 38, 0.2)"
+        stroke="#dc2626"
+        strokeWidth="2"
+      />
+      {dimensions.map((dimension, index) => {
+        const [x, y] = polar(index, count, dimension.score);
+        return <circle key={dimension.id} cx={x} cy={y} r="3" fill="#dc2626" />;
+      })}
+      {dimensions.map((dimension, index) => {
+        const [x, y] = polar(index, count, 115);
+        const anchor = Math.abs(x - CENTER) < 1 ? 'middle' : x > CENTER ? 'start' : 'end';
+        const words = dimension.name.split(' ');
+        // Labels grow away from the chart: upwards above the centre, downwards below it
+        const top = y > CENTER + 1 ? y + 8 : y - (words.length - 1) * 12;
+        return (
+          <text key={dimension.id} x={x} y={top} textAnchor={anchor} fontSize="10" fill="#374151">
+            {words.map((word, wordIndex) => (
+              <tspan key={wordIndex} x={x} dy={wordIndex === 0 ? 0 : 12}>{word}</tspan>
+            ))}
+          </text>
+        );
+      })}
+    </svg>
+  );
+};
+
+const RiskDashboard = ({ risks, answerLabel = (field, value) => value }) => {
+  const i18n = useI18n();
+  const { t, label, ruleText } = i18n;
+  const reasonText = (reason) => (reason.detail && DERIVED_REASONS[reason.detail.id]
+    ? DERIVED_REASONS[reason.detail.id](reason.detail, i18n)
+    : ruleText(reason.why));
+  if (!risks) return null;
+  const { readiness, rating } = risks;
+  const dimensions = risks.dimensions.map(dimension => ({ ...dimension, name: label('riskDimensions', dimension.id, dimension.name) }));
+
+  return (
+    <div className="bg-white border border-indigo-200 rounded-lg p-6 mb-6">
+      <h3 className="text-xl font-bold text-gray-900 mb-4 flex items-center gap-2">
+        <Gauge size={20} />
+        {t('risk.title')}
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6 items-center mb-6">
+        <div className="text-center">
+          <p className="text-sm font-semibold text-gray-600">{t('risk.overall')}</p>
+          <p className={`text-5xl font-bold ${RATING_STYLES[rating.id]}`}>
+            {readiness}<span className="text-xl text-gray-500">/100</span>
+          </p>
+          <p className={`text-lg font-semibold ${RATING_STYLES[rating.id]}`}>{label('ratings', rating.id, rating.label)}</p>
+          <p className="text-xs text-gray-500 mt-2">
+            {t('risk.note')}
+          </p>
+        </div>
+        <div className="flex justify-center">
+          <RadarChart dimensions={dimensions} title={t('risk.chartLabel')} />
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        {dimensions.map(dimension => (
+          <div key={dimension.id}>
+            <div className="flex items-center justify-between mb-1 text-sm">
+              <span className="font-semibold text-gray-900">{dimension.name}</span>
+              <span className="flex items-center gap-2">
+                <span className="text-gray-600">{dimension.score}/100</span>
+                <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold uppercase ${LEVEL_STYLES[dimension.level].badge}`}>
+                  {t(`risk.levels.${dimension.level}`)}
+                </span>
+              </span>
+            </div>
+            <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
+              <div className={`h-2 rounded-full ${LEVEL_STYLES[dimension.level].bar}`} style={{ width: `${dimension.score}%` }} />
+            </div>
+            <ul className="text-xs text-gray-600 list-disc ml-5 space-y-0.5">
+              {dimension.reasons.map((reason, index) => (
+                <li key={index}>
+                  {reasonText(reason)}
+                  {reason.answers.length > 0 && (
+                    <span className="text-gray-400">
+                      {' '}({t('risk.yourAnswer', { answers: [...new Set(reason.answers.map(answer => answerLabel(answer.field, answer.value)))].join(', ') })})
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default RiskDashboard;
@@ -0,0 +1,148 @@
+/**
+ * "Report at a Glance" - tables rendered from the structured JSON report
+ * (src/shared/reportSchema.js) instead of parsing the model's markdown.
+ */
+
+import React from 'react';
+import { ListChecks, ShieldAlert, Map as MapIcon, Building2, DollarSign, Scale } from 'lucide-react';
+import { useI18n } from './i18n';
+
+const LEVEL_STYLES = {
+  high: 'bg-red-100 text-red-800',
+  medium: 'bg-amber-100 text-amber-800',
+  low: 'bg-green-100 text-green-800',
+  required: 'bg-red-100 text-red-800',
+  recommended: 'bg-amber-100 text-amber-800',
+  maybe: 'bg-blue-100 text-blue-800',
+  not_applicable: 'bg-gray-100 text-gray-600'
+};
+
+const Badge = ({ level }) => {
+  const { t } = useI18n();
+  return (
+    <span className={`inline-block px-2 py-0.5 rounded text-xs font-semibold uppercase ${LEVEL_STYLES[level] || 'bg-gray-100 text-gray-700'}`}>
+      {t(`glance.levels.${level}`, { defaultValue: level.replace('_', ' ') })}
+    </span>
+  );
+};
+
+const Section = ({ icon: Icon, title, children }) => (
+  <div className="mb-6">
+    <h4 className="font-bold text-gray-900 mb-2 flex items-center gap-2">
+      <Icon size={18} />
+      {title}
+    </h4>
+    <div className="overflow-x-auto">{children}</div>
+  </div>
+);
+
+const Table = ({ headers, rows }) => (
+  <table className="min-w-full border-collapse border border-gray-300 text-sm">
+    <thead>
+      <tr>
+        {headers.map(header => (
+          <th key={header} className="border border-gray-300 px-3 py-2 bg-indigo-100 font-bold text-left">{header}</th>
+        ))}
+      </tr>
+    </thead>
+    <tbody>
+      {rows.map((cells, rowIndex) => (
+        <tr key={rowIndex} className="hover:bg-gray-50 align-top">
+          {cells.map((cell, cellIndex) => (
+            <td key={cellIndex} className="border border-gray-300 px-3 py-2">{cell}</td>
+          ))}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const StructuredReport = ({ report }) => {
+  const { t, formatCurrency } = useI18n();
+  if (!report) return null;
+  const { tco } = report;
+  // Amounts come from the model: blank when it gave none
+  const money = (value) => (value === null || value === undefined ? '-' : formatCurrency(value, { currency: tco.currency }));
+  const headers = (...keys) => keys.map(key => t(`glance.${key}`));
+
+  return (
+    <div className="bg-white border border-indigo-200 rounded-lg p-6 mb-6">
+      <h3 className="text-xl font-bold text-gray-900 mb-4">{t('glance.title')}</h3>
+
+      <Section icon={DollarSign} title={t('glance.tco')}>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-3 text-sm">
+          {[
+            [t('glance.year1'), money(tco.year1)],
+            [t('glance.year2'), money(tco.year2)],
+            [t('glance.year3'), money(tco.year3)],
+            [t('glance.total'), money(tco.total)],
+            [t('glance.payback'), tco.paybackMonths === null || tco.paybackMonths === undefined ? '-' : t('glance.paybackMonths', { count: tco.paybackMonths })]
+          ].map(([label, value]) => (
+            <div key={label} className="bg-indigo-50 rounded-lg p-3">
+              <span className="font-semibold text-indigo-700">{label}</span>
+              <p className="text-lg font-bold text-gray-900">{value}</p>
+            </div>
+          ))}
+        </div>
+        {tco.breakdown.length > 0 && (
+          <Table
+            headers={headers('component', 'year1', 'year2', 'year3')}
+            rows={tco.breakdown.map(row => [row.item, money(row.year1), money(row.year2), money(row.year3)])}
+          />
+        )}
+      </Section>
+
+      <Section icon={ListChecks} title={t('glance.recommendations')}>
+        <Table
+          headers={headers('priority', 'recommendation', 'why', 'when')}
+          rows={report.recommendations.map(item => [<Badge level={item.priority} />, item.title, item.rationale, item.timeframe || '-'])}
+        />
+      </Section>
+
+      {report.complianceMatrix.length > 0 && (
+        <Section icon={Scale} title={t('glance.complianceMatrix')}>
+          <Table
+            headers={headers('regime', 'applies', 'keyRequirements', 'aiImpact', 'estimatedCost')}
+            rows={report.complianceMatrix.map(row => [row.regime, <Badge level={row.level} />, row.requirements, row.aiImpact, row.estimatedCost || '-'])}
+          />
+        </Section>
+      )}
+
+      <Section icon={ShieldAlert} title={t('glance.riskMatrix')}>
+        <Table
+          headers={headers('risk', 'likelihood', 'impact', 'mitigation')}
+          rows={report.risks.map(row => [row.risk, <Badge level={row.likelihood} />, <Badge level={row.impact} />, row.mitigation])}
+        />
+      </Section>
+
+      <Section icon={MapIcon} title={t('glance.roadmap')}>
+        <Table
+          headers={headers('phase', 'timeframe', 'objectives', 'estimatedCost')}
+          rows={report.roadmap.map(phase => [
+            phase.phase,
+            phase.timeframe,
+            <ul className="list-disc ml-4">{phase.objectives.map((objective, index) => <li key={index}>{objective}</li>)}</ul>,
+            money(phase.estimatedCost)
+          ])}
+        />
+      </Section>
+
+      {report.vendors.length > 0 && (
+        <Section icon={Building2} title={t('glance.vendors')}>
+          <Table
+            headers={headers('vendor', 'category', 'useCase', 'compliance', 'monthlyCost')}
+            rows={report.vendors.map(vendor => [
+              vendor.name,
+              vendor.category,
+              vendor.useCase,
+              (vendor.compliance || []).join(', ') || '-',
+              money(vendor.estimatedMonthlyCost)
+            ])}
+          />
+        </Section>
+      )}
+    </div>
+  );
+};
+
+export default StructuredReport;
@@ -0,0 +1,101 @@
+/**
+ * Inline answer editor for what-if mode on the report page. Shows one
+ * question with the help for the current answers and any follow-up questions
+ * the new answer opens; the wizard's handlers apply the change, so overrides
+ * and timeline acknowledgements work as they do in the wizard.
+ */
+
+import React from 'react';
+import { CheckCircle, Info } from 'lucide-react';
+import AnswerInput from './AnswerInput';
+import { isChoiceQuestion } from './shared/questionBank';
+import { useI18n } from './i18n';
+
+const OptionChips = ({ question, value, onChoose }) => (
+  <div className="flex flex-wrap gap-2">
+    {question.options.map(option => {
+      const isSelected = [].concat(value ?? []).includes(option.value);
+      return (
+        <button
+          key={option.value}
+          onClick={() => onChoose(question, option.value)}
+          aria-pressed={isSelected}
+          className={`flex items-center gap-1 px-3 py-1.5 rounded-full border text-sm transition-colors ${
+            isSelected
+              ? 'border-indigo-600 bg-indigo-600 text-white'
+              : 'border-gray-300 bg-white text-gray-700 hover:border-indigo-400'
+          }`}
+        >
+          {isSelected && <CheckCircle size={14} />}
+          {option.label}
+        </button>
+      );
+    })}
+  </div>
+);
+
+const QuestionField = ({ question, responses, onChoose, onChange, answerError }) => (
+  <div className="mb-4">
+    <p className="font-semibold text-gray-900 mb-2">{question.question}</p>
+    {isChoiceQuestion(question) ? (
+      <OptionChips question={question} value={responses[question.id]} onChoose={onChoose} />
+    ) : (
+      <AnswerInput
+        question={question}
+        value={responses[question.id]}
+        error={responses[question.id] !== undefined ? answerError(question, responses[question.id]) : null}
+        onChange={(value) => onChange(question, value)}
+      />
+    )}
+  </div>
+);
+
+/**
+ * @param {Object} props
+ * @param {Object} props.question - the question being edited (as displayed)
+ * @param {Array} props.followUps - active follow-up questions of it
+ * @param {Object} props.responses - the current (edited) answers
+ * @param {{title: string, content: string}} props.help - help for the question and current answers
+ * @param {(question: Object, value: string) => void} props.onChoose - pick or untick an option
+ * @param {(question: Object, value: *) => void} props.onChange - typed-in answers
+ * @param {(question: Object, answer: *) => string|null} props.answerError
+ * @param {() => void} props.onDone
+ * @param {React.ReactNode} [props.children] - override and timeline warnings
+ */
+const WhatIfEditor = ({ question, followUps, responses, help, onChoose, onChange, answerError, onDone, children }) => {
+  const { t } = useI18n();
+  const fieldProps = { responses, onChoose, onChange, answerError };
+
+  return (
+    <div className="bg-white border-2 border-indigo-300 rounded-lg p-5 mt-4">
+      <QuestionField question={question} {...fieldProps} />
+      {followUps.map(followUp => (
+        <QuestionField key={followUp.id} question={followUp} {...fieldProps} />
+      ))}
+
+      {help?.content && (
+        <div className="bg-blue-50 border-l-4 border-blue-500 rounded-r-lg p-4 mb-4">
+          <h4 className="font-bold text-blue-900 mb-1 flex items-center gap-2 text-sm">
+            <Info size={16} />
+            {help.title}
+          </h4>
+          <p className="text-sm text-blue-800 leading-relaxed">{help.content}</p>
+        </div>
+      )}
+
+      {children}
+
+      <div className="flex items-center justify-between gap-4">
+        <p className="text-xs text-gray-500">{t('whatIf.editorHint')}</p>
+        <button
+          onClick={onDone}
+          className="bg-indigo-600 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-indigo-700 transition-colors"
+        >
+          {t('whatIf.done')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default WhatIfEditor;
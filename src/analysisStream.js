@@ -0,0 +1,64 @@
+/**
+ * Client for the /api/analyze/stream Server-Sent Events endpoint.
+ * EventSource only supports GET, so the POST response body is read directly.
+ */
+
+const parseEventBlock = (block) => {
+  let event = 'message';
+  const data = [];
+  block.split('\n').forEach(line => {
+    if (!line || line.startsWith(':')) return;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    if (field === 'data') data.push(value);
+  });
+  return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+};
+
+/**
+ * Read a streamed analysis response.
+ * @param {Response} response - fetch() response from /api/analyze/stream
+ * @param {(text: string, section: string|null) => void} onDelta - called with each chunk of text: of the report
+ *   itself (section null), or of one report section while it is written (section is its id)
+ * @param {(event: string, data: *) => void} [onEvent] - called for the other events (compliance, section, status, structured)
+ * @returns {Promise<Object|null>} the final metadata, or null if the stream ended without it
+ * @throws {Error} when the server reports an error mid-stream
+ */
+export const readAnalysisStream = async (response, onDelta, onEvent = () => {}) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let metadata = null;
+
+  const handleBlock = (block) => {
+    const parsed = parseEventBlock(block);
+    if (!parsed) return;
+    if (parsed.event === 'delta') {
+      onDelta(parsed.data.text, parsed.data.section ?? null);
+    } else if (parsed.event === 'metadata') {
+      metadata = parsed.data;
+    } else if (parsed.event === 'error') {
+      throw new Error(parsed.data.message || parsed.data.error || 'Analysis failed');
+    } else {
+      onEvent(parsed.event, parsed.data);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      handleBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  if (buffer.trim()) handleBlock(buffer.trim());
+  return metadata;
+};
@@ -0,0 +1,185 @@
+/**
+ * Browser persistence for in-progress assessments, completed reports and the
+ * chosen language and currency.
+ *
+ * Keys are versioned (ai-assessment:v1:*). Each record also stores a fingerprint
+ * of the question bank so answers saved against an older set of questions can
+ * be reconciled instead of crashing the wizard.
+ */
+
+import { activeQuestions } from './shared/questionBank';
+
+export const STORAGE_VERSION = 1;
+const KEY_PREFIX = 'ai-assessment';
+const storageKey = (name, version = STORAGE_VERSION) => `${KEY_PREFIX}:v${version}:${name}`;
+const MAX_SAVED_REPORTS = 20;
+
+// Response keys that are not questions themselves but hold values of another question's options
+const DERIVED_RESPONSE_KEYS = {
+  compliance_overrides: 'compliance',
+  timeline_acknowledged: 'timeline'
+};
+
+// Upgrade records written by older versions of the app: MIGRATIONS[n] turns a vN record into vN+1
+const MIGRATIONS = {
+  draft: {},
+  reports: {}
+};
+
+const readJson = (key) => {
+  try {
+    const raw = window.localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error(`Failed to read ${key}:`, error);
+    return null;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    // Quota exceeded or storage disabled (private mode) - persistence is best-effort
+    console.error(`Failed to write ${key}:`, error);
+    return false;
+  }
+};
+
+// Read the newest stored version of a record and migrate it forward to STORAGE_VERSION
+const readRecord = (name) => {
+  for (let version = STORAGE_VERSION; version >= 1; version--) {
+    let record = readJson(storageKey(name, version));
+    if (!record) continue;
+
+    for (let from = version; from < STORAGE_VERSION; from++) {
+      const step = MIGRATIONS[name][from];
+      if (!step) return null;
+      record = step(record);
+    }
+    return record;
+  }
+  return null;
+};
+
+// Stable description of the question bank: ids, types and option values
+export const questionsFingerprint = (questions) => questions
+  .map(q => `${q.id}:${q.type}:${(q.options || []).map(o => o.value).join(',')}`)
+  .join('|');
+
+/**
+ * Drop answers that no longer fit the question bank: removed questions,
+ * removed options, and single/multiple type changes.
+ */
+export const reconcileResponses = (responses, questions) => {
+  const byId = Object.fromEntries(questions.map(q => [q.id, q]));
+  const reconciled = {};
+
+  Object.entries(responses || {}).forEach(([key, answer]) => {
+    const question = byId[key] || byId[DERIVED_RESPONSE_KEYS[key]];
+    if (!question) return;
+
+    const validValues = (question.options || []).map(o => o.value);
+    if (validValues.length === 0) {
+      reconciled[key] = answer;
+      return;
+    }
+
+    const values = [].concat(answer).filter(value => validValues.includes(value));
+    if (values.length === 0) return;
+
+    const isMultiple = question.type === 'multiple';
+    reconciled[key] = isMultiple ? values : values[0];
+  });
+
+  return reconciled;
+};
+
+const reconcileRecord = (record, questions) => {
+  if (record.questionsFingerprint === questionsFingerprint(questions)) return record;
+  return {
+    ...record,
+    responses: reconcileResponses(record.responses, questions),
+    questionsFingerprint: questionsFingerprint(questions)
+  };
+};
+
+// ---- In-progress draft ----
+
+export const loadDraft = (questions) => {
+  const record = readRecord('draft');
+  if (!record) return null;
+
+  const draft = reconcileRecord(record, questions);
+  if (Object.keys(draft.responses).length === 0) return null;
+
+  // Resume at the first unanswered question on the draft's path if the saved step no longer makes sense
+  const path = activeQuestions(questions, draft.responses);
+  const firstUnanswered = path.findIndex(q => draft.responses[q.id] === undefined);
+  const maxStep = firstUnanswered === -1 ? path.length - 1 : firstUnanswered;
+  return { ...draft, currentStep: Math.min(draft.currentStep || 0, maxStep) };
+};
+
+export const saveDraft = ({ currentStep, responses, selectedProvider }, questions) => writeJson(storageKey('draft'), {
+  version: STORAGE_VERSION,
+  questionsFingerprint: questionsFingerprint(questions),
+  savedAt: new Date().toISOString(),
+  currentStep,
+  responses,
+  selectedProvider
+});
+
+export const clearDraft = () => {
+  try {
+    window.localStorage.removeItem(storageKey('draft'));
+  } catch (error) {
+    console.error('Failed to clear draft:', error);
+  }
+};
+
+// ---- Completed reports ----
+
+export const listSavedReports = (questions) => (readRecord('reports')?.reports || [])
+  .map(report => reconcileRecord(report, questions));
+
+/**
+ * Save a completed report; the oldest reports are dropped past MAX_SAVED_REPORTS.
+ * @returns {Object} the saved report record (with id)
+ */
+export const saveReport = ({ responses, analysis, structured = null, metadata, selectedProvider, shareId = null }, questions) => {
+  const report = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    savedAt: new Date().toISOString(),
+    questionsFingerprint: questionsFingerprint(questions),
+    responses,
+    analysis,
+    structured,
+    metadata,
+    selectedProvider,
+    shareId
+  };
+
+  let reports = [report, ...listSavedReports(questions)].slice(0, MAX_SAVED_REPORTS);
+  // Reports are large; if storage is full drop the oldest until it fits
+  while (!writeJson(storageKey('reports'), { version: STORAGE_VERSION, reports }) && reports.length > 1) {
+    reports = reports.slice(0, -1);
+  }
+  return report;
+};
+
+export const deleteSavedReport = (id, questions) => {
+  const reports = listSavedReports(questions).filter(report => report.id !== id);
+  writeJson(storageKey('reports'), { version: STORAGE_VERSION, reports });
+  return reports;
+};
+
+// ---- Preferences ----
+
+export const loadLanguage = () => readJson(storageKey('language'));
+
+export const saveLanguage = (language) => writeJson(storageKey('language'), language);
+
+export const loadCurrency = () => readJson(storageKey('currency'));
+
+export const saveCurrency = (currency) => writeJson(storageKey('currency'), currency);
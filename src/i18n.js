@@ -0,0 +1,79 @@
+/**
+ * Language and currency selection for the React app.
+ *
+ * LanguageProvider holds the chosen language and display currency (both
+ * remembered in localStorage, first visit follows the browser) and useI18n()
+ * gives components the translator and formatters for them. The catalogs and
+ * the lookup logic live in src/locales and src/shared/i18n.js; the static
+ * exchange rates in src/shared/currency.js.
+ */
+
+import React, { createContext, useContext, useEffect, useMemo, useState } from 'react';
+import { createI18n, matchLanguage, isSupportedLanguage, formatNumber, formatDate, formatCurrency } from './shared/i18n';
+import { matchCurrency, isSupportedCurrency, convertFromUsd, DEFAULT_CURRENCY } from './shared/currency';
+import { durationParts } from './shared/timelineFeasibility';
+import { loadLanguage, saveLanguage, loadCurrency, saveCurrency } from './assessmentStorage';
+import en from './locales/en.json';
+import de from './locales/de.json';
+import fr from './locales/fr.json';
+import es from './locales/es.json';
+import pt from './locales/pt.json';
+
+export const CATALOGS = { en, de, fr, es, pt };
+
+const initialLanguage = () => {
+  const saved = loadLanguage();
+  return isSupportedLanguage(saved) ? saved : matchLanguage(navigator.languages || navigator.language);
+};
+
+const initialCurrency = () => {
+  const saved = loadCurrency();
+  return isSupportedCurrency(saved) ? saved : matchCurrency(navigator.languages || navigator.language);
+};
+
+// Helpers bound to one language and currency: the shared i18n, formatters in its locale and duration wording.
+// formatCurrency shows an amount in the currency it is given; formatUsd converts a USD amount to the display currency
+const withFormatters = (i18n, currency) => ({
+  ...i18n,
+  currency,
+  formatNumber: (number, options) => formatNumber(number, i18n.locale, options),
+  formatDate: (date, options) => formatDate(date, i18n.locale, options),
+  formatCurrency: (amount, options) => formatCurrency(amount, { locale: i18n.locale, ...options }),
+  formatUsd: (amount, options) => formatCurrency(convertFromUsd(amount, currency), { locale: i18n.locale, currency, ...options }),
+  formatDuration: (weeks) => {
+    const { unit, count } = durationParts(weeks);
+    return i18n.t(`duration.${unit}`, { count });
+  }
+});
+
+const I18nContext = createContext(null);
+
+export const LanguageProvider = ({ children }) => {
+  const [language, setLanguage] = useState(initialLanguage);
+  const [currency, setCurrency] = useState(initialCurrency);
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const value = useMemo(() => ({
+    ...withFormatters(createI18n(language, CATALOGS), currency),
+    setLanguage: (next) => {
+      if (!isSupportedLanguage(next)) return;
+      saveLanguage(next);
+      setLanguage(next);
+    },
+    setCurrency: (next) => {
+      if (!isSupportedCurrency(next)) return;
+      saveCurrency(next);
+      setCurrency(next);
+    }
+  }), [language, currency]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+// Falls back to English and US dollars outside a LanguageProvider (e.g. a component rendered on its own)
+const standalone = { ...withFormatters(createI18n('en', CATALOGS), DEFAULT_CURRENCY), setLanguage: () => {}, setCurrency: () => {} };
+
+export const useI18n = () => useContext(I18nContext) || standalone;
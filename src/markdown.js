@@ -0,0 +1,474 @@
+/**
+ * Markdown -> AST parser for model-generated reports.
+ *
+ * The output is plain data rendered by MarkdownText as React elements, so no
+ * model text ever reaches innerHTML. Only an allowlist of node types exists:
+ *
+ *   blocks:  heading, paragraph, list (items of blocks), blockquote, code, table, rule
+ *   inlines: text, strong, emphasis, delete, inlineCode, link, break
+ *
+ * HTML is never passed through. <table> markup (which the analysis prompt asks
+ * for) is converted to table nodes, <br>/<strong>/<em>/<b>/<i>/<code> to their
+ * inline nodes, and every other tag is shown as literal text. Link targets are
+ * limited to http(s), mailto and in-page anchors.
+ */
+
+// ---- Inline ----
+
+// Site-relative paths, but not "//host" or "/\host" (browsers read both as another host)
+const SAFE_URL = /^(https?:\/\/|mailto:|#|\/(?![/\\]))/i;
+
+export const sanitizeUrl = (url) => {
+  const trimmed = (url || '').trim().replace(/^<|>$/g, '');
+  // Browsers ignore control characters and whitespace inside schemes ("java\tscript:")
+  const normalized = Array.from(trimmed)
+    .filter(char => char.codePointAt(0) > 32 && (char.codePointAt(0) < 127 || char.codePointAt(0) > 159))
+    .join('');
+  return SAFE_URL.test(normalized) ? trimmed : null;
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', '#39': "'" };
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|apos|nbsp|#39);/g, (match, name) => ENTITIES[name]);
+
+const INLINE_TAGS = { strong: 'strong', b: 'strong', em: 'emphasis', i: 'emphasis', code: 'inlineCode' };
+const ESCAPABLE = '\\`*_{}[]()#+-.!|<>~';
+const BARE_URL = /^https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"*_]/;
+
+// Index of the closing delimiter, skipping over code spans
+const findClosing = (text, delimiter, from) => {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end !== -1) i = end + run.length - 1;
+    } else if (text.startsWith(delimiter, i)) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+// "[label](url)" starting at text[start] === '['
+const matchLink = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '\\') i++;
+    else if (text[i] === '[') depth++;
+    else if (text[i] === ']' && --depth === 0) {
+      const target = text.slice(i + 1).match(/^\(\s*(<[^>]*>|[^\s()]*(?:\([^\s()]*\)[^\s()]*)*)(?:\s+"[^"]*")?\s*\)/);
+      return target && { label: text.slice(start + 1, i), url: target[1], end: i + 1 + target[0].length };
+    }
+  }
+  return null;
+};
+
+/**
+ * Parse inline markdown into nodes.
+ * @returns {Array<Object>} inline nodes
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  let buffer = '';
+  const pushText = (value) => { buffer += value; };
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: decodeEntities(buffer) });
+    buffer = '';
+  };
+  const push = (node) => {
+    flush();
+    nodes.push(node);
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && ESCAPABLE.includes(text[i + 1] || '')) {
+      pushText(text[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      push({ type: 'break' });
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const run = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end !== -1) {
+        const code = text.slice(i + run.length, end).replace(/\n/g, ' ');
+        push({ type: 'inlineCode', value: /^ .* $/.test(code) ? code.slice(1, -1) : code });
+        i = end + run.length;
+        continue;
+      }
+      pushText(run);
+      i += run.length;
+      continue;
+    }
+
+    const pair = text.slice(i, i + 2);
+    const delimiter = ['**', '__', '~~'].includes(pair) ? pair : (char === '*' || char === '_' ? char : null);
+    if (delimiter && i + delimiter.length < text.length && !/\s/.test(text[i + delimiter.length])) {
+      // "_" only emphasises at word boundaries so snake_case identifiers survive
+      const wordBoundary = delimiter[0] !== '_' || !/\w/.test(text[i - 1] || '');
+      const end = wordBoundary ? findClosing(text, delimiter, i + delimiter.length) : -1;
+      if (end > i + delimiter.length && !/\s/.test(text[end - 1]) &&
+          (delimiter[0] !== '_' || !/\w/.test(text[end + delimiter.length] || ''))) {
+        const type = delimiter === '~~' ? 'delete' : delimiter.length === 2 ? 'strong' : 'emphasis';
+        push({ type, children: parseInline(text.slice(i + delimiter.length, end)) });
+        i = end + delimiter.length;
+        continue;
+      }
+    }
+
+    if (char === '[') {
+      const link = matchLink(text, i);
+      if (link) {
+        push({ type: 'link', href: sanitizeUrl(link.url), children: parseInline(link.label) });
+        i = link.end;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const rest = text.slice(i);
+      const br = rest.match(/^<br\s*\/?>/i);
+      if (br) {
+        push({ type: 'break' });
+        i += br[0].length;
+        continue;
+      }
+      const open = rest.match(/^<(strong|b|em|i|code)>/i);
+      if (open) {
+        const tag = open[1].toLowerCase();
+        const close = text.toLowerCase().indexOf(`</${tag}>`, i + open[0].length);
+        if (close !== -1) {
+          const inner = text.slice(i + open[0].length, close);
+          push(INLINE_TAGS[tag] === 'inlineCode'
+            ? { type: 'inlineCode', value: decodeEntities(inner) }
+            : { type: INLINE_TAGS[tag], children: parseInline(inner) });
+          i = close + tag.length + 3;
+          continue;
+        }
+      }
+      const autolink = rest.match(/^<(https?:\/\/[^\s<>]+|mailto:[^\s<>]+)>/i);
+      if (autolink) {
+        push({ type: 'link', href: sanitizeUrl(autolink[1]), children: [{ type: 'text', value: autolink[1] }] });
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    if (char === 'h' && !/\w/.test(text[i - 1] || '')) {
+      const url = text.slice(i).match(BARE_URL);
+      if (url) {
+        push({ type: 'link', href: sanitizeUrl(url[0]), children: [{ type: 'text', value: url[0] }] });
+        i += url[0].length;
+        continue;
+      }
+    }
+
+    pushText(char);
+    i++;
+  }
+
+  flush();
+  return nodes;
+};
+
+// ---- HTML tables ----
+
+const htmlCellToInline = (html) => parseInline(html
+  .replace(/\s*\n\s*/g, ' ')
+  // Keep the tags parseInline understands, drop the rest (their text content stays)
+  .replace(/<\/?([a-z][a-z0-9]*)\b[^>]*>/gi, (tag, name) => (/^(br|strong|b|em|i|code)$/i.test(name) ? tag.replace(/\s+[^>]*?(\/?)>$/, '$1>') : ''))
+  .trim());
+
+/**
+ * Convert <table> markup into a table node. Attributes, scripts and any
+ * tag outside the inline allowlist are discarded.
+ */
+export const parseHtmlTable = (html) => {
+  const rows = [];
+  let row = null;
+  let cell = null;
+  let headerSection = false;
+
+  const closeCell = (end) => {
+    if (!cell) return;
+    row.cells.push({ header: cell.header, children: htmlCellToInline(html.slice(cell.start, end)) });
+    cell = null;
+  };
+  const closeRow = (end) => {
+    closeCell(end);
+    if (row && row.cells.length > 0) rows.push(row);
+    row = null;
+  };
+
+  const tagPattern = /<(\/?)(table|thead|tbody|tfoot|tr|th|td)\b[^>]*>/gi;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    const [tag, closing, rawName] = match;
+    const name = rawName.toLowerCase();
+
+    if (name === 'thead') headerSection = !closing;
+    if (name === 'tr' || name === 'table' || name === 'thead' || name === 'tbody' || name === 'tfoot') {
+      closeRow(match.index);
+      if (name === 'tr' && !closing) row = { header: headerSection, cells: [] };
+    } else if (closing) {
+      closeCell(match.index);
+    } else {
+      closeCell(match.index);
+      if (!row) row = { header: headerSection, cells: [] };
+      cell = { header: name === 'th', start: match.index + tag.length };
+    }
+  }
+  closeRow(html.length);
+
+  const headerRows = rows.filter((r, index) => r.header || (index === 0 && r.cells.every(c => c.header)));
+  const bodyRows = rows.filter(r => !headerRows.includes(r));
+  return {
+    type: 'table',
+    align: [],
+    head: headerRows.length > 0 ? headerRows[0].cells.map(c => c.children) : [],
+    rows: bodyRows.map(r => r.cells.map(c => c.children))
+  };
+};
+
+// ---- Blocks ----
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)/;
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const LIST_ITEM = /^( *)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
+const QUOTE = /^ {0,3}> ?/;
+const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+// Box-drawing characters start an unfenced ASCII diagram; arrows and blocks continue one
+const DIAGRAM_START = /[─-╿]/;
+const DIAGRAM_LINE = /[─-╿←-⇿■-◿]/;
+
+const indentOf = (line) => line.match(/^ */)[0].length;
+const isBlank = (line) => line.trim() === '';
+
+const splitTableRow = (line) => {
+  const cells = [];
+  let current = '';
+  const content = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\\' && content[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (content[i] === '|') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += content[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+// A row with pipes followed by a |---|---| separator; tables may end the document without a newline
+const isTableStart = (lines, i) => {
+  const separator = lines[i + 1] || '';
+  return lines[i].includes('|') && separator.includes('|') && TABLE_SEPARATOR.test(separator);
+};
+
+// Lines that end a paragraph without a blank line in between
+const startsBlock = (lines, i) => {
+  const line = lines[i];
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) ||
+    /^\s*<table/i.test(line) || isTableStart(lines, i) || LIST_ITEM.test(line) ||
+    DIAGRAM_START.test(line);
+};
+
+const parseList = (lines, start) => {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let current = null;
+  let i = start;
+
+  for (; i < lines.length; i++) {
+    const line = lines[i];
+    const marker = line.match(LIST_ITEM);
+
+    if (marker && marker[1].length === baseIndent && /\d/.test(marker[2]) === ordered) {
+      current = { lines: [marker[4]], contentIndent: baseIndent + marker[2].length + Math.min(marker[3].length, 4) };
+      items.push(current);
+      continue;
+    }
+    if (isBlank(line)) {
+      // A blank line only continues the list if more indented content or another item follows
+      const next = lines.slice(i + 1).find(l => !isBlank(l));
+      const nextMarker = next && next.match(LIST_ITEM);
+      if (next && (indentOf(next) > baseIndent || (nextMarker && nextMarker[1].length === baseIndent && /\d/.test(nextMarker[2]) === ordered))) {
+        current.lines.push('');
+        continue;
+      }
+      break;
+    }
+    if (indentOf(line) > baseIndent) {
+      current.lines.push(line.slice(Math.min(indentOf(line), current.contentIndent)));
+      continue;
+    }
+    // Lazy continuation of the item's paragraph
+    if (!isBlank(lines[i - 1]) && !startsBlock(lines, i)) {
+      current.lines.push(line.trim());
+      continue;
+    }
+    break;
+  }
+
+  return {
+    node: {
+      type: 'list',
+      ordered,
+      start: ordered ? parseInt(first[2], 10) : null,
+      items: items.map(item => ({ children: parseBlockLines(item.lines) }))
+    },
+    next: i
+  };
+};
+
+const parseBlockLines = (lines) => {
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n').trim()) });
+      paragraph = [];
+    }
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      flushParagraph();
+      const indent = indentOf(line);
+      const code = [];
+      i++;
+      while (i < lines.length && !new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`).test(lines[i])) {
+        code.push(lines[i].slice(Math.min(indent, indentOf(lines[i]))));
+        i++;
+      }
+      blocks.push({ type: 'code', lang: fence[2] || null, value: code.join('\n') });
+      i++;
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      flushParagraph();
+      blocks.push({ type: 'heading', level: heading[1].length, children: parseInline(heading[2]) });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      flushParagraph();
+      blocks.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (/^\s*<table/i.test(line)) {
+      flushParagraph();
+      const html = [];
+      while (i < lines.length) {
+        html.push(lines[i]);
+        i++;
+        if (/<\/table>/i.test(html[html.length - 1])) break;
+      }
+      blocks.push(parseHtmlTable(html.join('\n')));
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      flushParagraph();
+      const head = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : null;
+      });
+      const rows = [];
+      i += 2;
+      while (i < lines.length && !isBlank(lines[i]) && lines[i].includes('|')) {
+        rows.push(splitTableRow(lines[i]));
+        i++;
+      }
+      blocks.push({
+        type: 'table',
+        align,
+        head: head.map(cell => parseInline(cell)),
+        rows: rows.map(row => head.map((_, index) => parseInline(row[index] || '')))
+      });
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlockLines(quoted) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line) && (paragraph.length === 0 || !/^\s*\d/.test(line) || /^\s*1[.)]/.test(line))) {
+      flushParagraph();
+      const { node, next } = parseList(lines, i);
+      blocks.push(node);
+      i = next;
+      continue;
+    }
+
+    if (DIAGRAM_START.test(line)) {
+      flushParagraph();
+      const diagram = [];
+      while (i < lines.length && !isBlank(lines[i]) &&
+             (DIAGRAM_LINE.test(lines[i]) || DIAGRAM_LINE.test(lines[i + 1] || ''))) {
+        diagram.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', lang: 'diagram', value: diagram.join('\n') });
+      continue;
+    }
+
+    paragraph.push(line.trim());
+    i++;
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+/**
+ * Parse a markdown document.
+ * @param {string} markdown
+ * @returns {{type: 'root', children: Array<Object>}}
+ */
+export const parseMarkdown = (markdown) => ({
+  type: 'root',
+  children: parseBlockLines((markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n'))
+});
@@ -0,0 +1,267 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import MarkdownText from './MarkdownText';
+import { parseMarkdown, parseInline, sanitizeUrl } from './markdown';
+
+// All nodes of a tree, depth first
+const walk = (node) => [node, ...[
+  ...(node.children || []),
+  ...(node.items || []).flatMap(item => item.children),
+  ...(node.head || []).flat(),
+  ...(node.rows || []).flat(2)
+].flatMap(walk)];
+
+const toHtml = (markdown) => renderToStaticMarkup(<MarkdownText>{markdown}</MarkdownText>);
+const blocks = (markdown) => parseMarkdown(markdown).children;
+const textOf = (nodes) => nodes.map(node => node.value ?? (node.children ? textOf(node.children) : '')).join('');
+
+// ---- Real report output ----
+
+// Excerpts of reports the analysis prompt produced, with the constructs it asks for
+const REPORT_TITLE = `# AI IMPLEMENTATION STRATEGY
+## Enterprise Deployment Roadmap
+
+**CONFIDENTIAL**
+Prepared for: Mid-sized US payments company serving US and Canadian customers
+Date: October 2026
+
+---
+
+## EXECUTIVE SUMMARY
+
+### Bottom Line Up Front
+Adopt a **cloud-first product AI architecture on Azure OpenAI**, with a tokenization layer. Your overall readiness score is **48/100 (AT RISK)**.
+
+**Critical success factors:**
+- No PAN or CVV in prompts, enforced in code
+- GLBA Safeguards Rule program extended to AI vendors`;
+
+const REPORT_HTML_TABLE = `**Investment Model:**
+
+<table>
+<tr><th>Cost Component</th><th>Year 1</th><th>Ongoing Annual</th><th>Notes</th></tr>
+<tr><td>AI Services</td><td>$43K-$135K</td><td>$43K-$135K</td><td>Usage-based, 200K requests/month</td></tr>
+<tr><td><strong>Total</strong></td><td><strong>$391K-$871K</strong></td><td><strong>$242K-$553K</strong></td><td></td></tr>
+</table>
+
+### 1.2 Automation Second`;
+
+const REPORT_DIAGRAM = `### 1.1 Tokenized Analytics Pipeline
+
+\`\`\`
+┌──────────────────┐
+│ Transaction Data │
+└────────┬─────────┘
+         │
+         ▼
+┌──────────────────┐
+│ Azure OpenAI     │
+└──────────────────┘
+\`\`\`
+
+**Investment Model:**`;
+
+const REPORT_UNFENCED_DIAGRAM = `Data flow:
+┌──────────┐     ┌──────────┐
+│ Clinic   │ ──► │ Gateway  │
+└──────────┘     └──────────┘
+Everything else stays on-premises.`;
+
+const REPORT_ROADMAP = `## 3. IMPLEMENTATION ROADMAP
+
+### Phase 1: Foundation (Weeks 1-6)
+1. **Legal review** of GDPR Article 9 processing
+   - DPIA for the clinician note summaries
+   - BAA with the model vendor (in progress)
+2. Tokenization layer for patient identifiers
+3. Vendor security review`;
+
+describe('real report output', () => {
+  test('title block, summary and bullet list', () => {
+    const parsed = blocks(REPORT_TITLE);
+    expect(parsed.filter(block => block.type === 'heading').map(block => [block.level, textOf(block.children)])).toEqual([
+      [1, 'AI IMPLEMENTATION STRATEGY'],
+      [2, 'Enterprise Deployment Roadmap'],
+      [2, 'EXECUTIVE SUMMARY'],
+      [3, 'Bottom Line Up Front']
+    ]);
+    expect(parsed.some(block => block.type === 'rule')).toBe(true);
+
+    const confidential = parsed.find(block => block.type === 'paragraph');
+    expect(confidential.children[0]).toEqual({ type: 'strong', children: [{ type: 'text', value: 'CONFIDENTIAL' }] });
+    expect(confidential.children.filter(node => node.type === 'break')).toHaveLength(2);
+
+    const list = parsed.find(block => block.type === 'list');
+    expect(list.ordered).toBe(false);
+    expect(list.items.map(item => textOf(item.children))).toEqual([
+      'No PAN or CVV in prompts, enforced in code',
+      'GLBA Safeguards Rule program extended to AI vendors'
+    ]);
+  });
+
+  test('HTML tables become table nodes with inline formatting', () => {
+    const [label, table, heading] = blocks(REPORT_HTML_TABLE);
+    expect(label.type).toBe('paragraph');
+    expect(table.type).toBe('table');
+    expect(table.head.map(textOf)).toEqual(['Cost Component', 'Year 1', 'Ongoing Annual', 'Notes']);
+    expect(table.rows).toHaveLength(2);
+    expect(table.rows[1][0]).toEqual([{ type: 'strong', children: [{ type: 'text', value: 'Total' }] }]);
+    expect(table.rows[1][3]).toEqual([]);
+    expect(heading).toMatchObject({ type: 'heading', level: 3 });
+  });
+
+  test('fenced ASCII diagrams are kept verbatim', () => {
+    const code = blocks(REPORT_DIAGRAM).find(block => block.type === 'code');
+    expect(code.value.split('\n')).toHaveLength(8);
+    expect(code.value).toContain('         ▼');
+    expect(code.value).toContain('│ Azure OpenAI     │');
+  });
+
+  test('unfenced box diagrams become code blocks', () => {
+    const [intro, diagram, outro] = blocks(REPORT_UNFENCED_DIAGRAM);
+    expect(textOf(intro.children)).toBe('Data flow:');
+    expect(diagram).toMatchObject({ type: 'code', lang: 'diagram' });
+    expect(diagram.value.split('\n')).toHaveLength(3);
+    expect(textOf(outro.children)).toBe('Everything else stays on-premises.');
+  });
+
+  test('a report cut off inside an HTML table keeps the rows it has', () => {
+    const [table] = blocks('<table>\n<tr><th>Risk</th><th>Impact</th></tr>\n<tr><td>Data leak</td><td>High</td>');
+    expect(table.head.map(textOf)).toEqual(['Risk', 'Impact']);
+    expect(table.rows.map(row => row.map(textOf))).toEqual([['Data leak', 'High']]);
+  });
+});
+
+// ---- Nested lists ----
+
+describe('nested lists', () => {
+  test('numbered roadmap steps with bullet sub-items', () => {
+    const list = blocks(REPORT_ROADMAP).find(block => block.type === 'list');
+    expect(list).toMatchObject({ ordered: true, start: 1 });
+    expect(list.items).toHaveLength(3);
+
+    const [first] = list.items;
+    expect(first.children[0].children[0]).toMatchObject({ type: 'strong' });
+    const nested = first.children.find(block => block.type === 'list');
+    expect(nested.ordered).toBe(false);
+    expect(nested.items.map(item => textOf(item.children))).toEqual([
+      'DPIA for the clinician note summaries',
+      'BAA with the model vendor (in progress)'
+    ]);
+    expect(textOf(list.items[2].children)).toBe('Vendor security review');
+  });
+
+  test('three levels deep, with a blank line between items', () => {
+    const [list] = blocks('- one\n  - two\n    - three\n\n- four');
+    expect(list.items).toHaveLength(2);
+    const two = list.items[0].children[1];
+    const three = two.items[0].children[1];
+    expect(textOf(three.items[0].children)).toBe('three');
+    expect(textOf(list.items[1].children)).toBe('four');
+  });
+
+  test('an ordered list keeps its start number', () => {
+    const [list] = blocks('3. third\n4. fourth');
+    expect(list).toMatchObject({ ordered: true, start: 3 });
+  });
+});
+
+// ---- Tables without a trailing newline ----
+
+describe('tables without a trailing newline', () => {
+  test('a pipe table that ends the document', () => {
+    const [table] = blocks('| Vendor | Region |\n|:---|---:|\n| Azure OpenAI | EU |\n| Bedrock | US |');
+    expect(table.align).toEqual(['left', 'right']);
+    expect(table.head.map(textOf)).toEqual(['Vendor', 'Region']);
+    expect(table.rows.map(row => row.map(textOf))).toEqual([['Azure OpenAI', 'EU'], ['Bedrock', 'US']]);
+  });
+
+  test('a pipe table with only its header and separator', () => {
+    const [table] = blocks('| Vendor | Region |\n|---|---|');
+    expect(table.head.map(textOf)).toEqual(['Vendor', 'Region']);
+    expect(table.rows).toEqual([]);
+  });
+
+  test('an HTML table that ends the document', () => {
+    const [table] = blocks('<table><tr><th>A</th></tr><tr><td>1</td></tr></table>');
+    expect(table.rows.map(row => row.map(textOf))).toEqual([['1']]);
+  });
+
+  test('short rows are padded and escaped pipes kept', () => {
+    const [table] = blocks('| A | B |\n|---|---|\n| a \\| b |');
+    expect(table.rows.map(row => row.map(textOf))).toEqual([['a | b', '']]);
+  });
+});
+
+// ---- Hostile payloads ----
+
+describe('hostile payloads', () => {
+  const allNodes = (markdown) => walk(parseMarkdown(markdown));
+
+  test('script tags stay text', () => {
+    const nodes = allNodes('Hello <script>alert(document.cookie)</script> world');
+    expect(nodes.map(node => node.type)).toEqual(['root', 'paragraph', 'text']);
+    expect(nodes[2].value).toBe('Hello <script>alert(document.cookie)</script> world');
+  });
+
+  test('img onerror stays text', () => {
+    const [paragraph] = blocks('<img src=x onerror="alert(1)">');
+    expect(paragraph.children).toEqual([{ type: 'text', value: '<img src=x onerror="alert(1)">' }]);
+  });
+
+  test('script and foreign-host links lose their target', () => {
+    // eslint-disable-next-line no-script-url -- the payloads under test
+    const targets = ['javascript:alert(1)', 'JavaScript:alert(1)', 'java\tscript:alert(1)', ' javascript:alert(1)',
+      'data:text/html;base64,PHNjcmlwdD4=', 'vbscript:msgbox(1)', '//evil.com', '/\\evil.com', '\\\\evil.com'];
+    targets.forEach(target => {
+      expect(sanitizeUrl(target)).toBeNull();
+      expect(parseInline(`[click](${target.replace(/\s/g, '')})`)).toEqual([
+        { type: 'link', href: null, children: [{ type: 'text', value: 'click' }] }
+      ]);
+    });
+  });
+
+  test('safe link targets are kept', () => {
+    ['https://gdpr.eu', 'http://example.com/a?b=c', 'mailto:dpo@example.com', '#section-2', '/privacy'].forEach(target => {
+      expect(sanitizeUrl(target)).toBe(target);
+    });
+  });
+
+  test('HTML tables drop attributes, event handlers and scripts', () => {
+    const [table] = blocks(`<table onmouseover="alert(1)">
+<tr><th onclick="alert(2)">Risk</th></tr>
+<tr><td style="background:url(javascript:alert(3))"><img src=x onerror=alert(4)>Leak<script>alert(5)</script></td></tr>
+<tr><td><strong onclick="alert(6)">High</strong><a href="javascript:alert(7)">more</a></td></tr>
+</table>`);
+    const nodes = walk(table);
+    expect(nodes.filter(node => node.type === 'link')).toEqual([]);
+    expect(nodes.every(node => Object.keys(node).every(key => ['type', 'value', 'children', 'align', 'head', 'rows'].includes(key)))).toBe(true);
+    expect(table.head.map(textOf)).toEqual(['Risk']);
+    expect(table.rows.map(row => row.map(textOf))).toEqual([['Leakalert(5)'], ['Highmore']]);
+    expect(table.rows[1][0][0]).toEqual({ type: 'strong', children: [{ type: 'text', value: 'High' }] });
+  });
+
+  test('rendered output has no script, image, handler or javascript: link', () => {
+    const view = toHtml(`# Report <script>alert(1)</script>
+
+<img src=x onerror="alert(2)">
+
+[click](javascript:alert(3)) and [ok](https://gdpr.eu) and <https://example.com>
+
+<table>
+<tr><th onclick="alert(4)">A</th></tr>
+<tr><td><img src=x onerror=alert(5)><svg onload=alert(6)></svg>cell</td></tr>
+</table>
+
+\`\`\`
+<script>alert(7)</script>
+\`\`\``);
+
+    expect(view).not.toMatch(/<(script|img|svg|iframe)\b/i);
+    expect(view).not.toMatch(/<[^>]*\son\w+=/i);
+    expect([...view.matchAll(/href="([^"]*)"/g)].map(match => match[1])).toEqual(['https://gdpr.eu', 'https://example.com']);
+    expect(view).toContain('Report &lt;script&gt;alert(1)&lt;/script&gt;</h1>');
+    expect(view).toContain('&lt;script&gt;alert(7)&lt;/script&gt;</code></pre>');
+    expect(view).toMatch(/<td[^>]*>cell<\/td>/);
+  });
+});
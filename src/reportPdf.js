@@ -0,0 +1,236 @@
+/**
+ * PDF export for the generated AI implementation report.
+ * Uses jspdf + jspdf-autotable (already bundled) - no server round-trip. The
+ * report is read with the same markdown parser as the on-screen report
+ * (./markdown), so both show the same sanitized content.
+ */
+
+import { jsPDF } from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import { parseMarkdown } from './markdown';
+import { createI18n, formatDate } from './shared/i18n';
+import { disclaimerFooter } from './shared/disclaimers';
+import { CATALOGS } from './i18n';
+
+const PAGE_MARGIN = 50;
+const FOOTER_HEIGHT = 46;
+const BRAND_COLOR = [79, 70, 229]; // indigo-600, matches the on-screen report
+const HEADER_FILL = [224, 231, 255]; // indigo-100
+
+const HEADING_SIZES = { 1: 18, 2: 14, 3: 12 };
+
+// The built-in PDF fonts only cover WinAnsi, so box-drawing characters in the
+// ASCII diagrams are mapped to plain ASCII and anything else (emoji) is dropped.
+const CHAR_REPLACEMENTS = {
+  '─': '-', '━': '-', '═': '=', '│': '|', '┃': '|', '║': '|',
+  '┌': '+', '┐': '+', '└': '+', '┘': '+', '├': '+', '┤': '+', '┬': '+', '┴': '+', '┼': '+',
+  '╔': '+', '╗': '+', '╚': '+', '╝': '+', '╠': '+', '╣': '+', '╦': '+', '╩': '+', '╬': '+',
+  '▼': 'v', '▲': '^', '►': '>', '▶': '>', '◄': '<', '◀': '<',
+  '→': '->', '←': '<-', '↑': '^', '↓': 'v', '✓': 'v', '✅': '[OK]', '❌': '[X]', '⚠': '!',
+  '≈': '~', '≥': '>=', '≤': '<='
+};
+
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+const toPdfText = (text) => Array.from(text || '')
+  .map(char => {
+    if (CHAR_REPLACEMENTS[char] !== undefined) return CHAR_REPLACEMENTS[char];
+    const code = char.codePointAt(0);
+    if (code === 10 || (code >= 32 && code <= 255) || WIN_ANSI_EXTRAS.includes(char)) return char;
+    return '';
+  })
+  .join('');
+
+// Inline nodes as plain text: formatting dropped, link targets written out after their label
+const plainInline = (nodes) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+    case 'inlineCode':
+      return node.value;
+    case 'break':
+      return '\n';
+    case 'link': {
+      const label = plainInline(node.children);
+      return node.href && node.href !== label ? `${label} (${node.href})` : label;
+    }
+    default:
+      return node.children ? plainInline(node.children) : '';
+  }
+}).join('');
+
+const inlineText = (nodes) => toPdfText(plainInline(nodes)).replace(/[ \t]{2,}/g, ' ').trim();
+
+/**
+ * Build the report PDF.
+ * @param {Object} params
+ * @param {string} params.analysis - Markdown report returned by /api/analyze
+ * @param {Array<[string, string]>} params.profile - "Your Business Profile" label/value pairs
+ * @param {Object} [params.metadata] - Analysis metadata (provider, model, timestamp)
+ * @param {string} [params.language] - language of the labels, dates and footer disclaimer
+ * @returns {jsPDF}
+ */
+export const buildReportPdf = ({ analysis, profile = [], metadata, language }) => {
+  const { t, locale, language: resolved } = createI18n(language, CATALOGS);
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentWidth = pageWidth - PAGE_MARGIN * 2;
+  const bottomLimit = pageHeight - PAGE_MARGIN - FOOTER_HEIGHT;
+  let y = PAGE_MARGIN;
+
+  const ensureSpace = (height) => {
+    if (y + height > bottomLimit) {
+      doc.addPage();
+      y = PAGE_MARGIN;
+    }
+  };
+
+  const writeWrapped = (text, { size = 10, style = 'normal', font = 'helvetica', indent = 0, lineGap = 1.35 } = {}) => {
+    doc.setFont(font, style);
+    doc.setFontSize(size);
+    const lineHeight = size * lineGap;
+    doc.splitTextToSize(text, contentWidth - indent).forEach(row => {
+      ensureSpace(lineHeight);
+      doc.text(row, PAGE_MARGIN + indent, y + size);
+      y += lineHeight;
+    });
+  };
+
+  const drawTable = (head, body) => {
+    autoTable(doc, {
+      head,
+      body,
+      startY: y,
+      margin: { left: PAGE_MARGIN, right: PAGE_MARGIN, bottom: PAGE_MARGIN + FOOTER_HEIGHT },
+      styles: { fontSize: 9, cellPadding: 5, overflow: 'linebreak' },
+      headStyles: { fillColor: HEADER_FILL, textColor: 20, fontStyle: 'bold' },
+      theme: 'grid'
+    });
+    y = doc.lastAutoTable.finalY + 14;
+  };
+
+  // Cover page
+  const generatedOn = metadata?.timestamp ? new Date(metadata.timestamp) : new Date();
+  doc.setFillColor(...BRAND_COLOR);
+  doc.rect(0, 0, pageWidth, 220, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(28);
+  doc.text(toPdfText(t('pdf.title')), PAGE_MARGIN, 120);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(14);
+  doc.text(toPdfText(t('pdf.subtitle')), PAGE_MARGIN, 150);
+  doc.setFontSize(11);
+  doc.text(toPdfText(t('pdf.confidential')), PAGE_MARGIN, 185);
+  doc.setTextColor(40, 40, 40);
+
+  y = 260;
+  writeWrapped(toPdfText(t('pdf.generated', { date: formatDate(generatedOn, locale, { dateStyle: 'long' }) })), { size: 11 });
+  if (metadata?.provider) {
+    const provider = `${metadata.provider}${metadata.model ? ` (${metadata.model})` : ''}`;
+    writeWrapped(toPdfText(t('pdf.analysisBy', { provider })), { size: 11 });
+  }
+
+  y += 20;
+  writeWrapped(toPdfText(t('profile.title')), { size: 14, style: 'bold' });
+  y += 6;
+  drawTable([], profile.map(([label, value]) => [toPdfText(label), toPdfText(value || '-')]));
+
+  // Report body
+  doc.addPage();
+  y = PAGE_MARGIN;
+
+  const writeBlocks = (blocks, indent = 0) => blocks.forEach(block => {
+    switch (block.type) {
+      case 'heading': {
+        const level = Math.min(block.level, 3);
+        const size = HEADING_SIZES[level];
+        y += level === 1 ? 10 : 6;
+        // Keep headings with at least a couple of lines of the section below them
+        ensureSpace(size * 4);
+        doc.setTextColor(...(level === 1 ? BRAND_COLOR : [20, 20, 20]));
+        writeWrapped(inlineText(block.children), { size, style: 'bold', indent });
+        doc.setTextColor(40, 40, 40);
+        y += 4;
+        break;
+      }
+      case 'paragraph':
+        writeWrapped(inlineText(block.children), { indent });
+        y += 6;
+        break;
+      case 'list':
+        block.items.forEach((item, index) => {
+          ensureSpace(14);
+          doc.setFont('helvetica', 'normal');
+          doc.setFontSize(10);
+          doc.text(block.ordered ? `${block.start + index}.` : '•', PAGE_MARGIN + indent + 6, y + 10);
+          // The item's first paragraph sits beside the bullet, anything after it (nested lists) below
+          const [first, ...rest] = item.children;
+          if (first?.type === 'paragraph') {
+            writeWrapped(inlineText(first.children), { indent: indent + 22 });
+            y += 2;
+            writeBlocks(rest, indent + 22);
+          } else {
+            writeBlocks(item.children, indent + 22);
+          }
+        });
+        y += 4;
+        break;
+      case 'blockquote':
+        writeBlocks(block.children, indent + 12);
+        break;
+      case 'code': {
+        const size = 7.5;
+        const lineHeight = size * 1.25;
+        doc.setFont('courier', 'normal');
+        doc.setFontSize(size);
+        y += 4;
+        block.value.split('\n').forEach(line => {
+          ensureSpace(lineHeight);
+          doc.setFillColor(243, 244, 246);
+          doc.rect(PAGE_MARGIN + indent, y, contentWidth - indent, lineHeight, 'F');
+          doc.text(toPdfText(line), PAGE_MARGIN + indent + 6, y + size);
+          y += lineHeight;
+        });
+        y += 10;
+        break;
+      }
+      case 'table':
+        if (block.rows.length > 0 || block.head.length > 0) {
+          drawTable(block.head.length > 0 ? [block.head.map(inlineText)] : [], block.rows.map(row => row.map(inlineText)));
+        }
+        break;
+      case 'rule':
+        ensureSpace(12);
+        doc.setDrawColor(209, 213, 219);
+        doc.line(PAGE_MARGIN, y + 4, pageWidth - PAGE_MARGIN, y + 4);
+        y += 12;
+        break;
+      default:
+        break;
+    }
+  });
+
+  writeBlocks(parseMarkdown(analysis).children);
+
+  // Footer with the disclaimer on every page
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    const footerTop = pageHeight - PAGE_MARGIN - FOOTER_HEIGHT + 14;
+    doc.setDrawColor(209, 213, 219);
+    doc.line(PAGE_MARGIN, footerTop, pageWidth - PAGE_MARGIN, footerTop);
+    doc.setFont('helvetica', 'italic');
+    doc.setFontSize(7);
+    doc.setTextColor(107, 114, 128);
+    doc.text(doc.splitTextToSize(toPdfText(disclaimerFooter(resolved)), contentWidth - 50), PAGE_MARGIN, footerTop + 12);
+    doc.setFont('helvetica', 'normal');
+    doc.text(toPdfText(t('pdf.page', { page, count: pageCount })), pageWidth - PAGE_MARGIN, footerTop + 12, { align: 'right' });
+  }
+
+  return doc;
+};
+
+export const downloadReportPdf = (params, filename = 'ai-implementation-report.pdf') => {
+  buildReportPdf(params).save(filename);
+};
@@ -0,0 +1,30 @@
+/**
+ * Browser session for the analysis endpoints.
+ *
+ * The site is public, so it holds no client API key. The backend hands it a
+ * short-lived token instead (POST /api/session), counted against the site's
+ * key; a new one is fetched shortly before the current one expires.
+ */
+
+// Renew this long before expiry, so a token does not run out between the check and the request
+const RENEW_BEFORE_MS = 60 * 1000;
+
+let session = null;
+
+/**
+ * Authorization header for the analysis endpoints; empty when the backend has
+ * no browser sessions (local development with REQUIRE_API_KEY=false).
+ * @param {string} backendUrl
+ * @returns {Promise<Object>}
+ * @throws {Error} when the backend refuses a session
+ */
+export const sessionHeaders = async (backendUrl) => {
+  if (!session || session.backendUrl !== backendUrl || Date.parse(session.expiresAt) - Date.now() < RENEW_BEFORE_MS) {
+    const response = await fetch(`${backendUrl}/api/session`, { method: 'POST' });
+    if (response.status === 404) return {};
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.message || data.error || `Server error: ${response.status}`);
+    session = { backendUrl, token: data.token, expiresAt: data.expiresAt };
+  }
+  return { Authorization: `Bearer ${session.token}` };
+};
@@ -0,0 +1,260 @@
+/**
+ * Compliance applicability rules - single source of truth for the wizard's
+ * help text and the backend prompt, so the UI and the report agree.
+ *
+ * Rules are checked in order and the first match wins: it decides the level
+ * (required / recommended / maybe) and the reason shown to the user. Order is
+ * not strength - PCI's specific card-handling answers come before the generic
+ * industry and data-type checks so they can lower the level as well as raise it.
+ */
+
+import { matchesCondition } from './conditions.js';
+
+export const LEVELS = ['required', 'recommended', 'maybe'];
+
+const industry = (value) => ({ field: 'industry', includes: value });
+const dataType = (value) => ({ field: 'data_sensitivity', includes: value });
+const customersIn = (value) => ({ field: 'customer_locations', includes: value });
+const basedIn = (value) => ({ field: 'business_location', equals: value });
+const californiaShare = (values) => ({ field: 'california_revenue_share', in: [].concat(values) });
+const cardData = (value) => ({ field: 'card_data_handling', equals: value });
+
+export const COMPLIANCE_RULES = [
+  {
+    id: 'hipaa',
+    name: 'HIPAA',
+    rules: [
+      {
+        level: 'required',
+        when: { all: [industry('healthcare'), dataType('phi')] },
+        reason: 'Healthcare industry + processing PHI = HIPAA is MANDATORY (federal law)'
+      },
+      {
+        level: 'recommended',
+        when: industry('healthcare'),
+        reason: 'Healthcare industry - likely needed if you process any patient data'
+      },
+      {
+        level: 'maybe',
+        when: { all: [dataType('phi'), { any: [customersIn('us'), basedIn('us')] }] },
+        reason: 'Processing PHI for US patients - HIPAA applies if you are a covered entity or their business associate'
+      }
+    ]
+  },
+  {
+    id: 'gdpr',
+    name: 'GDPR',
+    rules: [
+      {
+        level: 'required',
+        when: customersIn('eu'),
+        reason: 'EU customers = GDPR applies (€20M or 4% revenue fines)'
+      },
+      {
+        level: 'required',
+        when: basedIn('eu'),
+        reason: 'EU business location = GDPR applies automatically'
+      },
+      {
+        level: 'recommended',
+        when: customersIn('global'),
+        reason: 'Worldwide customers almost certainly include EU residents - GDPR applies to their data'
+      }
+    ]
+  },
+  {
+    id: 'uk_gdpr',
+    name: 'UK GDPR',
+    rules: [
+      {
+        level: 'required',
+        when: { any: [customersIn('uk'), basedIn('uk')] },
+        reason: 'UK customers or UK location = UK GDPR (post-Brexit version)'
+      }
+    ]
+  },
+  {
+    id: 'ccpa',
+    name: 'CCPA/CPRA',
+    rules: [
+      {
+        level: 'required',
+        when: { all: [customersIn('us'), californiaShare(['10_50', 'over_50']), { field: 'company_stage', in: ['smb', 'enterprise'] }] },
+        reason: 'California is a major market and at your size you very likely pass the CCPA thresholds ($25M+ revenue or 100K+ California consumers)'
+      },
+      {
+        level: 'recommended',
+        when: { all: [customersIn('us'), californiaShare(['under_10', '10_50', 'over_50'])] },
+        reason: 'California customers - CCPA applies once you pass $25M revenue or 100K California consumers; build in its privacy rights early'
+      },
+      {
+        level: 'maybe',
+        when: { all: [customersIn('us'), { not: californiaShare('none') }] },
+        reason: 'US customers - do you have California customers? If yes, CCPA required.'
+      }
+    ]
+  },
+  {
+    id: 'pci',
+    name: 'PCI DSS',
+    rules: [
+      {
+        level: 'required',
+        when: { all: [dataType('financial'), cardData('stored')] },
+        reason: 'You store or process card numbers = full PCI DSS scope ($5K-$50K/month penalties)'
+      },
+      {
+        level: 'recommended',
+        when: { all: [dataType('financial'), cardData('tokenized')] },
+        reason: 'Tokenized card payments keep you in the smallest PCI DSS scope (SAQ A) - card numbers must stay out of AI prompts'
+      },
+      {
+        level: 'required',
+        when: { all: [{ field: 'industry', includesAny: ['finance', 'ecommerce'] }, dataType('financial'), { not: cardData('no_cards') }] },
+        reason: 'Processing payment card data = PCI DSS required ($5K-$50K/month penalties)'
+      },
+      {
+        level: 'maybe',
+        when: { field: 'industry', includesAny: ['finance', 'ecommerce'] },
+        reason: 'Financial/ecommerce - do you process credit card data? If yes, PCI DSS required.'
+      }
+    ]
+  },
+  {
+    id: 'glba',
+    name: 'GLBA',
+    rules: [
+      {
+        level: 'required',
+        when: { all: [industry('finance'), { any: [customersIn('us'), basedIn('us')] }] },
+        reason: 'US financial services = Gramm-Leach-Bliley Act Safeguards Rule applies to customer financial data'
+      },
+      {
+        level: 'maybe',
+        when: { all: [dataType('financial'), { any: [customersIn('us'), basedIn('us')] }] },
+        reason: 'US financial data - GLBA applies if you offer loans, investment advice, tax prep or similar financial products'
+      }
+    ]
+  },
+  {
+    id: 'soc2',
+    name: 'SOC 2',
+    rules: [
+      {
+        level: 'recommended',
+        when: { any: [industry('saas'), { field: 'ai_usage_type', includes: 'in_product' }] },
+        reason: 'SaaS/Product AI - SOC 2 Type II needed to sell to enterprise customers (not legally required, but sales blocker)'
+      }
+    ]
+  },
+  {
+    id: 'pipl',
+    name: 'PIPL (China)',
+    rules: [
+      {
+        level: 'required',
+        when: customersIn('china'),
+        reason: 'Chinese customers = data localization required (severely limits AI options)'
+      },
+      {
+        level: 'required',
+        when: basedIn('china'),
+        reason: 'China-based business = PIPL applies, with security assessments for any cross-border transfer'
+      }
+    ]
+  },
+  {
+    id: 'pipeda',
+    name: 'PIPEDA (Canada)',
+    rules: [
+      {
+        level: 'required',
+        when: { any: [customersIn('canada'), basedIn('canada')] },
+        reason: 'Canadian customers or Canadian business = PIPEDA applies (Quebec Law 25 adds stricter consent rules)'
+      }
+    ]
+  },
+  {
+    id: 'au_privacy',
+    name: 'Australian Privacy Act',
+    rules: [
+      {
+        level: 'required',
+        when: { all: [{ any: [customersIn('australia'), basedIn('australia')] }, industry('healthcare')] },
+        reason: 'AU/NZ health service providers are covered by the Privacy Act regardless of turnover'
+      },
+      {
+        level: 'recommended',
+        when: { any: [customersIn('australia'), basedIn('australia')] },
+        reason: 'AU/NZ customers or location = Privacy Act applies to businesses over AUD $3M turnover (NZ Privacy Act 2020 has no threshold)'
+      }
+    ]
+  },
+  {
+    id: 'lgpd',
+    name: 'LGPD (Brazil)',
+    rules: [
+      {
+        level: 'recommended',
+        when: { any: [customersIn('latam'), basedIn('latam')] },
+        reason: 'LATAM customers or location - LGPD applies to any data of individuals in Brazil; Mexico, Argentina and Colombia have similar laws'
+      }
+    ]
+  }
+];
+
+/**
+ * Evaluate which regimes apply to a set of responses.
+ * @param {Object} responses - assessment answers keyed by question id
+ * @returns {Array<{id: string, name: string, level: string, reason: string}>}
+ */
+export const evaluateCompliance = (responses = {}) => COMPLIANCE_RULES
+  .map(regime => {
+    const match = regime.rules.find(rule => matchesCondition(rule.when, responses));
+    return match && { id: regime.id, name: regime.name, level: match.level, reason: match.reason };
+  })
+  .filter(Boolean);
+
+// { required: [...], recommended: [...], maybe: [...] }
+export const groupByLevel = (results) => LEVELS.reduce((groups, level) => ({
+  ...groups,
+  [level]: results.filter(result => result.level === level)
+}), {});
+
+// Plain-text block for the analysis prompt; overrides are required regimes the user deliberately deselected
+export const formatComplianceForPrompt = (results, overrides = []) => {
+  if (results.length === 0) {
+    return 'No regime is triggered by the answers. Recommend baseline data protection practices only.';
+  }
+  const labels = { required: 'REQUIRED', recommended: 'STRONGLY RECOMMENDED', maybe: 'MIGHT APPLY' };
+  return results
+    .map(result => {
+      const override = overrides.includes(result.id) ? ' - USER OVERRIDE: deliberately deselected by the user' : '';
+      return `- ${result.name} [${labels[result.level]}${override}]: ${result.reason}`;
+    })
+    .join('\n');
+};
+
+/**
+ * Pre-select every REQUIRED regime in the compliance answer.
+ * Regimes listed in responses.compliance_overrides were deliberately unticked
+ * by the user and stay unselected; overrides that no longer apply are dropped.
+ */
+export const prefillRequiredCompliance = (responses = {}) => {
+  const requiredIds = evaluateCompliance(responses)
+    .filter(result => result.level === 'required')
+    .map(result => result.id);
+  const overrides = (responses.compliance_overrides || []).filter(id => requiredIds.includes(id));
+  const toSelect = requiredIds.filter(id => !overrides.includes(id));
+
+  const current = (responses.compliance || []).filter(value => toSelect.length === 0 || value !== 'none');
+  const next = { ...responses, compliance: [...new Set([...current, ...toSelect])] };
+
+  if (next.compliance.length === 0) delete next.compliance;
+  if (overrides.length > 0) {
+    next.compliance_overrides = overrides;
+  } else {
+    delete next.compliance_overrides;
+  }
+  return next;
+};
@@ -0,0 +1,49 @@
+/**
+ * Declarative conditions over assessment responses.
+ *
+ * A condition is plain data so it can live in rule tables and JSON:
+ *   { field: 'industry', includes: 'healthcare' }      - multi-select contains value
+ *   { field: 'industry', includesAny: ['finance', 'ecommerce'] }
+ *   { field: 'business_location', equals: 'eu' }        - single-select equals value
+ *   { field: 'business_location', in: ['eu', 'uk'] }
+ *   { all: [...] } / { any: [...] } / { not: {...} }
+ */
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+export const matchesCondition = (condition, responses = {}) => {
+  if (!condition) return true;
+
+  if (condition.all) return condition.all.every(c => matchesCondition(c, responses));
+  if (condition.any) return condition.any.some(c => matchesCondition(c, responses));
+  if (condition.not) return !matchesCondition(condition.not, responses);
+
+  const answer = responses[condition.field];
+  const values = asArray(answer);
+
+  if ('includes' in condition) return values.includes(condition.includes);
+  if ('includesAny' in condition) return condition.includesAny.some(v => values.includes(v));
+  if ('equals' in condition) return answer === condition.equals;
+  if ('in' in condition) return condition.in.includes(answer);
+  if ('answered' in condition) return (values.length > 0) === condition.answered;
+
+  throw new Error(`Unsupported condition: ${JSON.stringify(condition)}`);
+};
+
+/**
+ * List every { field, value } pair a condition refers to.
+ * Used to validate conditions against the question bank.
+ */
+export const conditionReferences = (condition) => {
+  if (!condition) return [];
+  if (condition.all || condition.any) {
+    return (condition.all || condition.any).flatMap(conditionReferences);
+  }
+  if (condition.not) return conditionReferences(condition.not);
+
+  const values = ['includes', 'equals'].filter(key => key in condition).map(key => condition[key])
+    .concat(condition.includesAny || [], condition.in || []);
+  return values.length > 0
+    ? values.map(value => ({ field: condition.field, value }))
+    : [{ field: condition.field }];
+};
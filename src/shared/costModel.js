@@ -0,0 +1,286 @@
+/**
+ * Deterministic cost model - turns assessment answers into Year 1 / ongoing /
+ * 3-year ranges per cost component, and checks them against the selected budget.
+ * The wizard's help text, the report page and the backend prompt all quote
+ * these figures, so the report's TCO tables agree with the tool's guidance.
+ *
+ * Bands are annual USD ranges taken from the guidance; the format helpers show
+ * them in the user's display currency at the static rates in currency.js. Each component lists its
+ * variants strongest-first; the first matching variant decides the band.
+ * Company size places the estimate within a band (solo near the bottom,
+ * enterprise towards the top).
+ */
+
+import { matchesCondition } from './conditions.js';
+import { interpolate } from './i18n.js';
+import { BASE_CURRENCY, convertFromUsd, describeRate } from './currency.js';
+
+const dataType = (values) => ({ field: 'data_sensitivity', includesAny: [].concat(values) });
+const usage = (value) => ({ field: 'ai_usage_type', includes: value });
+const itTeam = (value) => ({ field: 'technical_capability', equals: value });
+
+// Sensitive data or strict compliance - the cases where technical gaps cost money
+const needsExpertise = {
+  any: [
+    dataType(['phi', 'privileged', 'financial']),
+    { field: 'compliance', includesAny: ['hipaa', 'pci', 'gdpr'] }
+  ]
+};
+
+// Share of a band used for each company size: [from, to] as fractions of the band width
+export const SIZE_POSITION = {
+  solo_freelance: [0, 0.1],
+  startup_pre_revenue: [0, 0.15],
+  startup_seed: [0, 0.3],
+  smb: [0.1, 0.5],
+  enterprise: [0.4, 1]
+};
+
+// ongoing = share of the Year 1 cost that recurs every following year
+export const COST_COMPONENTS = [
+  {
+    id: 'ai_internal',
+    name: 'AI tools for employees',
+    variants: [
+      { when: usage('internal_productivity'), band: [5000, 50000], ongoing: 1, basis: 'Seat licences for internal AI tools' }
+    ]
+  },
+  {
+    id: 'ai_product',
+    name: 'Product AI services & hosting',
+    variants: [
+      { when: usage('in_product'), band: [20000, 250000], ongoing: 1, basis: 'Model API usage, hosting and monitoring for customer-facing AI' }
+    ]
+  },
+  {
+    id: 'integration',
+    name: 'Integration & development',
+    variants: [
+      { when: usage('in_product'), band: [30000, 150000], ongoing: 0.2, basis: 'Building AI into the product; ongoing maintenance' },
+      { when: { field: 'ai_usage_type', answered: true }, band: [1000, 50000], ongoing: 0.2, basis: 'Connecting AI tools to existing systems' }
+    ]
+  },
+  {
+    id: 'data_protection',
+    name: 'Security & data protection',
+    variants: [
+      { when: dataType('ip'), band: [100000, 500000], ongoing: 0.7, basis: 'Private or local AI infrastructure for trade secrets' },
+      { when: dataType(['phi', 'privileged', 'financial']), band: [50000, 200000], ongoing: 0.7, basis: 'Encryption, access controls, audit logging, penetration testing' },
+      { when: dataType('pii'), band: [20000, 60000], ongoing: 0.7, basis: 'AI gateway, PII redaction, security monitoring' },
+      { when: dataType('internal'), band: [5000, 20000], ongoing: 0.7, basis: 'Zero-data-retention plans, access controls' },
+      { when: dataType('public'), band: [0, 5000], ongoing: 0.7, basis: 'Basic account security' }
+    ]
+  },
+  {
+    id: 'technical_support',
+    name: 'Managed security & outside expertise',
+    variants: [
+      { when: { all: [itTeam('no_it'), needsExpertise] }, band: [50000, 150000], ongoing: 1, basis: 'No IT team - managed security services' },
+      { when: { all: [itTeam('small_it'), needsExpertise] }, band: [30000, 80000], ongoing: 0, basis: 'Small IT team - outside expertise for the initial compliance setup' }
+    ]
+  },
+  {
+    id: 'training',
+    name: 'Team training',
+    variants: [
+      { when: { field: 'ai_usage_type', answered: true }, band: [1000, 20000], ongoing: 0.5, basis: 'Initial training, then refreshers for new staff' }
+    ]
+  }
+];
+
+// Annual compliance programme cost per regime (audits, legal review, controls)
+export const COMPLIANCE_COSTS = {
+  hipaa: { name: 'HIPAA', band: [100000, 500000] },
+  gdpr: { name: 'GDPR', band: [30000, 200000] },
+  uk_gdpr: { name: 'UK GDPR', band: [20000, 100000] },
+  pci: { name: 'PCI DSS', band: [50000, 300000] },
+  soc2: { name: 'SOC 2', band: [30000, 150000] },
+  ccpa: { name: 'CCPA/CPRA', band: [20000, 100000] },
+  pipl: { name: 'PIPL', band: [50000, 300000] },
+  pipeda: { name: 'PIPEDA', band: [20000, 100000] },
+  au_privacy: { name: 'Australian Privacy Act', band: [20000, 100000] },
+  lgpd: { name: 'LGPD', band: [20000, 100000] },
+  glba: { name: 'GLBA', band: [50000, 200000] }
+};
+
+// The first-year audit, gap assessment and policy work do not recur
+export const COMPLIANCE_ONGOING = 0.6;
+
+export const COMPLIANCE_BASIS = 'Audits, legal review, policies and controls';
+
+// Annual budget per `budget` answer; max null = open-ended
+export const BUDGET_BANDS = {
+  under_10k: { min: 0, max: 10000 },
+  '10k_50k': { min: 10000, max: 50000 },
+  '50k_200k': { min: 50000, max: 200000 },
+  '200k_500k': { min: 200000, max: 500000 },
+  over_500k: { min: 500000, max: null }
+};
+
+// Amount tables for option labels (question display.amounts), in USD
+export const OPTION_AMOUNTS = { budgetBands: BUDGET_BANDS };
+
+const roundCost = (value) => Math.round(value / 1000) * 1000;
+
+const range = (min, max) => ({ min, max });
+const addRanges = (a, b) => range(a.min + b.min, a.max + b.max);
+const scaleRange = (r, factor) => range(roundCost(r.min * factor), roundCost(r.max * factor));
+
+// Place a company within a band according to its size
+const positionInBand = ([low, high], companyStage) => {
+  const [from, to] = SIZE_POSITION[companyStage] || [0, 1];
+  const width = high - low;
+  return range(roundCost(low + width * from), roundCost(low + width * to));
+};
+
+const buildComponent = ({ id, name, regime, basis, band, ongoing }, companyStage) => {
+  const year1 = positionInBand(band, companyStage);
+  const recurring = scaleRange(year1, ongoing);
+  return {
+    id,
+    name,
+    ...(regime && { regime }),
+    basis,
+    year1,
+    ongoing: recurring,
+    threeYear: addRanges(year1, scaleRange(recurring, 2))
+  };
+};
+
+/**
+ * Check the Year 1 estimate against the selected budget band.
+ * status: 'gap' (budget below the minimum), 'tight' (below the maximum),
+ * 'fits', or 'unknown' (no budget answer)
+ */
+export const assessBudget = (budgetValue, year1) => {
+  const band = BUDGET_BANDS[budgetValue];
+  if (!band) return { value: budgetValue || null, status: 'unknown', shortfall: 0 };
+
+  let status = 'fits';
+  if (band.max !== null && band.max < year1.min) status = 'gap';
+  else if (band.max !== null && band.max < year1.max) status = 'tight';
+
+  return {
+    value: budgetValue,
+    ...band,
+    status,
+    shortfall: status === 'gap' ? year1.min - band.max : 0
+  };
+};
+
+/**
+ * Estimate costs for a set of responses.
+ * @param {Object} responses - assessment answers keyed by question id
+ * @returns {{currency: string, components: Array, totals: Object, budget: Object}}
+ */
+export const estimateCosts = (responses = {}) => {
+  const companyStage = responses.company_stage;
+
+  const components = COST_COMPONENTS
+    .map(component => {
+      const variant = component.variants.find(v => matchesCondition(v.when, responses));
+      return variant && buildComponent({ id: component.id, name: component.name, ...variant }, companyStage);
+    })
+    .filter(Boolean);
+
+  [].concat(responses.compliance || [])
+    .filter(id => COMPLIANCE_COSTS[id])
+    .forEach(id => components.push(buildComponent({
+      id: `compliance_${id}`,
+      name: `${COMPLIANCE_COSTS[id].name} compliance`,
+      regime: COMPLIANCE_COSTS[id].name,
+      basis: COMPLIANCE_BASIS,
+      band: COMPLIANCE_COSTS[id].band,
+      ongoing: COMPLIANCE_ONGOING
+    }, companyStage)));
+
+  const zero = { year1: range(0, 0), ongoing: range(0, 0), threeYear: range(0, 0) };
+  const totals = components.reduce((sum, component) => ({
+    year1: addRanges(sum.year1, component.year1),
+    ongoing: addRanges(sum.ongoing, component.ongoing),
+    threeYear: addRanges(sum.threeYear, component.threeYear)
+  }), zero);
+
+  return {
+    currency: BASE_CURRENCY,
+    components,
+    totals,
+    budget: assessBudget(responses.budget, totals.year1)
+  };
+};
+
+/**
+ * A USD amount, compact, in the given locale and display currency: $5K,
+ * $1.2M, $800; "50.000 $" in German; €43K and €8.6K in euros.
+ * @param {number} value - US dollars
+ * @param {string} [locale]
+ * @param {string} [currency] - a CURRENCIES key (currency.js)
+ */
+export const formatCost = (value, locale = 'en-US', currency = BASE_CURRENCY) => {
+  // Converted figures keep the model's precision (thousands), also where the locale does not abbreviate them
+  const converted = convertFromUsd(value, currency);
+  const amount = converted >= 10000 ? roundCost(converted) : Math.round(converted / 100) * 100;
+  return new Intl.NumberFormat(locale, {
+    style: 'currency',
+    currency,
+    notation: 'compact',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: amount >= 1000000 || amount < 10000 ? 1 : 0
+  }).format(amount);
+};
+
+export const formatCostRange = ({ min, max }, locale, currency) => (min === max
+  ? formatCost(min, locale, currency)
+  : `${formatCost(min, locale, currency)}-${formatCost(max, locale, currency)}`);
+
+// "$50K" budgets print as "$50K+" when open-ended
+const formatBudget = (budget, locale, currency) => (budget.max === null
+  ? `${formatCost(budget.min, locale, currency)}+`
+  : formatCostRange(budget, locale, currency));
+
+// Budget verdicts by status; message catalogs translate them under `budgetFit`
+export const BUDGET_FIT_MESSAGES = {
+  gap: 'BUDGET GAP: your {budget}/year budget is {shortfall} below the estimated Year 1 minimum of {minimum}.',
+  tight: 'TIGHT BUDGET: your {budget}/year budget covers the low end of the {range} Year 1 estimate only.',
+  fits: 'Your {budget}/year budget covers the {range} Year 1 estimate.',
+  unknown: 'Estimated Year 1 cost: {range}.'
+};
+
+/**
+ * One-line budget verdict for the wizard, the report page and the prompt.
+ * @param {Object} estimate - result of estimateCosts
+ * @param {Object} [options]
+ * @param {string} [options.locale] - number formatting locale
+ * @param {Object} [options.messages] - translated BUDGET_FIT_MESSAGES
+ * @param {string} [options.currency] - display currency
+ */
+export const describeBudgetFit = (estimate, { locale, messages = {}, currency } = {}) => {
+  const { budget, totals } = estimate;
+  return interpolate({ ...BUDGET_FIT_MESSAGES, ...messages }[budget.status], {
+    budget: budget.status === 'unknown' ? '' : formatBudget(budget, locale, currency),
+    shortfall: formatCost(budget.shortfall, locale, currency),
+    minimum: formatCost(totals.year1.min, locale, currency),
+    range: formatCostRange(totals.year1, locale, currency)
+  });
+};
+
+/**
+ * Plain-text block for the analysis prompt.
+ * @param {Object} estimate - result of estimateCosts
+ * @param {string} [currency] - currency the report is written in
+ */
+export const formatCostsForPrompt = (estimate, currency = estimate.currency) => {
+  if (estimate.components.length === 0) {
+    return 'No cost components could be estimated from the answers. Keep cost figures conservative and label them as rough.';
+  }
+  const format = (r) => formatCostRange(r, 'en-US', currency);
+  const line = (name, r) => `- ${name}: Year 1 ${format(r.year1)}; ongoing ${format(r.ongoing)}/year; 3-year ${format(r.threeYear)}`;
+  return [
+    currency === estimate.currency
+      ? `All figures in ${currency}.`
+      : `All figures in ${currency}, converted from ${estimate.currency} at a fixed rate of ${describeRate(currency)}.`,
+    ...estimate.components.map(component => `${line(component.name, component)} (${component.basis})`),
+    line('TOTAL', estimate.totals),
+    describeBudgetFit(estimate, { currency })
+  ].join('\n');
+};
@@ -0,0 +1,105 @@
+import { estimateCosts, assessBudget } from './costModel';
+
+// ---- Profiles ----
+
+const SOLO_CONSULTANT = {
+  company_stage: 'solo_freelance',
+  ai_usage_type: ['internal_productivity'],
+  data_sensitivity: ['public'],
+  technical_capability: 'no_it',
+  budget: 'under_10k'
+};
+
+const HEALTH_APP = {
+  company_stage: 'smb',
+  ai_usage_type: ['in_product'],
+  data_sensitivity: ['phi'],
+  compliance: ['hipaa'],
+  technical_capability: 'small_it',
+  budget: '50k_200k'
+};
+
+const PAYMENTS_ENTERPRISE = {
+  company_stage: 'enterprise',
+  ai_usage_type: ['internal_productivity', 'in_product'],
+  data_sensitivity: ['pii', 'financial'],
+  compliance: ['pci', 'gdpr', 'soc2'],
+  technical_capability: 'devops',
+  budget: 'over_500k'
+};
+
+// Year 1 [min, max] of each component, in model order
+const year1ById = (estimate) => Object.fromEntries(estimate.components.map(component => [component.id, [component.year1.min, component.year1.max]]));
+
+describe('estimateCosts', () => {
+  test.each([
+    ['no answers', {}, {}, { year1: [0, 0], ongoing: [0, 0], threeYear: [0, 0] }],
+    ['solo consultant, internal tools on public data', SOLO_CONSULTANT, {
+      ai_internal: [5000, 10000],
+      integration: [1000, 6000],
+      data_protection: [0, 1000],
+      training: [1000, 3000]
+    }, { year1: [7000, 20000], ongoing: [6000, 14000], threeYear: [19000, 48000] }],
+    ['SMB health app with PHI, HIPAA and a small IT team', HEALTH_APP, {
+      ai_product: [43000, 135000],
+      integration: [42000, 90000],
+      data_protection: [65000, 125000],
+      technical_support: [35000, 55000],
+      training: [3000, 11000],
+      compliance_hipaa: [140000, 300000]
+    }, { year1: [328000, 716000], ongoing: [183000, 427000], threeYear: [694000, 1570000] }],
+    ['payments enterprise under PCI DSS, GDPR and SOC 2', PAYMENTS_ENTERPRISE, {
+      ai_internal: [23000, 50000],
+      ai_product: [112000, 250000],
+      integration: [78000, 150000],
+      data_protection: [110000, 200000],
+      training: [9000, 20000],
+      compliance_pci: [150000, 300000],
+      compliance_gdpr: [98000, 200000],
+      compliance_soc2: [78000, 150000]
+    }, { year1: [658000, 1320000], ongoing: [429000, 870000], threeYear: [1516000, 3060000] }]
+  ])('%s', (name, responses, components, totals) => {
+    const estimate = estimateCosts(responses);
+
+    expect(estimate.currency).toBe('USD');
+    expect(year1ById(estimate)).toEqual(components);
+    expect(Object.fromEntries(Object.entries(estimate.totals).map(([key, { min, max }]) => [key, [min, max]]))).toEqual(totals);
+  });
+
+  test('the first matching variant decides the band', () => {
+    const both = estimateCosts({ ...HEALTH_APP, data_sensitivity: ['ip', 'phi'] });
+    expect(both.components.find(component => component.id === 'data_protection').basis)
+      .toBe('Private or local AI infrastructure for trade secrets');
+  });
+
+  test('outside expertise for a small IT team does not recur', () => {
+    const support = estimateCosts(HEALTH_APP).components.find(component => component.id === 'technical_support');
+    expect(support.ongoing).toEqual({ min: 0, max: 0 });
+    expect(support.threeYear).toEqual(support.year1);
+  });
+
+  test('unknown compliance ids are ignored', () => {
+    const ids = estimateCosts({ ...SOLO_CONSULTANT, compliance: ['not_a_regime'] }).components.map(component => component.id);
+    expect(ids).not.toContain('compliance_not_a_regime');
+  });
+});
+
+describe('budget fit', () => {
+  test.each([
+    ['no budget answer', undefined, { status: 'unknown', shortfall: 0 }],
+    ['budget far below the minimum', '10k_50k', { status: 'gap', shortfall: 278000 }],
+    ['budget below the minimum', '50k_200k', { status: 'gap', shortfall: 128000 }],
+    ['budget between minimum and maximum', '200k_500k', { status: 'tight', shortfall: 0 }],
+    ['open-ended budget', 'over_500k', { status: 'fits', shortfall: 0 }]
+  ])('health app, %s', (name, budget, expected) => {
+    expect(estimateCosts({ ...HEALTH_APP, budget }).budget).toMatchObject(expected);
+  });
+
+  test.each([
+    ['gap', { min: 60000, max: 90000 }, 'under_10k', 50000],
+    ['tight', { min: 8000, max: 20000 }, 'under_10k', 0],
+    ['fits', { min: 8000, max: 20000 }, '10k_50k', 0]
+  ])('%s', (status, year1, budget, shortfall) => {
+    expect(assessBudget(budget, year1)).toMatchObject({ value: budget, status, shortfall });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Display currencies. The cost model, the budget bands and provider prices
+ * are all in US dollars; other currencies are shown by converting at the
+ * static rates below - never a live FX call, so the help text, the report
+ * page and the prompt always agree on the same figures.
+ *
+ * To update the rates, edit CURRENCIES (units of the currency per 1 USD) and
+ * RATES_AS_OF, which is shown next to converted figures.
+ */
+
+export const BASE_CURRENCY = 'USD';
+
+export const RATES_AS_OF = '2026-10-01';
+
+export const CURRENCIES = {
+  USD: { name: 'US dollar', rate: 1 },
+  EUR: { name: 'Euro', rate: 0.86 },
+  GBP: { name: 'British pound', rate: 0.75 },
+  CAD: { name: 'Canadian dollar', rate: 1.4 },
+  AUD: { name: 'Australian dollar', rate: 1.53 },
+  BRL: { name: 'Brazilian real', rate: 5.4 }
+};
+
+export const DEFAULT_CURRENCY = BASE_CURRENCY;
+
+// Browser regions whose currency is offered; eurozone members map to EUR
+const REGION_CURRENCIES = {
+  US: 'USD', GB: 'GBP', CA: 'CAD', AU: 'AUD', BR: 'BRL',
+  ...Object.fromEntries(['AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK']
+    .map(region => [region, 'EUR']))
+};
+
+export const isSupportedCurrency = (currency) => Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+
+const resolve = (currency) => (isSupportedCurrency(currency) ? currency : DEFAULT_CURRENCY);
+
+// Currency of the first browser locale with a known region ('en-GB' -> 'GBP')
+export const matchCurrency = (preferred = []) => [].concat(preferred)
+  .map(tag => String(tag).split('-')[1])
+  .map(region => region && REGION_CURRENCIES[region.toUpperCase()])
+  .find(Boolean) || DEFAULT_CURRENCY;
+
+/**
+ * A USD amount in another currency, at the static rate.
+ * @param {number} amount - US dollars
+ * @param {string} currency - a CURRENCIES key
+ */
+export const convertFromUsd = (amount, currency) => amount * CURRENCIES[resolve(currency)].rate;
+
+// Two significant digits, for converted round figures: $10,000 -> €8,600 rather than €8,613
+export const roundAmount = (value) => {
+  if (value === 0) return 0;
+  const magnitude = 10 ** Math.max(0, Math.floor(Math.log10(Math.abs(value))) - 1);
+  return Math.round(value / magnitude) * magnitude;
+};
+
+// "1 USD = 0.86 EUR" - for the notes next to converted figures
+export const describeRate = (currency) => `1 ${BASE_CURRENCY} = ${CURRENCIES[resolve(currency)].rate} ${resolve(currency)}`;
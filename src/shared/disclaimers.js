@@ -0,0 +1,160 @@
+/**
+ * Report disclaimers - the reviewed legal wording, per language.
+ *
+ * The model never writes the disclaimer: the backend appends
+ * reportDisclaimer() to every finished report, and the PDF export prints the
+ * footer on every page. Translations are for readability only; non-English
+ * reports carry the English original underneath, which is authoritative.
+ * Change the English text only after legal review, and update every
+ * translation with it.
+ */
+
+import { DEFAULT_LANGUAGE, isSupportedLanguage, interpolate, formatDate, localeFor } from './i18n.js';
+
+export const DISCLAIMERS = {
+  en: {
+    heading: 'DISCLAIMER',
+    body: `**IMPORTANT: This report is provided for informational and inspirational purposes only.**
+
+This AI implementation strategy report is a general assessment based on the information provided and should NOT be considered:
+- Legal advice or a substitute for consultation with qualified legal counsel
+- Professional cybersecurity guidance or a replacement for security audits by certified professionals
+- Compliance certification or guarantee of regulatory adherence
+- Financial advice or a substitute for consultation with financial advisors
+- A comprehensive risk assessment
+
+**You should consult with qualified professionals before making implementation decisions:**
+- **Legal Counsel**: For compliance with GDPR, HIPAA, CCPA, and other regulations
+- **Cybersecurity Experts**: For security architecture and risk assessment
+- **Compliance Specialists**: For industry-specific regulatory requirements
+- **Financial Advisors**: For budget planning and ROI analysis
+
+The strategies, costs, and timelines presented are estimates based on typical scenarios and may vary significantly based on your specific circumstances. Actual implementation should only proceed after thorough professional review and approval.
+
+**No warranty or guarantee is provided regarding the accuracy, completeness, or suitability of this report for your specific situation.**`,
+    footer: 'For informational purposes only. Not legal, cybersecurity, compliance or financial advice. ' +
+      'Consult qualified professionals before making implementation decisions.',
+    generatedOn: 'Report generated on {date}'
+  },
+  de: {
+    heading: 'HAFTUNGSAUSSCHLUSS',
+    body: `**WICHTIG: Dieser Bericht dient ausschließlich Informations- und Inspirationszwecken.**
+
+Dieser Bericht zur KI-Implementierungsstrategie ist eine allgemeine Einschätzung auf Grundlage der gemachten Angaben und ist NICHT zu verstehen als:
+- Rechtsberatung oder Ersatz für die Beratung durch qualifizierte Rechtsanwälte
+- Professionelle Cybersicherheitsberatung oder Ersatz für Sicherheitsaudits durch zertifizierte Fachleute
+- Compliance-Zertifizierung oder Garantie für die Einhaltung regulatorischer Vorschriften
+- Finanzberatung oder Ersatz für die Beratung durch Finanzberater
+- Umfassende Risikobewertung
+
+**Ziehen Sie qualifizierte Fachleute hinzu, bevor Sie Entscheidungen zur Umsetzung treffen:**
+- **Rechtsberatung**: für die Einhaltung von DSGVO, HIPAA, CCPA und anderen Vorschriften
+- **Cybersicherheitsexperten**: für Sicherheitsarchitektur und Risikobewertung
+- **Compliance-Spezialisten**: für branchenspezifische regulatorische Anforderungen
+- **Finanzberater**: für Budgetplanung und ROI-Analyse
+
+Die dargestellten Strategien, Kosten und Zeitpläne sind Schätzungen auf Grundlage typischer Szenarien und können je nach Ihren konkreten Umständen erheblich abweichen. Eine tatsächliche Umsetzung sollte erst nach gründlicher fachlicher Prüfung und Freigabe erfolgen.
+
+**Es wird keine Gewähr oder Garantie für die Richtigkeit, Vollständigkeit oder Eignung dieses Berichts für Ihre konkrete Situation übernommen.**`,
+    footer: 'Nur zu Informationszwecken. Keine Rechts-, Cybersicherheits-, Compliance- oder Finanzberatung. ' +
+      'Ziehen Sie vor Entscheidungen zur Umsetzung qualifizierte Fachleute hinzu.',
+    generatedOn: 'Bericht erstellt am {date}',
+    translationNote: 'Diese Übersetzung dient nur dem besseren Verständnis. Maßgeblich ist der folgende englische Originaltext.'
+  },
+  fr: {
+    heading: 'AVERTISSEMENT',
+    body: `**IMPORTANT : ce rapport est fourni à titre informatif et d'inspiration uniquement.**
+
+Ce rapport de stratégie de mise en œuvre de l'IA est une évaluation générale fondée sur les informations fournies et ne doit PAS être considéré comme :
+- Un conseil juridique ou un substitut à la consultation d'un conseil juridique qualifié
+- Un conseil professionnel en cybersécurité ou un substitut aux audits de sécurité réalisés par des professionnels certifiés
+- Une certification de conformité ou une garantie du respect de la réglementation
+- Un conseil financier ou un substitut à la consultation de conseillers financiers
+- Une évaluation exhaustive des risques
+
+**Vous devez consulter des professionnels qualifiés avant de prendre des décisions de mise en œuvre :**
+- **Conseil juridique** : pour la conformité au RGPD, à HIPAA, au CCPA et aux autres réglementations
+- **Experts en cybersécurité** : pour l'architecture de sécurité et l'évaluation des risques
+- **Spécialistes de la conformité** : pour les exigences réglementaires propres à votre secteur
+- **Conseillers financiers** : pour la planification budgétaire et l'analyse du retour sur investissement
+
+Les stratégies, coûts et calendriers présentés sont des estimations fondées sur des scénarios types et peuvent varier sensiblement selon votre situation particulière. Toute mise en œuvre effective ne doit intervenir qu'après un examen et une validation approfondis par des professionnels.
+
+**Aucune garantie n'est donnée quant à l'exactitude, l'exhaustivité ou l'adéquation de ce rapport à votre situation particulière.**`,
+    footer: 'À titre informatif uniquement. Ne constitue pas un conseil juridique, de cybersécurité, de conformité ou financier. ' +
+      'Consultez des professionnels qualifiés avant toute décision de mise en œuvre.',
+    generatedOn: 'Rapport généré le {date}',
+    translationNote: 'Cette traduction est fournie pour faciliter la lecture. Seul le texte original anglais ci-dessous fait foi.'
+  },
+  es: {
+    heading: 'AVISO LEGAL',
+    body: `**IMPORTANTE: este informe se proporciona únicamente con fines informativos y de inspiración.**
+
+Este informe de estrategia de implementación de IA es una evaluación general basada en la información facilitada y NO debe considerarse:
+- Asesoramiento jurídico ni un sustituto de la consulta con un abogado cualificado
+- Orientación profesional en ciberseguridad ni un sustituto de las auditorías de seguridad realizadas por profesionales certificados
+- Una certificación de cumplimiento ni una garantía de adecuación a la normativa
+- Asesoramiento financiero ni un sustituto de la consulta con asesores financieros
+- Una evaluación de riesgos exhaustiva
+
+**Debe consultar con profesionales cualificados antes de tomar decisiones de implementación:**
+- **Asesoría jurídica**: para el cumplimiento del RGPD, HIPAA, CCPA y otras normativas
+- **Expertos en ciberseguridad**: para la arquitectura de seguridad y la evaluación de riesgos
+- **Especialistas en cumplimiento normativo**: para los requisitos regulatorios propios de su sector
+- **Asesores financieros**: para la planificación presupuestaria y el análisis del retorno de la inversión
+
+Las estrategias, los costes y los plazos presentados son estimaciones basadas en escenarios típicos y pueden variar considerablemente según sus circunstancias concretas. La implementación real solo debe llevarse a cabo tras una revisión y aprobación profesional exhaustivas.
+
+**No se ofrece ninguna garantía sobre la exactitud, integridad o idoneidad de este informe para su situación concreta.**`,
+    footer: 'Solo con fines informativos. No constituye asesoramiento jurídico, de ciberseguridad, de cumplimiento normativo ni financiero. ' +
+      'Consulte con profesionales cualificados antes de tomar decisiones de implementación.',
+    generatedOn: 'Informe generado el {date}',
+    translationNote: 'Esta traducción se ofrece para facilitar la lectura. Solo el texto original en inglés que figura a continuación es vinculante.'
+  },
+  pt: {
+    heading: 'AVISO LEGAL',
+    body: `**IMPORTANTE: este relatório é fornecido apenas para fins informativos e de inspiração.**
+
+Este relatório de estratégia de implementação de IA é uma avaliação geral baseada nas informações fornecidas e NÃO deve ser considerado:
+- Aconselhamento jurídico ou substituto da consulta a um advogado qualificado
+- Orientação profissional em cibersegurança ou substituto de auditorias de segurança realizadas por profissionais certificados
+- Certificação de conformidade ou garantia de cumprimento regulatório
+- Aconselhamento financeiro ou substituto da consulta a consultores financeiros
+- Uma avaliação de riscos abrangente
+
+**Consulte profissionais qualificados antes de tomar decisões de implementação:**
+- **Assessoria jurídica**: para conformidade com GDPR, HIPAA, CCPA e outras regulamentações
+- **Especialistas em cibersegurança**: para arquitetura de segurança e avaliação de riscos
+- **Especialistas em compliance**: para requisitos regulatórios específicos do seu setor
+- **Consultores financeiros**: para planejamento orçamentário e análise de ROI
+
+As estratégias, os custos e os prazos apresentados são estimativas baseadas em cenários típicos e podem variar significativamente de acordo com as suas circunstâncias específicas. A implementação efetiva só deve ocorrer após revisão e aprovação profissional criteriosas.
+
+**Não é oferecida nenhuma garantia quanto à exatidão, completude ou adequação deste relatório à sua situação específica.**`,
+    footer: 'Apenas para fins informativos. Não constitui aconselhamento jurídico, de cibersegurança, de compliance ou financeiro. ' +
+      'Consulte profissionais qualificados antes de tomar decisões de implementação.',
+    generatedOn: 'Relatório gerado em {date}',
+    translationNote: 'Esta tradução é fornecida apenas para facilitar a leitura. Prevalece o texto original em inglês abaixo.'
+  }
+};
+
+const disclaimerFor = (language) => DISCLAIMERS[isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE];
+
+// One-paragraph version for page footers
+export const disclaimerFooter = (language) => disclaimerFor(language).footer;
+
+/**
+ * The closing disclaimer section of a report, as markdown.
+ * @param {string} language - a LANGUAGES key
+ * @param {Date} [date] - when the report was generated
+ */
+export const reportDisclaimer = (language, date = new Date()) => {
+  const disclaimer = disclaimerFor(language);
+  const english = DISCLAIMERS[DEFAULT_LANGUAGE];
+  const generatedOn = interpolate(disclaimer.generatedOn, { date: formatDate(date, localeFor(language), { dateStyle: 'long' }) });
+  const sections = [`## ${disclaimer.heading}`, disclaimer.body];
+  if (disclaimer !== english) {
+    sections.push(`*${disclaimer.translationNote}*`, `### ${english.heading}`, english.body);
+  }
+  return ['---', ...sections, '---', `*${generatedOn}*`].join('\n\n');
+};
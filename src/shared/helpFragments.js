@@ -0,0 +1,87 @@
+/**
+ * Computed help fragments - the parts of the question help that are
+ * calculated rather than written, filled into {{name}} placeholders in
+ * questionBank.json. Each fragment takes the answers so far and returns text.
+ *
+ * The wording comes from the message catalogs (`fragments` section), so the
+ * fragments are built for one language and display currency at a time with
+ * createHelpFragments.
+ */
+
+import { evaluateCompliance, groupByLevel } from './complianceRules.js';
+import { estimateCosts, describeBudgetFit, formatCost, formatCostRange, COMPLIANCE_COSTS, COMPLIANCE_ONGOING } from './costModel.js';
+import { evaluateTimeline, durationParts } from './timelineFeasibility.js';
+import { DEFAULT_CURRENCY } from './currency.js';
+
+const bulletList = (heading, items, ruleText) => (items.length > 0
+  ? `${heading}\n${items.map(item => `• ${item.name}: ${ruleText(item.reason)}\n`).join('')}\n`
+  : '');
+
+const duration = (weeks, t) => {
+  const { unit, count } = durationParts(weeks);
+  return t(`duration.${unit}`, { count });
+};
+
+// name -> (i18n, currency) => (responses) => text
+const FRAGMENT_BUILDERS = {
+  // Which regimes the answers trigger, by level
+  complianceApplicability: ({ t, ruleText }) => (responses) => {
+    const { required, recommended, maybe } = groupByLevel(evaluateCompliance(responses));
+    let message = t('fragments.compliance.intro');
+    message += bulletList(t('fragments.compliance.required'), required, ruleText);
+    message += bulletList(t('fragments.compliance.recommended'), recommended, ruleText);
+    message += bulletList(t('fragments.compliance.maybe'), maybe, ruleText);
+
+    if (required.length === 0 && recommended.length === 0) {
+      message += t('fragments.compliance.noneApply');
+    }
+
+    return message + t('fragments.compliance.outro');
+  },
+
+  complianceCostBands: ({ t, locale }, currency) => () => t('fragments.complianceCostBands', {
+    bands: Object.values(COMPLIANCE_COSTS)
+      .map(({ name, band: [min, max] }) => `${name} (${formatCostRange({ min, max }, locale, currency)})`)
+      .join(', '),
+    ongoing: Math.round(COMPLIANCE_ONGOING * 100)
+  }),
+
+  // Same figures as the report page and the analysis prompt
+  costEstimate: ({ t, locale, catalog, label }, currency) => (responses) => {
+    const estimate = estimateCosts(responses);
+    const range = (value) => formatCostRange(value, locale, currency);
+    const lines = [
+      t('fragments.costEstimate.heading'),
+      t('fragments.costEstimate.year1', { range: range(estimate.totals.year1) }),
+      t('fragments.costEstimate.ongoing', { range: range(estimate.totals.ongoing) }),
+      t('fragments.costEstimate.threeYear', { range: range(estimate.totals.threeYear) }),
+      '',
+      t('fragments.costEstimate.byComponent'),
+      ...estimate.components.map(component => `• ${label('costComponents', component.regime ? 'compliance' : component.id, component.name, { regime: component.regime })}: ${range(component.year1)}`)
+    ];
+    if (responses.budget) lines.push('', describeBudgetFit(estimate, { locale, messages: catalog.budgetFit, currency }));
+    return lines.join('\n');
+  },
+
+  // 4% of the revenue the user entered, next to the fixed cap
+  gdprFineExposure: ({ t, locale }, currency) => ({ annual_revenue: revenue }) => (typeof revenue === 'number'
+    ? t('fragments.gdprFineExposure', { revenue: formatCost(revenue, locale, currency), share: formatCost(Math.round(revenue * 0.04), locale, currency) })
+    : ''),
+
+  timelineFeasibility: ({ t }) => (responses) => {
+    const { minimumWeeks, recommendedWeeks } = evaluateTimeline(responses);
+    return t('fragments.timelineFeasibility', { minimum: duration(minimumWeeks, t), recommended: duration(recommendedWeeks, t) });
+  }
+};
+
+export const HELP_FRAGMENT_NAMES = Object.keys(FRAGMENT_BUILDERS);
+
+/**
+ * The help fragments in one language.
+ * @param {Object} i18n - result of createI18n (src/shared/i18n.js)
+ * @param {string} [currency] - display currency for the cost figures (currency.js)
+ * @returns {Object} placeholder name -> (responses) => string
+ */
+export const createHelpFragments = (i18n, currency = DEFAULT_CURRENCY) => Object.fromEntries(
+  Object.entries(FRAGMENT_BUILDERS).map(([name, build]) => [name, build(i18n, currency)])
+);
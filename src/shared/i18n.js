@@ -0,0 +1,126 @@
+/**
+ * Languages, message lookup and locale-aware formatting - shared by the React
+ * app (src/i18n.js) and the backend (the `language` of /api/analyze).
+ *
+ * Catalogs are plain JSON (src/locales/<language>.json). A message is looked
+ * up by dotted key in the selected catalog, then in the English one; {name}
+ * placeholders are filled from the values passed in. A message written as an
+ * object of plural forms ({ "one": ..., "other": ... }) is picked with
+ * Intl.PluralRules for values.count.
+ */
+
+export const LANGUAGES = {
+  en: { name: 'English', locale: 'en-US', promptName: 'English' },
+  de: { name: 'Deutsch', locale: 'de-DE', promptName: 'German' },
+  fr: { name: 'Français', locale: 'fr-FR', promptName: 'French' },
+  es: { name: 'Español', locale: 'es-ES', promptName: 'Spanish' },
+  pt: { name: 'Português', locale: 'pt-BR', promptName: 'Brazilian Portuguese' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+export const localeFor = (language) => (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+
+// First supported language in a browser preference list ('de-AT' -> 'de')
+export const matchLanguage = (preferred = []) => [].concat(preferred)
+  .map(tag => String(tag).toLowerCase().split('-')[0])
+  .find(isSupportedLanguage) || DEFAULT_LANGUAGE;
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+export const interpolate = (template, values = {}) => String(template)
+  .replace(PLACEHOLDER, (match, name) => (values[name] === undefined ? match : String(values[name])));
+
+// {name} placeholders used by a message (all plural forms together)
+export const messagePlaceholders = (message) => [...new Set(
+  (typeof message === 'object' && message !== null ? Object.values(message) : [message])
+    .flatMap(text => [...String(text).matchAll(PLACEHOLDER)].map(match => match[1]))
+)].sort();
+
+const lookup = (catalog, key) => key.split('.')
+  .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+
+const isPluralForms = (message) => message !== null && typeof message === 'object' && typeof message.other === 'string';
+
+/**
+ * Build t(key, values) for a catalog. Missing keys fall back to the fallback
+ * catalog, then to values.defaultValue, then to the key itself.
+ */
+export const createTranslator = (catalog, fallback = {}, locale = localeFor(DEFAULT_LANGUAGE)) => {
+  const plurals = new Intl.PluralRules(locale);
+  return (key, values = {}) => {
+    let message = [lookup(catalog, key), lookup(fallback, key)]
+      .find(candidate => typeof candidate === 'string' || isPluralForms(candidate));
+    if (message === undefined) return values.defaultValue ?? key;
+    if (isPluralForms(message)) message = message[plurals.select(values.count)] ?? message.other;
+    return interpolate(message, values);
+  };
+};
+
+/**
+ * Everything a screen needs to render in one language.
+ * `ruleText` translates a sentence from the shared rule tables (catalog
+ * section `ruleText`, keyed by the English sentence); `label` translates a
+ * named entry (catalog section `labels`, e.g. labels.verdicts.risky). Both
+ * return the English text when the catalog has no translation.
+ * @param {string} language - a LANGUAGES key
+ * @param {Object} catalogs - language -> catalog; must include English
+ */
+export const createI18n = (language, catalogs) => {
+  const resolved = isSupportedLanguage(language) && catalogs[language] ? language : DEFAULT_LANGUAGE;
+  const catalog = catalogs[resolved];
+  const locale = localeFor(resolved);
+  return {
+    language: resolved,
+    locale,
+    catalog,
+    t: createTranslator(catalog, catalogs[DEFAULT_LANGUAGE], locale),
+    ruleText: (text) => catalog.ruleText?.[text] ?? text,
+    label: (group, id, fallback, values) => interpolate(catalog.labels?.[group]?.[id] ?? fallback, values)
+  };
+};
+
+/**
+ * Every problem with a catalog compared to the reference (English) one:
+ * missing keys, keys the reference does not have, and messages whose
+ * {placeholders} differ. Sections listed in `skip` are not compared.
+ */
+export const compareCatalogs = (reference, catalog, { skip = [] } = {}) => {
+  const errors = [];
+  const walk = (expected, actual, path) => {
+    Object.entries(expected).forEach(([key, message]) => {
+      const where = path ? `${path}.${key}` : key;
+      const translated = actual ? actual[key] : undefined;
+      if (translated === undefined) {
+        errors.push(`${where}: missing`);
+      } else if (message !== null && typeof message === 'object' && !isPluralForms(message)) {
+        walk(message, translated, where);
+      } else if (messagePlaceholders(message).join() !== messagePlaceholders(translated).join()) {
+        errors.push(`${where}: placeholders {${messagePlaceholders(translated).join('}, {')}} do not match {${messagePlaceholders(message).join('}, {')}}`);
+      }
+    });
+    Object.keys(actual || {})
+      .filter(key => expected[key] === undefined)
+      .forEach(key => errors.push(`${path ? `${path}.${key}` : key}: not in the English catalog`));
+  };
+  const strip = (messages) => Object.fromEntries(Object.entries(messages || {}).filter(([key]) => !skip.includes(key)));
+  walk(strip(reference), strip(catalog), '');
+  return errors;
+};
+
+export const formatNumber = (value, locale = localeFor(DEFAULT_LANGUAGE), options = {}) =>
+  new Intl.NumberFormat(locale, options).format(value);
+
+export const formatDate = (date, locale = localeFor(DEFAULT_LANGUAGE), options = { dateStyle: 'medium' }) =>
+  new Intl.DateTimeFormat(locale, options).format(new Date(date));
+
+// Whole amounts in a currency; falls back to "<amount> <code>" for codes Intl does not know
+export const formatCurrency = (value, { locale = localeFor(DEFAULT_LANGUAGE), currency = 'USD', maximumFractionDigits = 0 } = {}) => {
+  try {
+    return formatNumber(value, locale, { style: 'currency', currency, maximumFractionDigits });
+  } catch (error) {
+    return `${formatNumber(value, locale, { maximumFractionDigits })} ${currency}`;
+  }
+};
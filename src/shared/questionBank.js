@@ -0,0 +1,463 @@
+/**
+ * Question bank - loads and validates the question definitions in
+ * questionBank.json, and renders their context help for a set of answers.
+ *
+ * Each question holds its type, validation, display rules and help. Choice
+ * questions (single / multiple) list options; text, longtext and number
+ * questions are typed in and must declare their length or value limits. A
+ * question with a `showIf` condition is only asked when the earlier answers
+ * match it (follow-ups such as BAA status when PHI is processed); the answers
+ * of questions that drop off the path are discarded. Help
+ * content is a list of pieces joined in order; a piece is either text or
+ *   { variants: [{ when: <condition>, text }, ..., { text }] }
+ * where the first variant whose condition matches the answers so far is used
+ * (a variant without `when` is the fallback; no match renders nothing).
+ * Text may contain {{name}} placeholders, filled from computed help fragments
+ * such as the cost estimate (see helpFragments.js). Option labels of a
+ * question with `display.amounts` contain {min} / {max} instead of fixed
+ * figures, filled in the user's currency (fillOptionAmounts); the option
+ * values stay the same whatever the currency.
+ *
+ * The bank is written in English. Message catalogs (src/locales/<language>.json)
+ * translate its text under `questions`, mirroring each question's question,
+ * option labels and descriptions, display text and help; conditions, values
+ * and validation always come from the bank.
+ */
+
+import { matchesCondition, conditionReferences } from './conditions.js';
+import { interpolate, messagePlaceholders } from './i18n.js';
+
+export const QUESTION_TYPES = ['single', 'multiple', 'text', 'longtext', 'number'];
+
+// Choice questions have options; the others are typed in
+export const CHOICE_TYPES = ['single', 'multiple'];
+export const FREE_TEXT_TYPES = ['text', 'longtext'];
+
+export const isChoiceQuestion = (question) => CHOICE_TYPES.includes(question.type);
+
+// Special cases a question can opt into via `display`; null = any text
+export const DISPLAY_RULES = {
+  annotate: ['requiredCompliance', 'timelineFeasibility'],
+  prefill: ['requiredCompliance'],
+  amounts: ['budgetBands'],
+  unit: null,
+  placeholder: null
+};
+
+// Answers the wizard stores next to the questions (see assessmentStorage.js)
+const DERIVED_FIELDS = { compliance_overrides: 'compliance', timeline_acknowledged: 'timeline' };
+
+const DEFAULT_HELP = {
+  title: 'ℹ️ Context Help',
+  content: 'This helps us understand your specific situation better.',
+  learnMore: ''
+};
+
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+const placeholders = (text) => [...String(text).matchAll(PLACEHOLDER)].map(match => match[1]);
+
+// Every { where, text, when } in a question's help, for validation
+const helpEntries = (question) => {
+  const { help = {} } = question;
+  const where = `${question.id}.help`;
+  const entries = [
+    { where: `${where}.title`, text: help.title },
+    { where: `${where}.learnMore`, text: help.learnMore }
+  ];
+  [].concat(help.content || []).forEach((piece, index) => {
+    if (piece && Array.isArray(piece.variants)) {
+      piece.variants.forEach((variant, variantIndex) => entries.push({
+        where: `${where}.content[${index}].variants[${variantIndex}]`,
+        text: variant.text,
+        when: variant.when
+      }));
+    } else {
+      entries.push({ where: `${where}.content[${index}]`, text: piece });
+    }
+  });
+  return entries;
+};
+
+const isWholeNumber = (value) => Number.isInteger(value) && value >= 0;
+
+// Typed-in questions must declare their limits
+const typedInputErrors = (where, question) => {
+  const { minLength, maxLength, min, max, integer } = question.validation || {};
+  if (FREE_TEXT_TYPES.includes(question.type)) {
+    if (!isWholeNumber(maxLength) || maxLength === 0) return [`${where}: validation.maxLength is required for text questions`];
+    if (minLength !== undefined && !(isWholeNumber(minLength) && minLength <= maxLength)) {
+      return [`${where}: validation.minLength must be between 0 and maxLength`];
+    }
+  }
+  if (question.type === 'number') {
+    if (typeof min !== 'number' || typeof max !== 'number' || min > max) {
+      return [`${where}: validation.min and validation.max are required for number questions (min <= max)`];
+    }
+    if (integer !== undefined && typeof integer !== 'boolean') return [`${where}: validation.integer must be true or false`];
+  }
+  return [];
+};
+
+/**
+ * Check a question-bank definition. Returns a list of error messages (empty
+ * when valid). Conditions may only refer to questions defined earlier and to
+ * option values those questions actually have.
+ * @param {Object} definition - parsed questionBank.json
+ * @param {Object} [options]
+ * @param {string[]} [options.fragments] - placeholder names that can be filled
+ * @param {Array<{where: string, when: Object}>} [options.conditions] - extra conditions to check, e.g. shared rule tables
+ * @param {Object} [options.amounts] - display.amounts tables (see fillOptionAmounts) to check option values against
+ */
+export const validateQuestionBank = (definition, { fragments = [], conditions = [], amounts = {} } = {}) => {
+  const errors = [];
+  const questions = definition && Array.isArray(definition.questions) ? definition.questions : null;
+  if (!questions) return ['questions: expected an array'];
+
+  const allIds = new Set(questions.map(question => question.id));
+  const options = {};
+  const checkCondition = (where, condition, known) => {
+    conditionReferences(condition).forEach(({ field, value }) => {
+      const questionId = DERIVED_FIELDS[field] || field;
+      if (!known[questionId]) {
+        errors.push(allIds.has(questionId)
+          ? `${where}: condition refers to "${field}", which is only asked later`
+          : `${where}: condition refers to unknown question "${field}"`);
+      } else if (value !== undefined && !known[questionId].has(value)) {
+        errors.push(`${where}: condition refers to unknown option "${value}" of "${questionId}"`);
+      }
+    });
+  };
+
+  questions.forEach((question, index) => {
+    const where = question.id || `questions[${index}]`;
+    if (!question.id) errors.push(`${where}: missing id`);
+    else if (options[question.id]) errors.push(`${where}: duplicate question id`);
+    if (!question.question) errors.push(`${where}: missing question text`);
+    if (!QUESTION_TYPES.includes(question.type)) errors.push(`${where}: unknown type "${question.type}"`);
+
+    const values = new Set();
+    if (!isChoiceQuestion(question)) {
+      if (question.options) errors.push(`${where}: only single and multiple choice questions have options`);
+      errors.push(...typedInputErrors(where, question));
+    } else if (!Array.isArray(question.options) || question.options.length === 0) {
+      errors.push(`${where}: needs at least one option`);
+    } else {
+      question.options.forEach(option => {
+        if (!option.value || !option.label) errors.push(`${where}: every option needs a value and a label`);
+        else if (values.has(option.value)) errors.push(`${where}: duplicate option "${option.value}"`);
+        values.add(option.value);
+      });
+    }
+
+    const { minSelected } = question.validation || {};
+    if (minSelected !== undefined && (question.type !== 'multiple' || !(minSelected >= 1))) {
+      errors.push(`${where}: validation.minSelected needs a multiple-choice question and a value of at least 1`);
+    }
+
+    Object.entries(question.display || {}).forEach(([rule, value]) => {
+      if (DISPLAY_RULES[rule] === undefined) errors.push(`${where}: unknown display rule "${rule}"`);
+      else if (DISPLAY_RULES[rule] === null ? typeof value !== 'string' : !DISPLAY_RULES[rule].includes(value)) {
+        errors.push(`${where}: unknown display.${rule} "${value}"`);
+      }
+    });
+    if (question.display?.amounts && !isChoiceQuestion(question)) {
+      errors.push(`${where}: display.amounts needs a choice question`);
+    } else if (amounts[question.display?.amounts]) {
+      values.forEach(value => {
+        if (!amounts[question.display.amounts][value]) errors.push(`${where}: option "${value}" has no ${question.display.amounts} amounts`);
+      });
+    }
+
+    if (!question.help || !question.help.title || !question.help.content) {
+      errors.push(`${where}: help needs a title and content`);
+    }
+    const previous = { ...options };
+    if (question.showIf) checkCondition(`${where}.showIf`, question.showIf, previous);
+    helpEntries(question).forEach(entry => {
+      if (entry.when) checkCondition(entry.where, entry.when, previous);
+      placeholders(entry.text || '')
+        .filter(name => !fragments.includes(name))
+        .forEach(name => errors.push(`${entry.where}: unknown placeholder {{${name}}}`));
+    });
+
+    if (question.id) options[question.id] = values;
+  });
+
+  conditions.forEach(({ where, when }) => checkCondition(where, when, options));
+
+  return errors;
+};
+
+/**
+ * Validate a definition and return its questions; throws listing every problem.
+ */
+export const loadQuestionBank = (definition, validationOptions) => {
+  const errors = validateQuestionBank(definition, validationOptions);
+  if (errors.length > 0) {
+    throw new Error(`Invalid question bank:\n${errors.map(error => `- ${error}`).join('\n')}`);
+  }
+  return definition.questions;
+};
+
+/**
+ * Drop the answers of questions whose showIf no longer matches (and the
+ * derived answers stored with them). Evaluated in question order, so a
+ * follow-up of a hidden question is hidden too.
+ */
+export const pruneInactiveAnswers = (questions, responses = {}) => {
+  const pruned = { ...responses };
+  questions.forEach(question => {
+    if (matchesCondition(question.showIf, pruned)) return;
+    delete pruned[question.id];
+    Object.keys(DERIVED_FIELDS)
+      .filter(key => DERIVED_FIELDS[key] === question.id)
+      .forEach(key => delete pruned[key]);
+  });
+  return pruned;
+};
+
+// The questions on the path for a set of answers, in order
+export const activeQuestions = (questions, responses = {}) => {
+  const pruned = pruneInactiveAnswers(questions, responses);
+  return questions.filter(question => matchesCondition(question.showIf, pruned));
+};
+
+const fillPlaceholders = (text, fragments, responses) => String(text)
+  .replace(PLACEHOLDER, (_, name) => (fragments[name] ? fragments[name](responses) : ''));
+
+const renderPiece = (piece, responses) => {
+  if (piece && Array.isArray(piece.variants)) {
+    const variant = piece.variants.find(v => matchesCondition(v.when, responses));
+    return variant ? variant.text : '';
+  }
+  return piece;
+};
+
+/**
+ * Help for a question given the answers so far.
+ * @param {Object} question - a question-bank entry
+ * @param {Object} responses - assessment answers keyed by question id
+ * @param {Object} [fragments] - placeholder name -> (responses) => string
+ * @returns {{title: string, content: string, learnMore: string}}
+ */
+export const renderHelp = (question, responses = {}, fragments = {}) => {
+  if (!question || !question.help) return DEFAULT_HELP;
+  const { title, content, learnMore = '' } = question.help;
+  return {
+    title,
+    content: fillPlaceholders([].concat(content).map(piece => renderPiece(piece, responses)).join(''), fragments, responses),
+    learnMore: fillPlaceholders(learnMore, fragments, responses)
+  };
+};
+
+// The translatable text of a question, in the shape catalogs use under `questions`
+const questionText = (question) => ({
+  question: question.question,
+  ...(question.options && {
+    options: Object.fromEntries(question.options.map(({ value, label, description }) =>
+      [value, description === undefined ? { label } : { label, description }]))
+  }),
+  ...(question.display && (question.display.unit || question.display.placeholder) && {
+    display: Object.fromEntries(['unit', 'placeholder']
+      .filter(rule => question.display[rule])
+      .map(rule => [rule, question.display[rule]]))
+  }),
+  help: {
+    title: question.help.title,
+    content: [].concat(question.help.content).map(piece => (piece && Array.isArray(piece.variants)
+      ? { variants: piece.variants.map(variant => variant.text) }
+      : piece)),
+    ...(question.help.learnMore && { learnMore: question.help.learnMore })
+  }
+});
+
+// Compare a translation with the English text it replaces, piece by piece
+const translationErrors = (where, english, translated) => {
+  if (typeof english === 'string') {
+    if (typeof translated !== 'string' || translated.trim() === '') return [`${where}: missing`];
+    const same = (find) => find(english).sort().join() === find(translated).sort().join();
+    return same(placeholders) && same(messagePlaceholders)
+      ? []
+      : [`${where}: placeholders differ from the English text`];
+  }
+  if (Array.isArray(english)) {
+    if (!Array.isArray(translated) || translated.length !== english.length) {
+      return [`${where}: expected ${english.length} entries`];
+    }
+    return english.flatMap((item, index) => translationErrors(`${where}[${index}]`, item, translated[index]));
+  }
+  if (!translated || typeof translated !== 'object' || Array.isArray(translated)) return [`${where}: missing`];
+  return [
+    ...Object.keys(english).flatMap(key => translationErrors(`${where}.${key}`, english[key], translated[key])),
+    ...Object.keys(translated).filter(key => english[key] === undefined).map(key => `${where}.${key}: not in the question bank`)
+  ];
+};
+
+/**
+ * Check a catalog's `questions` section against the question bank: every
+ * question, option and help piece (including each variant) must be
+ * translated, with the same {{placeholders}} and {amounts} as the English text.
+ * @returns {string[]} error messages, empty when complete
+ */
+export const validateQuestionTranslations = (questions, translations = {}) => [
+  ...questions.flatMap(question => translationErrors(`questions.${question.id}`, questionText(question), translations[question.id])),
+  ...Object.keys(translations)
+    .filter(id => !questions.some(question => question.id === id))
+    .map(id => `questions.${id}: not in the question bank`)
+];
+
+/**
+ * The questions with their text replaced by a catalog's translations.
+ * Untranslated questions and pieces stay in English.
+ * @param {Array} questions - loaded question bank
+ * @param {Object} [translations] - a catalog's `questions` section
+ */
+export const localizeQuestions = (questions, translations = {}) => questions.map(question => {
+  const translated = translations[question.id];
+  if (!translated) return question;
+  const content = [].concat(question.help.content);
+  return {
+    ...question,
+    question: translated.question || question.question,
+    ...(question.options && {
+      options: question.options.map(option => ({ ...option, ...translated.options?.[option.value] }))
+    }),
+    ...(question.display && { display: { ...question.display, ...translated.display } }),
+    help: {
+      ...question.help,
+      title: translated.help?.title || question.help.title,
+      content: content.map((piece, index) => {
+        const text = translated.help?.content?.[index];
+        if (piece && Array.isArray(piece.variants)) {
+          return { variants: piece.variants.map((variant, variantIndex) => ({ ...variant, text: text?.variants?.[variantIndex] || variant.text })) };
+        }
+        return typeof text === 'string' ? text : piece;
+      }),
+      learnMore: translated.help?.learnMore || question.help.learnMore
+    }
+  };
+});
+
+/**
+ * The questions with the {min} / {max} amounts in their option labels filled
+ * in (questions with `display.amounts`). An open-ended bound (null) stays
+ * unfilled, so labels only use the bounds their option has.
+ * @param {Array} questions - loaded (and possibly localized) question bank
+ * @param {Object} amounts - display.amounts name -> option value -> { min, max } in USD
+ * @param {(usd: number) => string} formatAmount - e.g. a conversion to the display currency
+ */
+export const fillOptionAmounts = (questions, amounts, formatAmount) => questions.map(question => {
+  const table = amounts[question.display?.amounts];
+  if (!table) return question;
+  const format = (value) => (typeof value === 'number' ? formatAmount(value) : undefined);
+  return {
+    ...question,
+    options: question.options.map(option => ({
+      ...option,
+      label: interpolate(option.label, { min: format(table[option.value]?.min), max: format(table[option.value]?.max) })
+    }))
+  };
+});
+
+// Answer validation messages; message catalogs translate them under `answerErrors`
+export const ANSWER_ERROR_MESSAGES = {
+  required: 'An answer is required',
+  text: 'Enter text',
+  minLength: 'Enter at least {minLength} characters',
+  maxLength: 'Use at most {maxLength} characters',
+  number: 'Enter a number',
+  integer: 'Enter a whole number',
+  range: 'Enter a number from {min} to {max}',
+  single: 'Choose one option',
+  minSelected: 'Choose at least {minSelected} option(s)',
+  unknownOptions: 'Unknown option(s): {options}'
+};
+
+/**
+ * Check one answer against a question's options and validation rules.
+ * @param {Object} question - a question-bank entry
+ * @param {*} answer
+ * @param {Object} [options]
+ * @param {string} [options.locale] - number formatting locale
+ * @param {Object} [options.messages] - translated ANSWER_ERROR_MESSAGES
+ * @returns {string|null} an error message, or null when the answer is valid
+ */
+export const validateAnswer = (question, answer, { locale = 'en-US', messages = {} } = {}) => {
+  const { required = true, minSelected = 1, minLength = 0, maxLength, min, max, integer } = question.validation || {};
+  const error = (id, values) => interpolate({ ...ANSWER_ERROR_MESSAGES, ...messages }[id], values);
+  const blank = answer === undefined || answer === null || (typeof answer === 'string' && answer.trim() === '');
+  if (blank) return required ? error('required') : null;
+
+  if (FREE_TEXT_TYPES.includes(question.type)) {
+    if (typeof answer !== 'string') return error('text');
+    const { length } = answer.trim();
+    if (length < minLength) return error('minLength', { minLength });
+    return length > maxLength ? error('maxLength', { maxLength }) : null;
+  }
+  if (question.type === 'number') {
+    if (typeof answer !== 'number' || !Number.isFinite(answer)) return error('number');
+    if (integer && !Number.isInteger(answer)) return error('integer');
+    return answer < min || answer > max
+      ? error('range', { min: min.toLocaleString(locale), max: max.toLocaleString(locale) })
+      : null;
+  }
+
+  const values = [].concat(answer);
+  if (values.length === 0) return required ? error('required') : null;
+  if (question.type === 'single' && Array.isArray(answer)) return error('single');
+  if (question.type === 'multiple' && values.length < minSelected) return error('minSelected', { minSelected });
+  const unknown = values.filter(value => !question.options.some(option => option.value === value));
+  return unknown.length > 0 ? error('unknownOptions', { options: unknown.join(', ') }) : null;
+};
+
+// Invisible characters that can hide or reorder text (zero-width, bidi overrides)
+const INVISIBLE = /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+// eslint-disable-next-line no-control-regex
+const CONTROL = /[\u0000-\u0008\u000B-\u001F\u007F]/g;
+
+const sanitizeText = (value, { type, validation }) => {
+  let text = String(value).replace(/\r\n?/g, '\n').replace(INVISIBLE, '').replace(CONTROL, '');
+  text = type === 'longtext'
+    ? text.replace(/\t/g, ' ').replace(/\n{3,}/g, '\n\n')
+    : text.replace(/\s+/g, ' ');
+  text = text.trim().slice(0, validation.maxLength).trim();
+  return text || undefined;
+};
+
+const sanitizeNumber = (value, { validation }) => {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+  const rounded = validation.integer ? Math.round(number) : number;
+  return rounded < validation.min || rounded > validation.max ? undefined : rounded;
+};
+
+const sanitizeChoice = (value, question) => {
+  const values = [].concat(value).filter(v => question.options.some(option => option.value === v));
+  if (values.length === 0) return undefined;
+  return question.type === 'multiple' ? [...new Set(values)] : values[0];
+};
+
+/**
+ * Clean answers received from a client: drop unknown keys, unknown options
+ * and out-of-range numbers, strip control and invisible characters from text
+ * and cut it to its maxLength, then drop answers of questions off the path.
+ */
+export const sanitizeResponses = (questions, responses = {}) => {
+  const byId = Object.fromEntries(questions.map(question => [question.id, question]));
+  const sanitized = {};
+
+  Object.entries(responses || {}).forEach(([key, value]) => {
+    const question = byId[key] || byId[DERIVED_FIELDS[key]];
+    if (!question || value === undefined || value === null) return;
+
+    let clean;
+    if (FREE_TEXT_TYPES.includes(question.type)) clean = sanitizeText(value, question);
+    else if (question.type === 'number') clean = sanitizeNumber(value, question);
+    else clean = sanitizeChoice(value, question);
+
+    if (clean !== undefined) sanitized[key] = clean;
+  });
+
+  return pruneInactiveAnswers(questions, sanitized);
+};
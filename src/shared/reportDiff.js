@@ -0,0 +1,191 @@
+/**
+ * Assessment comparison - what changed between two saved assessments: the
+ * answers, the compliance regimes that apply, the cost ranges and the
+ * generated report, section by section.
+ *
+ * Reports are split on their `## ` headings, which the analysis prompt fixes
+ * (EXECUTIVE SUMMARY, 1. STRATEGIC RECOMMENDATIONS, ...). Numbered sections
+ * are matched by number, so two reports still line up when the model words a
+ * heading differently or writes it in another language.
+ */
+
+import { evaluateCompliance } from './complianceRules.js';
+import { estimateCosts } from './costModel.js';
+import { activeQuestions } from './questionBank.js';
+
+const asList = (answer) => (answer === undefined ? [] : [].concat(answer));
+
+/**
+ * Answers that differ, in question order. Questions that are off the path in
+ * both assessments are skipped; `before` / `after` are the raw answers
+ * (undefined when not answered), `added` / `removed` the options that changed
+ * for choice questions.
+ * @param {Array} questions - loaded question bank
+ * @param {Object} before - responses of the older assessment
+ * @param {Object} after - responses of the newer assessment
+ */
+export const diffAnswers = (questions, before = {}, after = {}) => {
+  const asked = new Set([...activeQuestions(questions, before), ...activeQuestions(questions, after)].map(q => q.id));
+  return questions
+    .filter(question => asked.has(question.id))
+    .map(question => {
+      const was = asList(before[question.id]);
+      const is = asList(after[question.id]);
+      return {
+        id: question.id,
+        before: before[question.id],
+        after: after[question.id],
+        added: is.filter(value => !was.includes(value)),
+        removed: was.filter(value => !is.includes(value))
+      };
+    })
+    .filter(change => change.added.length > 0 || change.removed.length > 0);
+};
+
+/**
+ * Regimes whose level changed, was added or dropped out, in rule-table order.
+ * A null level means the regime does not apply to that assessment.
+ */
+export const diffCompliance = (before = {}, after = {}) => {
+  const was = Object.fromEntries(evaluateCompliance(before).map(result => [result.id, result]));
+  const is = Object.fromEntries(evaluateCompliance(after).map(result => [result.id, result]));
+  const ids = [...new Set([...Object.keys(was), ...Object.keys(is)])];
+  return ids
+    .map(id => ({
+      id,
+      name: (is[id] || was[id]).name,
+      before: was[id]?.level || null,
+      after: is[id]?.level || null,
+      reason: (is[id] || was[id]).reason
+    }))
+    .filter(change => change.before !== change.after);
+};
+
+const rangeDelta = (before, after) => ({ min: after.min - before.min, max: after.max - before.max });
+
+/**
+ * Both cost estimates with the change of every total and component (USD).
+ * Components present in only one estimate have a null range on the other side.
+ */
+export const diffCosts = (before = {}, after = {}) => {
+  const was = estimateCosts(before);
+  const is = estimateCosts(after);
+  const periods = ['year1', 'ongoing', 'threeYear'];
+  const zero = { min: 0, max: 0 };
+
+  const byId = (estimate) => Object.fromEntries(estimate.components.map(component => [component.id, component]));
+  const wasComponents = byId(was);
+  const isComponents = byId(is);
+  const components = [...new Set([...Object.keys(wasComponents), ...Object.keys(isComponents)])]
+    .map(id => {
+      const component = isComponents[id] || wasComponents[id];
+      return {
+        id,
+        name: component.name,
+        regime: component.regime,
+        before: wasComponents[id]?.year1 || null,
+        after: isComponents[id]?.year1 || null,
+        delta: rangeDelta(wasComponents[id]?.year1 || zero, isComponents[id]?.year1 || zero)
+      };
+    })
+    .filter(change => change.delta.min !== 0 || change.delta.max !== 0);
+
+  return {
+    before: was,
+    after: is,
+    totals: Object.fromEntries(periods.map(period => [period, {
+      before: was.totals[period],
+      after: is.totals[period],
+      delta: rangeDelta(was.totals[period], is.totals[period])
+    }])),
+    components
+  };
+};
+
+// "## 2. COMPLIANCE & REGULATORY FRAMEWORK" -> "2"; unnumbered headings match on their text
+const sectionKey = (heading) => {
+  const number = heading.match(/^(\d+)\./);
+  return number ? number[1] : heading.toUpperCase().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * A markdown report cut into its `## ` sections. Text before the first
+ * heading (the title block) is the section with key '' and heading ''.
+ * @returns {Array<{key: string, heading: string, body: string}>}
+ */
+export const splitReportSections = (markdown = '') => {
+  const sections = [{ key: '', heading: '', lines: [] }];
+  String(markdown).split('\n').forEach(line => {
+    const heading = line.match(/^##\s+(.+?)\s*#*\s*$/);
+    if (heading) sections.push({ key: sectionKey(heading[1]), heading: heading[1], lines: [] });
+    else sections[sections.length - 1].lines.push(line);
+  });
+  return sections
+    .map(({ key, heading, lines }) => ({ key, heading, body: lines.join('\n').trim() }))
+    .filter(section => section.heading || section.body);
+};
+
+/**
+ * Line diff (longest common subsequence) of two texts; a replaced line is
+ * listed as removed, then added.
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+export const diffLines = (before = '', after = '') => {
+  const a = before ? before.split('\n') : [];
+  const b = after ? after.split('\n') : [];
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  return lines;
+};
+
+/**
+ * Section-by-section diff of two reports, in the order of the newer report
+ * (sections only in the older one follow where they used to be).
+ * status: 'unchanged', 'changed', 'added' (newer report only) or 'removed'
+ * @returns {Array<{key: string, heading: string, status: string, lines: Array}>}
+ */
+export const diffReports = (before = '', after = '') => {
+  const was = splitReportSections(before);
+  const is = splitReportSections(after);
+  const wasByKey = Object.fromEntries(was.map(section => [section.key, section]));
+  const isKeys = new Set(is.map(section => section.key));
+
+  const sections = is.map(section => {
+    const previous = wasByKey[section.key];
+    const lines = diffLines(previous ? previous.body : '', section.body);
+    let status = 'added';
+    if (previous) status = lines.every(line => line.type === 'same') ? 'unchanged' : 'changed';
+    return { key: section.key, heading: section.heading, status, lines };
+  });
+
+  // Dropped sections go after the section that preceded them in the older report
+  was.forEach((section, index) => {
+    if (isKeys.has(section.key)) return;
+    const lines = diffLines(section.body, '');
+    const entry = { key: section.key, heading: section.heading, status: 'removed', lines };
+    const previousKey = index > 0 ? was[index - 1].key : null;
+    const at = sections.findIndex(existing => existing.key === previousKey);
+    sections.splice(at + 1, 0, entry);
+  });
+
+  return sections;
+};
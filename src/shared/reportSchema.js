@@ -0,0 +1,198 @@
+/**
+ * Structured report - the machine-readable companion of the markdown report.
+ *
+ * REPORT_SCHEMA is a small JSON Schema subset: it is shown to the model verbatim
+ * and checked by validateAgainstSchema, so both sides read the same definition.
+ * Supported keywords: type (string or list), enum, properties, required, items,
+ * minItems, minimum.
+ */
+
+const text = { type: 'string' };
+const level = { type: 'string', enum: ['low', 'medium', 'high'] };
+const amount = { type: 'number', minimum: 0 };
+
+export const REPORT_SCHEMA = {
+  type: 'object',
+  required: ['executiveSummary', 'recommendations', 'complianceMatrix', 'risks', 'roadmap', 'vendors', 'tco'],
+  properties: {
+    executiveSummary: text,
+    recommendations: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['title', 'priority', 'rationale'],
+        properties: {
+          title: text,
+          priority: level,
+          rationale: text,
+          timeframe: text
+        }
+      }
+    },
+    complianceMatrix: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['regime', 'level', 'requirements', 'aiImpact'],
+        properties: {
+          regime: text,
+          level: { type: 'string', enum: ['required', 'recommended', 'maybe', 'not_applicable'] },
+          requirements: text,
+          aiImpact: text,
+          estimatedCost: text
+        }
+      }
+    },
+    risks: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['risk', 'likelihood', 'impact', 'mitigation'],
+        properties: {
+          risk: text,
+          likelihood: level,
+          impact: level,
+          mitigation: text
+        }
+      }
+    },
+    roadmap: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['phase', 'timeframe', 'objectives'],
+        properties: {
+          phase: text,
+          timeframe: text,
+          objectives: { type: 'array', items: text },
+          estimatedCost: { type: ['number', 'null'], minimum: 0 }
+        }
+      }
+    },
+    vendors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'category', 'useCase'],
+        properties: {
+          name: text,
+          category: text,
+          useCase: text,
+          compliance: { type: 'array', items: text },
+          estimatedMonthlyCost: { type: ['number', 'null'], minimum: 0 }
+        }
+      }
+    },
+    tco: {
+      type: 'object',
+      required: ['currency', 'year1', 'year2', 'year3', 'total', 'breakdown'],
+      properties: {
+        currency: text,
+        year1: amount,
+        year2: amount,
+        year3: amount,
+        total: amount,
+        paybackMonths: { type: ['number', 'null'], minimum: 0 },
+        breakdown: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['item', 'year1', 'year2', 'year3'],
+            properties: {
+              item: text,
+              year1: amount,
+              year2: amount,
+              year3: amount
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'invalid number';
+  return typeof value;
+};
+
+/**
+ * Check a value against a schema node.
+ * @returns {string[]} human-readable errors with JSON paths, empty when valid
+ */
+export const validateAgainstSchema = (value, schema, path = '$') => {
+  const actual = typeOf(value);
+  const allowed = [].concat(schema.type || []);
+  if (allowed.length > 0 && !allowed.includes(actual)) {
+    return [`${path}: expected ${allowed.join(' or ')}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (actual === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be >= ${schema.minimum}`);
+  }
+  if (actual === 'array') {
+    if (schema.minItems && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`)));
+    }
+  }
+  if (actual === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, child]) => {
+      if (value[key] !== undefined) errors.push(...validateAgainstSchema(value[key], child, `${path}.${key}`));
+    });
+  }
+  return errors;
+};
+
+// Totals may be rounded by the model; accept 1% drift
+const roughlyEqual = (a, b) => Math.abs(a - b) <= Math.max(1, Math.abs(b) * 0.01);
+
+/**
+ * Validate a structured report: schema first, then internal consistency
+ * (TCO arithmetic) and agreement with the compliance rules engine.
+ * @param {Object} report - parsed model output
+ * @param {Array<{name: string, level: string}>} compliance - evaluateCompliance() output
+ * @returns {string[]} errors, empty when valid
+ */
+export const validateStructuredReport = (report, compliance = []) => {
+  const errors = validateAgainstSchema(report, REPORT_SCHEMA);
+  if (errors.length > 0) return errors;
+
+  const { tco } = report;
+  if (!roughlyEqual(tco.year1 + tco.year2 + tco.year3, tco.total)) {
+    errors.push(`$.tco.total: ${tco.total} does not equal year1 + year2 + year3 (${tco.year1 + tco.year2 + tco.year3})`);
+  }
+  ['year1', 'year2', 'year3'].forEach(year => {
+    if (tco.breakdown.length === 0) return;
+    const sum = tco.breakdown.reduce((total, row) => total + row[year], 0);
+    if (!roughlyEqual(sum, tco[year])) {
+      errors.push(`$.tco.${year}: ${tco[year]} does not equal the sum of breakdown.${year} (${sum})`);
+    }
+  });
+
+  const listed = report.complianceMatrix.map(row => row.regime.toLowerCase());
+  compliance
+    .filter(result => result.level === 'required')
+    .forEach(result => {
+      const name = result.name.toLowerCase();
+      if (!listed.some(regime => regime.includes(name) || name.includes(regime))) {
+        errors.push(`$.complianceMatrix: missing required regime ${result.name}`);
+      }
+    });
+
+  return errors;
+};
@@ -0,0 +1,156 @@
+/**
+ * The sections of the analysis report and what each one is written from.
+ *
+ * A what-if edit on the report page changes answers after the report text was
+ * generated; staleSections() tells which sections no longer match, so only
+ * those are rewritten (POST /api/analyze/sections) and spliced back into the
+ * report with replaceSections().
+ *
+ * `inputs` are the rules-engine results a section must agree with, `answers`
+ * the question ids it draws on directly. Sections that `summarize` the report
+ * are stale whenever any other section is.
+ */
+
+import { evaluateCompliance } from './complianceRules.js';
+import { estimateCosts } from './costModel.js';
+import { scoreRisks } from './riskScoring.js';
+import { evaluateTimeline } from './timelineFeasibility.js';
+import { splitReportSections } from './reportDiff.js';
+
+// Deterministic results the report is grounded in (the ground-truth blocks of the analysis prompt)
+const INPUTS = {
+  compliance: evaluateCompliance,
+  costs: estimateCosts,
+  risks: scoreRisks,
+  timeline: evaluateTimeline
+};
+
+// In report order; `id` is the section number, except for the unnumbered executive summary
+export const REPORT_SECTIONS = [
+  { id: 'summary', heading: 'EXECUTIVE SUMMARY', summarizes: true },
+  {
+    id: '1',
+    heading: '1. STRATEGIC RECOMMENDATIONS',
+    inputs: ['compliance', 'costs'],
+    answers: ['company_stage', 'headcount', 'industry', 'industry_other', 'ai_usage_type', 'use_cases', 'use_case_description',
+      'monthly_ai_requests', 'data_sensitivity', 'model_vendors', 'technical_capability', 'budget']
+  },
+  {
+    id: '2',
+    heading: '2. COMPLIANCE & REGULATORY FRAMEWORK',
+    inputs: ['compliance', 'risks'],
+    answers: ['industry', 'business_location', 'customer_locations', 'california_revenue_share', 'annual_revenue',
+      'data_sensitivity', 'baa_status', 'card_data_handling', 'compliance', 'compliance_overrides']
+  },
+  {
+    id: '3',
+    heading: '3. IMPLEMENTATION ROADMAP',
+    inputs: ['compliance', 'timeline'],
+    answers: ['ai_usage_type', 'use_cases', 'technical_capability', 'timeline', 'timeline_acknowledged']
+  },
+  {
+    id: '4',
+    heading: '4. VENDOR RECOMMENDATIONS',
+    inputs: ['compliance'],
+    answers: ['customer_locations', 'ai_usage_type', 'use_cases', 'monthly_ai_requests', 'data_sensitivity', 'baa_status',
+      'model_vendors', 'budget']
+  },
+  {
+    id: '5',
+    heading: '5. FINANCIAL ANALYSIS',
+    inputs: ['costs'],
+    answers: ['headcount', 'annual_revenue', 'monthly_ai_requests', 'budget']
+  },
+  {
+    id: '6',
+    heading: '6. RISK MITIGATION',
+    inputs: ['risks'],
+    answers: ['technical_capability']
+  },
+  { id: '7', heading: '7. CONCLUSION', summarizes: true }
+];
+
+export const isReportSectionId = (id) => REPORT_SECTIONS.some(section => section.id === id);
+
+const normalize = (answer) => (answer === undefined ? '' : JSON.stringify([].concat(answer).sort()));
+
+// Response keys whose answer differs (option order does not count)
+export const changedAnswers = (before = {}, after = {}) => [...new Set([...Object.keys(before), ...Object.keys(after)])]
+  .filter(key => normalize(before[key]) !== normalize(after[key]));
+
+/**
+ * Ids of the sections written from something that changed between two sets
+ * of answers, in report order.
+ */
+export const staleSections = (before = {}, after = {}) => {
+  const answers = changedAnswers(before, after);
+  const inputs = Object.keys(INPUTS)
+    .filter(name => JSON.stringify(INPUTS[name](before)) !== JSON.stringify(INPUTS[name](after)));
+
+  const stale = REPORT_SECTIONS
+    .filter(section => !section.summarizes)
+    .filter(section => section.inputs.some(name => inputs.includes(name)) || section.answers.some(id => answers.includes(id)))
+    .map(section => section.id);
+
+  return stale.length === 0
+    ? []
+    : REPORT_SECTIONS.filter(section => section.summarizes || stale.includes(section.id)).map(section => section.id);
+};
+
+/**
+ * Index of a section in splitReportSections() output, or -1. Numbered sections
+ * are found by number; the executive summary is the last unnumbered heading
+ * before the first numbered one (its wording depends on the report language).
+ */
+export const findSection = (sections, id) => {
+  if (id !== 'summary') return sections.findIndex(section => section.key === id);
+  const firstNumbered = sections.findIndex(section => /^\d+$/.test(section.key));
+  const candidates = (firstNumbered === -1 ? sections : sections.slice(0, firstNumbered))
+    .map((section, index) => (section.heading ? index : -1))
+    .filter(index => index !== -1);
+  return candidates.length > 0 ? candidates[candidates.length - 1] : -1;
+};
+
+// Headings as the report writes them (translated), falling back to the English ones
+export const sectionHeadings = (markdown, ids) => {
+  const sections = splitReportSections(markdown);
+  return ids.map(id => ({
+    id,
+    heading: sections[findSection(sections, id)]?.heading || REPORT_SECTIONS.find(section => section.id === id).heading
+  }));
+};
+
+const HORIZONTAL_RULE = /(^|\n)-{3,}$/;
+
+const joinSections = (sections) => sections
+  .map(({ heading, body }) => (heading ? `## ${heading}\n\n${body}` : body))
+  .join('\n\n');
+
+/**
+ * Splice rewritten sections into a report. Sections missing from `rewritten`
+ * keep their old text; a section's closing horizontal rule is kept.
+ * @param {string} markdown - the full report
+ * @param {string} rewritten - markdown with the new sections, each under its `## ` heading
+ * @param {string[]} ids - REPORT_SECTIONS ids that were asked for
+ * @returns {{markdown: string, replaced: string[], missing: string[]}}
+ */
+export const replaceSections = (markdown, rewritten, ids) => {
+  const sections = splitReportSections(markdown);
+  const fresh = splitReportSections(rewritten);
+  const replaced = [];
+
+  ids.forEach(id => {
+    const at = findSection(sections, id);
+    const next = fresh[findSection(fresh, id)];
+    if (at === -1 || !next || !next.body) return;
+    const rule = sections[at].body.match(HORIZONTAL_RULE) && !HORIZONTAL_RULE.test(next.body) ? '\n\n---' : '';
+    sections[at] = { ...sections[at], heading: next.heading, body: `${next.body}${rule}` };
+    replaced.push(id);
+  });
+
+  return {
+    markdown: joinSections(sections),
+    replaced,
+    missing: ids.filter(id => !replaced.includes(id))
+  };
+};
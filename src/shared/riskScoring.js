@@ -0,0 +1,261 @@
+/**
+ * Deterministic risk scoring - turns assessment answers into scored risk
+ * dimensions (0 = no risk, 100 = critical) and an overall readiness score.
+ * The report page charts these and the backend prompt quotes them, so the
+ * report's risk matrix matches the dashboard.
+ *
+ * Each dimension lists its levels strongest-first; the first matching level
+ * sets the base score, then every matching factor adds its points. Every
+ * reason records the answers it came from so the UI can show "why". Reasons
+ * computed by a dimension's derive() also carry `detail` - the parts of the
+ * sentence as data - so the UI can word them in the user's language.
+ */
+
+import { matchesCondition, conditionReferences } from './conditions.js';
+import { COMPLIANCE_RULES } from './complianceRules.js';
+import { estimateCosts, describeBudgetFit } from './costModel.js';
+import { evaluateTimeline, durationLabel, VERDICT_LABELS } from './timelineFeasibility.js';
+
+const dataType = (values) => ({ field: 'data_sensitivity', includesAny: [].concat(values) });
+const usage = (value) => ({ field: 'ai_usage_type', includes: value });
+const itTeam = (values) => ({ field: 'technical_capability', in: [].concat(values) });
+const customersIn = (values) => ({ field: 'customer_locations', includesAny: [].concat(values) });
+
+const highRiskData = dataType(['phi', 'privileged', 'financial']);
+const strictCompliance = { field: 'compliance', includesAny: ['hipaa', 'pci', 'gdpr'] };
+const demanding = { any: [highRiskData, strictCompliance] };
+
+export const RISK_LEVELS = [
+  { id: 'low', max: 24 },
+  { id: 'medium', max: 49 },
+  { id: 'high', max: 74 },
+  { id: 'critical', max: 100 }
+];
+
+// Overall readiness = 100 minus the weighted average risk
+export const READINESS_RATINGS = [
+  { id: 'ready', label: 'Ready', min: 75 },
+  { id: 'needs_work', label: 'Needs Work', min: 50 },
+  { id: 'at_risk', label: 'At Risk', min: 30 },
+  { id: 'not_ready', label: 'Not Ready', min: 0 }
+];
+
+// Answers a condition refers to, limited to those actually given
+const tracedAnswers = (condition, responses) => conditionReferences(condition)
+  .filter(({ field, value }) => value !== undefined && [].concat(responses[field] ?? []).includes(value));
+
+// Points a triggered compliance regime adds to regulatory exposure, by level
+const REGIME_POINTS = {
+  required: { hipaa: 40, pci: 35, pipl: 35, glba: 30, gdpr: 30, uk_gdpr: 25, default: 20 },
+  recommended: { default: 10 },
+  maybe: { default: 3 }
+};
+
+// Timeline risk per feasibility verdict (src/shared/timelineFeasibility.js)
+const TIMELINE_POINTS = { feasible: 10, risky: 55, infeasible: 90 };
+
+export const RISK_DIMENSIONS = [
+  {
+    id: 'data_sensitivity',
+    name: 'Data Sensitivity',
+    weight: 1,
+    levels: [
+      { when: dataType('phi'), score: 85, why: 'Processes Protected Health Information (PHI)' },
+      { when: dataType('privileged'), score: 80, why: 'Processes attorney-client privileged material' },
+      { when: dataType('ip'), score: 80, why: 'Processes trade secrets that must never leak to a vendor' },
+      { when: dataType('financial'), score: 75, why: 'Processes financial or payment data' },
+      { when: dataType('pii'), score: 50, why: 'Processes customer personal data (PII)' },
+      { when: dataType('internal'), score: 25, why: 'Processes internal business data' },
+      { when: dataType('public'), score: 5, why: 'Processes public content only' },
+      { when: null, score: 30, why: 'Data types not specified' }
+    ],
+    factors: [
+      { when: { all: [usage('in_product'), dataType(['pii', 'phi', 'privileged', 'financial'])] }, points: 10, why: 'Sensitive data flows through customer-facing AI' },
+      { when: { field: 'card_data_handling', equals: 'stored' }, points: 10, why: 'Full card numbers are stored or processed in your systems' }
+    ]
+  },
+  {
+    id: 'regulatory_exposure',
+    name: 'Regulatory Exposure',
+    weight: 1,
+    levels: [
+      { when: null, score: 0, why: null }
+    ],
+    factors: [
+      { when: { field: 'baa_status', in: ['none', 'unsure'] }, points: 20, why: 'PHI would reach AI vendors without a signed BAA' },
+      { when: { field: 'baa_status', equals: 'in_progress' }, points: 5, why: 'BAAs with AI vendors are still being negotiated' }
+    ],
+    derive: (responses) => {
+      const overrides = [].concat(responses.compliance_overrides || []);
+      // Same first-match logic as evaluateCompliance, keeping the rule so its answers can be traced
+      const regimes = COMPLIANCE_RULES
+        .map(regime => ({ regime, rule: regime.rules.find(rule => matchesCondition(rule.when, responses)) }))
+        .filter(({ rule }) => rule)
+        .map(({ regime, rule }) => ({
+          points: REGIME_POINTS[rule.level][regime.id] ?? REGIME_POINTS[rule.level].default,
+          why: `${regime.name} (${rule.level}): ${rule.reason}`,
+          detail: { id: 'regime', regime: regime.name, level: rule.level, reason: rule.reason },
+          answers: tracedAnswers(rule.when, responses)
+        }));
+      const excluded = overrides.map(id => ({
+        points: 15,
+        why: `A required regime (${id}) was deliberately deselected`,
+        detail: { id: 'deselected', regime: id },
+        answers: [{ field: 'compliance_overrides', value: id }]
+      }));
+      return regimes.length + excluded.length > 0
+        ? [...regimes, ...excluded]
+        : [{ points: 0, why: 'No compliance regime is triggered by the answers', detail: { id: 'noRegime' }, answers: [] }];
+    }
+  },
+  {
+    id: 'cross_border',
+    name: 'Cross-Border Transfer',
+    weight: 0.75,
+    levels: [
+      { when: { field: 'customer_locations', answered: false }, score: 20, why: 'Customer locations not specified' },
+      { when: null, score: 0, why: null }
+    ],
+    factors: [
+      { when: customersIn('china'), points: 30, why: 'Chinese customers: PIPL restricts personal data leaving China' },
+      { when: { all: [customersIn(['eu', 'uk', 'global']), { not: { field: 'business_location', in: ['eu', 'uk'] } }] }, points: 20, why: 'EU/UK personal data leaves the region: transfer safeguards (SCCs, adequacy) needed' },
+      { when: { all: [usage('in_product'), dataType(['pii', 'phi', 'privileged', 'financial'])] }, points: 10, why: 'Customer personal data is sent to AI vendors, often in other countries' }
+    ],
+    derive: (responses) => {
+      const home = responses.business_location;
+      const customers = [].concat(responses.customer_locations || []);
+      const foreign = customers.filter(location => location !== home);
+      if (customers.length === 0) return [];
+      if (foreign.length === 0) {
+        return [{
+          points: 0,
+          why: 'All customers are in your home jurisdiction',
+          detail: { id: 'homeJurisdiction' },
+          answers: [{ field: 'customer_locations', value: home }]
+        }];
+      }
+      return [{
+        points: Math.min(45, foreign.length * 15 + (foreign.includes('global') ? 15 : 0)),
+        why: `Customers in ${foreign.length} region(s) outside your home jurisdiction`,
+        detail: { id: 'foreignRegions', count: foreign.length },
+        answers: [
+          ...(home ? [{ field: 'business_location', value: home }] : []),
+          ...foreign.map(value => ({ field: 'customer_locations', value }))
+        ]
+      }];
+    }
+  },
+  {
+    id: 'technical_readiness',
+    name: 'Technical Readiness',
+    weight: 1,
+    levels: [
+      { when: itTeam('no_it'), score: 75, why: 'No IT team to implement or operate AI safely' },
+      { when: itTeam('small_it'), score: 55, why: 'A small IT team (1-2 people) with limited capacity' },
+      { when: itTeam('medium_it'), score: 30, why: 'A medium IT team (3-10 people)' },
+      { when: itTeam('large_it'), score: 15, why: 'A large IT team (10+ people)' },
+      { when: itTeam('devops'), score: 5, why: 'Advanced DevOps/engineering capability' },
+      { when: null, score: 50, why: 'Technical capability not specified' }
+    ],
+    factors: [
+      { when: { all: [itTeam(['no_it', 'small_it']), demanding] }, points: 15, why: 'Sensitive data or strict compliance with limited technical staff' },
+      { when: { all: [itTeam(['no_it', 'small_it']), usage('in_product')] }, points: 10, why: 'Customer-facing AI needs engineering and monitoring' }
+    ]
+  },
+  {
+    id: 'budget_adequacy',
+    name: 'Budget Adequacy',
+    weight: 1,
+    levels: [
+      { when: null, score: 0, why: null }
+    ],
+    factors: [],
+    derive: (responses) => {
+      const estimate = estimateCosts(responses);
+      const { status, shortfall } = estimate.budget;
+      const points = {
+        gap: 60 + Math.min(40, Math.round((shortfall / Math.max(estimate.totals.year1.min, 1)) * 40)),
+        tight: 35,
+        fits: 10,
+        unknown: 50
+      }[status];
+      const answers = responses.budget ? [{ field: 'budget', value: responses.budget }] : [];
+      return [{
+        points,
+        why: describeBudgetFit(estimate),
+        detail: { id: 'budgetFit', estimate: { budget: estimate.budget, totals: { year1: estimate.totals.year1 } } },
+        answers
+      }];
+    }
+  },
+  {
+    id: 'timeline_realism',
+    name: 'Timeline Realism',
+    weight: 0.75,
+    levels: [
+      { when: { field: 'timeline', answered: false }, score: 40, why: 'Timeline not specified' },
+      { when: null, score: 0, why: null }
+    ],
+    factors: [],
+    derive: (responses) => {
+      const { selected, minimumWeeks, recommendedWeeks } = evaluateTimeline(responses);
+      if (!selected) return [];
+      return [{
+        points: TIMELINE_POINTS[selected.verdict],
+        why: `${VERDICT_LABELS[selected.verdict]}: ${selected.reason}${selected.verdict === 'infeasible' ? '' : ` (minimum ${durationLabel(minimumWeeks)})`}`,
+        detail: { id: 'timeline', verdict: selected.verdict, minimumWeeks, recommendedWeeks },
+        answers: [{ field: 'timeline', value: selected.value }]
+      }];
+    }
+  }
+];
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+export const riskLevel = (score) => RISK_LEVELS.find(level => score <= level.max).id;
+
+export const readinessRating = (readiness) => READINESS_RATINGS.find(rating => readiness >= rating.min);
+
+const scoreDimension = (dimension, responses) => {
+  const base = dimension.levels.find(level => matchesCondition(level.when, responses));
+  const reasons = [
+    ...(base.why ? [{ points: base.score, why: base.why, answers: tracedAnswers(base.when, responses) }] : []),
+    ...dimension.factors
+      .filter(factor => matchesCondition(factor.when, responses))
+      .map(factor => ({ points: factor.points, why: factor.why, answers: tracedAnswers(factor.when, responses) })),
+    ...(dimension.derive ? dimension.derive(responses) : [])
+  ];
+  const score = clamp(base.score + reasons.slice(base.why ? 1 : 0).reduce((sum, reason) => sum + reason.points, 0));
+
+  return { id: dimension.id, name: dimension.name, weight: dimension.weight, score, level: riskLevel(score), reasons };
+};
+
+/**
+ * Score a set of responses.
+ * @param {Object} responses - assessment answers keyed by question id
+ * @returns {{readiness: number, rating: Object, dimensions: Array}}
+ */
+export const scoreRisks = (responses = {}) => {
+  const dimensions = RISK_DIMENSIONS.map(dimension => scoreDimension(dimension, responses));
+  const totalWeight = dimensions.reduce((sum, dimension) => sum + dimension.weight, 0);
+  const averageRisk = dimensions.reduce((sum, dimension) => sum + dimension.score * dimension.weight, 0) / totalWeight;
+  const readiness = clamp(100 - averageRisk);
+
+  return { readiness, rating: readinessRating(readiness), dimensions };
+};
+
+// Budget figures follow the report currency; every other reason is quoted as is
+const reasonForPrompt = (reason, currency) => (reason.detail?.id === 'budgetFit'
+  ? describeBudgetFit(reason.detail.estimate, { currency })
+  : reason.why);
+
+/**
+ * Plain-text block for the analysis prompt.
+ * @param {Object} risks - result of scoreRisks
+ * @param {string} [currency] - currency the report is written in
+ */
+export const formatRisksForPrompt = (risks, currency) => [
+  `Overall readiness: ${risks.readiness}/100 (${risks.rating.label.toUpperCase()})`,
+  ...risks.dimensions.map(dimension =>
+    `- ${dimension.name}: risk ${dimension.score}/100 (${dimension.level.toUpperCase()}) - ${dimension.reasons.map(reason => reasonForPrompt(reason, currency)).join('; ')}`)
+].join('\n');
@@ -0,0 +1,128 @@
+import { scoreRisks, riskLevel, readinessRating } from './riskScoring';
+
+// ---- Profiles ----
+
+const SOLO_CONSULTANT = {
+  company_stage: 'solo_freelance',
+  business_location: 'us',
+  customer_locations: ['us'],
+  ai_usage_type: ['internal_productivity'],
+  data_sensitivity: ['public'],
+  technical_capability: 'no_it',
+  budget: 'under_10k',
+  timeline: 'urgent'
+};
+
+const HEALTH_APP = {
+  company_stage: 'smb',
+  business_location: 'us',
+  customer_locations: ['us'],
+  ai_usage_type: ['in_product'],
+  data_sensitivity: ['phi'],
+  compliance: ['hipaa'],
+  technical_capability: 'small_it',
+  budget: '50k_200k',
+  timeline: 'fast'
+};
+
+const PAYMENTS_ENTERPRISE = {
+  company_stage: 'enterprise',
+  business_location: 'us',
+  customer_locations: ['us', 'eu', 'global'],
+  industry: ['finance'],
+  ai_usage_type: ['internal_productivity', 'in_product'],
+  data_sensitivity: ['pii', 'financial'],
+  card_data_handling: 'stored',
+  compliance: ['pci', 'gdpr', 'soc2'],
+  technical_capability: 'devops',
+  budget: 'over_500k',
+  timeline: 'moderate'
+};
+
+// Score of every dimension, by id
+const scoresById = (risks) => Object.fromEntries(risks.dimensions.map(dimension => [dimension.id, dimension.score]));
+
+describe('scoreRisks', () => {
+  test.each([
+    ['no answers', {}, 68, 'needs_work', {
+      data_sensitivity: 30,
+      regulatory_exposure: 0,
+      cross_border: 20,
+      technical_readiness: 50,
+      budget_adequacy: 50,
+      timeline_realism: 40
+    }],
+    ['solo consultant, internal tools on public data', SOLO_CONSULTANT, 77, 'ready', {
+      data_sensitivity: 5,
+      regulatory_exposure: 3,
+      cross_border: 0,
+      technical_readiness: 75,
+      budget_adequacy: 35,
+      timeline_realism: 10
+    }],
+    ['SMB health app with PHI, HIPAA and a small IT team', HEALTH_APP, 43, 'at_risk', {
+      data_sensitivity: 95,
+      regulatory_exposure: 16,
+      cross_border: 10,
+      technical_readiness: 80,
+      budget_adequacy: 76,
+      timeline_realism: 55
+    }],
+    ['health app without signed BAAs', { ...HEALTH_APP, baa_status: 'none' }, 34, 'at_risk', {
+      data_sensitivity: 95,
+      regulatory_exposure: 36,
+      cross_border: 10,
+      technical_readiness: 80,
+      budget_adequacy: 76,
+      timeline_realism: 90
+    }],
+    ['payments enterprise storing card numbers, customers worldwide', PAYMENTS_ENTERPRISE, 50, 'needs_work', {
+      data_sensitivity: 95,
+      regulatory_exposure: 100,
+      cross_border: 75,
+      technical_readiness: 5,
+      budget_adequacy: 10,
+      timeline_realism: 10
+    }]
+  ])('%s', (name, responses, readiness, rating, scores) => {
+    const risks = scoreRisks(responses);
+
+    expect(risks.readiness).toBe(readiness);
+    expect(risks.rating.id).toBe(rating);
+    expect(scoresById(risks)).toEqual(scores);
+    risks.dimensions.forEach(dimension => expect(dimension.level).toBe(riskLevel(dimension.score)));
+  });
+
+  test('scores are capped at 100', () => {
+    const regulatory = scoreRisks(PAYMENTS_ENTERPRISE).dimensions.find(dimension => dimension.id === 'regulatory_exposure');
+    expect(regulatory.reasons.reduce((sum, reason) => sum + reason.points, 0)).toBeGreaterThan(100);
+    expect(regulatory.score).toBe(100);
+  });
+
+  test('every reason traces the answers it came from', () => {
+    const data = scoreRisks(HEALTH_APP).dimensions.find(dimension => dimension.id === 'data_sensitivity');
+    expect(data.reasons.map(reason => [reason.points, reason.answers])).toEqual([
+      [85, [{ field: 'data_sensitivity', value: 'phi' }]],
+      [10, [{ field: 'ai_usage_type', value: 'in_product' }, { field: 'data_sensitivity', value: 'phi' }]]
+    ]);
+  });
+
+  test('a deliberately deselected regime adds exposure', () => {
+    const score = (responses) => scoresById(scoreRisks(responses)).regulatory_exposure;
+    expect(score({ ...HEALTH_APP, compliance_overrides: ['hipaa'] })).toBe(score(HEALTH_APP) + 15);
+  });
+});
+
+describe('levels and ratings', () => {
+  test.each([
+    [0, 'low'], [24, 'low'], [25, 'medium'], [49, 'medium'], [50, 'high'], [74, 'high'], [75, 'critical'], [100, 'critical']
+  ])('risk %i is %s', (score, level) => {
+    expect(riskLevel(score)).toBe(level);
+  });
+
+  test.each([
+    [100, 'ready'], [75, 'ready'], [74, 'needs_work'], [50, 'needs_work'], [49, 'at_risk'], [30, 'at_risk'], [29, 'not_ready'], [0, 'not_ready']
+  ])('readiness %i is %s', (readiness, rating) => {
+    expect(readinessRating(readiness).id).toBe(rating);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Timeline feasibility - the minimum realistic implementation time for a set
+ * of answers, and a feasible / risky / infeasible verdict for every `timeline`
+ * option. Driven by the same inputs as the timeline help text (compliance,
+ * data types, technical capability, AI usage type); the wizard marks the
+ * options with it and the backend prompt starts the roadmap from it.
+ */
+
+import { matchesCondition } from './conditions.js';
+
+const usage = (value) => ({ field: 'ai_usage_type', includes: value });
+const strictCompliance = { field: 'compliance', includesAny: ['hipaa', 'pci', 'gdpr'] };
+const highRiskData = { field: 'data_sensitivity', includesAny: ['phi', 'privileged'] };
+const limitedIt = { field: 'technical_capability', in: ['no_it', 'small_it'] };
+
+export const VERDICT_LABELS = { feasible: 'Feasible', risky: 'Risky', infeasible: 'Infeasible' };
+
+// Weeks each `timeline` option allows
+export const TIMELINE_WINDOWS = {
+  urgent: { minWeeks: 1, maxWeeks: 4 },
+  fast: { minWeeks: 4, maxWeeks: 13 },
+  moderate: { minWeeks: 13, maxWeeks: 26 },
+  patient: { minWeeks: 26, maxWeeks: 52 }
+};
+
+// Basic cloud tools for internal use can be rolled out in about a week
+const BASE_WEEKS = 1;
+
+// A timeline shorter than minimum x BUFFER leaves no room for delays
+const BUFFER = 1.75;
+
+// Every matching factor adds its weeks to the minimum duration
+export const TIMELINE_FACTORS = [
+  { when: usage('in_product'), weeks: 3, why: 'Product AI needs testing with real users before launch' },
+  { when: strictCompliance, weeks: 4, why: 'HIPAA, PCI DSS or GDPR: legal review and compliance setup' },
+  { when: highRiskData, weeks: 4, why: 'PHI or privileged data: security architecture and infrastructure setup' },
+  { when: { all: [limitedIt, { any: [strictCompliance, highRiskData] }] }, weeks: 1, why: 'Limited IT team: onboarding outside expertise' },
+  { when: { all: [strictCompliance, { field: 'customer_locations', includes: 'global' }] }, weeks: 2, why: 'Customers worldwide: compliance review in several jurisdictions' },
+  { when: { field: 'baa_status', in: ['none', 'in_progress', 'unsure'] }, weeks: 3, why: 'BAAs with AI vendors still to be signed (typically 2-6 weeks)' }
+];
+
+// Durations under 8 weeks are counted in weeks, longer ones in months
+export const durationParts = (weeks) => (weeks < 8
+  ? { unit: 'weeks', count: weeks }
+  : { unit: 'months', count: Math.round(weeks / 4.33) });
+
+const weeksLabel = (weeks) => `${weeks} week${weeks === 1 ? '' : 's'}`;
+export const durationLabel = (weeks) => {
+  const { unit, count } = durationParts(weeks);
+  return unit === 'weeks' ? weeksLabel(count) : `${count} months`;
+};
+
+const judgeOption = ({ maxWeeks }, minimumWeeks, recommendedWeeks) => {
+  if (maxWeeks < minimumWeeks) {
+    return { verdict: 'infeasible', reason: `Needs at least ${durationLabel(minimumWeeks)} for your profile` };
+  }
+  if (maxWeeks < recommendedWeeks) {
+    return { verdict: 'risky', reason: `Possible, but no room for delays - ${durationLabel(recommendedWeeks)} is realistic` };
+  }
+  return { verdict: 'feasible', reason: 'Realistic for your profile' };
+};
+
+/**
+ * Evaluate every timeline option for a set of responses.
+ * @param {Object} responses - assessment answers keyed by question id
+ * @returns {{minimumWeeks: number, recommendedWeeks: number, factors: Array, options: Object, selected: Object|null}}
+ */
+export const evaluateTimeline = (responses = {}) => {
+  const factors = TIMELINE_FACTORS
+    .filter(factor => matchesCondition(factor.when, responses))
+    .map(({ weeks, why }) => ({ weeks, why }));
+  const minimumWeeks = factors.reduce((sum, factor) => sum + factor.weeks, BASE_WEEKS);
+  const recommendedWeeks = Math.ceil(minimumWeeks * BUFFER);
+
+  const options = Object.fromEntries(Object.entries(TIMELINE_WINDOWS)
+    .map(([value, window]) => [value, judgeOption(window, minimumWeeks, recommendedWeeks)]));
+
+  const selected = options[responses.timeline]
+    ? {
+      value: responses.timeline,
+      ...options[responses.timeline],
+      acknowledged: responses.timeline_acknowledged === responses.timeline
+    }
+    : null;
+
+  return { minimumWeeks, recommendedWeeks, factors, options, selected };
+};
+
+// An infeasible timeline may only be submitted after the user acknowledged it
+export const needsTimelineAcknowledgement = (responses = {}) => {
+  const { selected } = evaluateTimeline(responses);
+  return Boolean(selected && selected.verdict === 'infeasible' && !selected.acknowledged);
+};
+
+// Plain-text block for the analysis prompt
+export const formatTimelineForPrompt = (feasibility) => {
+  const lines = [
+    `Minimum realistic duration: ${durationLabel(feasibility.minimumWeeks)} (${weeksLabel(feasibility.minimumWeeks)}); recommended: ${durationLabel(feasibility.recommendedWeeks)} (${weeksLabel(feasibility.recommendedWeeks)})`,
+    ...feasibility.factors.map(factor => `- +${weeksLabel(factor.weeks)}: ${factor.why}`)
+  ];
+  const { selected } = feasibility;
+  if (selected) {
+    const note = selected.verdict !== 'infeasible' ? ''
+      : selected.acknowledged ? ' - the user ACKNOWLEDGED that this is not achievable and chose it anyway'
+        : ' - the user has NOT acknowledged this';
+    lines.push(`Selected timeline "${selected.value}": ${selected.verdict.toUpperCase()} (${selected.reason})${note}`);
+  }
+  return lines.join('\n');
+};
@@ -0,0 +1,78 @@
+import { evaluateTimeline, needsTimelineAcknowledgement, durationLabel } from './timelineFeasibility';
+
+// ---- Profiles ----
+
+const INTERNAL_TOOLS = {
+  ai_usage_type: ['internal_productivity'],
+  data_sensitivity: ['internal'],
+  technical_capability: 'medium_it'
+};
+
+// HIPAA + PHI + customer-facing AI + a small IT team
+const HEALTH_APP = {
+  ai_usage_type: ['in_product'],
+  data_sensitivity: ['phi'],
+  compliance: ['hipaa'],
+  technical_capability: 'small_it'
+};
+
+const GLOBAL_GDPR_PRODUCT = {
+  ai_usage_type: ['in_product'],
+  data_sensitivity: ['pii'],
+  compliance: ['gdpr'],
+  customer_locations: ['eu', 'global'],
+  technical_capability: 'large_it'
+};
+
+const verdicts = (feasibility) => Object.fromEntries(Object.entries(feasibility.options).map(([value, option]) => [value, option.verdict]));
+
+describe('evaluateTimeline', () => {
+  test.each([
+    ['no answers', {}, 1, 2, { urgent: 'feasible', fast: 'feasible', moderate: 'feasible', patient: 'feasible' }],
+    ['internal tools on internal data', INTERNAL_TOOLS, 1, 2, { urgent: 'feasible', fast: 'feasible', moderate: 'feasible', patient: 'feasible' }],
+    ['HIPAA + PHI + in_product + limited IT', HEALTH_APP, 13, 23, { urgent: 'infeasible', fast: 'risky', moderate: 'feasible', patient: 'feasible' }],
+    ['the same with BAAs still to be signed', { ...HEALTH_APP, baa_status: 'none' }, 16, 28, { urgent: 'infeasible', fast: 'infeasible', moderate: 'risky', patient: 'feasible' }],
+    ['GDPR product with customers worldwide', GLOBAL_GDPR_PRODUCT, 10, 18, { urgent: 'infeasible', fast: 'risky', moderate: 'feasible', patient: 'feasible' }]
+  ])('%s', (name, responses, minimumWeeks, recommendedWeeks, expected) => {
+    const feasibility = evaluateTimeline(responses);
+
+    expect(feasibility.minimumWeeks).toBe(minimumWeeks);
+    expect(feasibility.recommendedWeeks).toBe(recommendedWeeks);
+    expect(verdicts(feasibility)).toEqual(expected);
+  });
+
+  test('every matching factor is listed with its weeks', () => {
+    expect(evaluateTimeline(HEALTH_APP).factors.map(factor => factor.weeks)).toEqual([3, 4, 4, 1]);
+  });
+
+  test('the selected option carries its verdict and reason', () => {
+    expect(evaluateTimeline({ ...HEALTH_APP, timeline: 'fast' }).selected).toEqual({
+      value: 'fast',
+      verdict: 'risky',
+      reason: 'Possible, but no room for delays - 5 months is realistic',
+      acknowledged: false
+    });
+    expect(evaluateTimeline({ ...HEALTH_APP, timeline: 'urgent' }).selected.reason).toBe('Needs at least 3 months for your profile');
+    expect(evaluateTimeline(HEALTH_APP).selected).toBeNull();
+  });
+});
+
+describe('needsTimelineAcknowledgement', () => {
+  test.each([
+    ['no timeline', HEALTH_APP, false],
+    ['a risky timeline', { ...HEALTH_APP, timeline: 'fast' }, false],
+    ['an infeasible timeline', { ...HEALTH_APP, timeline: 'urgent' }, true],
+    ['an infeasible timeline, acknowledged', { ...HEALTH_APP, timeline: 'urgent', timeline_acknowledged: 'urgent' }, false],
+    ['an acknowledgement of another option', { ...HEALTH_APP, timeline: 'urgent', timeline_acknowledged: 'fast' }, true]
+  ])('%s', (name, responses, expected) => {
+    expect(needsTimelineAcknowledgement(responses)).toBe(expected);
+  });
+});
+
+describe('durationLabel', () => {
+  test.each([
+    [1, '1 week'], [7, '7 weeks'], [8, '2 months'], [13, '3 months'], [23, '5 months'], [52, '12 months']
+  ])('%i weeks', (weeks, label) => {
+    expect(durationLabel(weeks)).toBe(label);
+  });
+});